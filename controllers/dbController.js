@@ -2,16 +2,52 @@
 const path = require('path');
 const fs = require('fs');
 const jsonfile = require('jsonfile');
-const { randomUUID } = require('crypto');
+const crypto = require('crypto');
+const { fork } = require('child_process');
 const tmp = require('tmp');
 const csv = require('csv-parser');
 const Database = require('better-sqlite3');
 const { Client: PgClient } = require('pg');
+const Cursor = require('pg-cursor');
 const mysql = require('mysql2/promise');
-const { MongoClient } = require('mongodb');
+const { MongoClient, BSON } = require('mongodb');
 const neo4j = require('neo4j-driver');
+const mongoose = require('mongoose');
+const { classifySql, classifyCypher, classifyMongo } = require('../utils/statementClassifier');
+const { inferColumnTypes, coerceValue, parseColumnTypeOverrides } = require('../utils/typeInference');
+const { parseJsonRecords, recordsToTables } = require('../utils/jsonRecords');
+const { tableNameFrom, readXlsxTables, readParquetTable, extractZip } = require('../utils/tabularReaders');
+const { withPool } = require('../utils/connectionPools');
+const { createRowSink, CURSOR_BATCH_SIZE } = require('../utils/rowSink');
+const { registerEngine, getEngine, getEngineForConnection, listEngines, textQuery } = require('../utils/engineRegistry');
+require('../utils/engines'); // mssql, clickhouse, redis, duckdb
+const { parseMongoShell, decodeExtendedJson } = require('../utils/mongoShell');
+const { normalizeParams, toPositional, namedValues, substituteMongoParams } = require('../utils/queryParams');
+const { startExecution, cancelExecution, listExecutions } = require('../utils/executions');
+const { normalizePlan, formatPlanText } = require('../utils/queryPlans');
+const {
+  normalizeQueryText, cacheKey, cacheOptions, getCachedResult, setCachedResult, invalidateCachedResults
+} = require('../utils/resultCache');
+const Connection = require('../models/Connection');
+const UploadedFile = require('../models/UploadedFile');
+const Workspace = require('../models/Workspace');
 
+// legacy JSON index, only read by migrateLegacyFilesIndex()
 const FILES_DB = path.join(__dirname, '..', 'db_files.json');
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads');
+// persistent SQLite copies of CSV/JSON/SQL uploads, one <fileId>.sqlite per upload
+const MATERIALIZED_DIR = path.join(UPLOADS_DIR, '.materialized');
+// bump when the import output changes so existing caches get rebuilt
+const IMPORT_FORMAT_VERSION = 4;
+// rows read to infer column types of CSV/JSON imports
+const INFER_SAMPLE_ROWS = 1000;
+const JSON_IMPORT_MODES = ['nested', 'flat'];
+// how uploads can be queried: the SQLite import (default) or DuckDB over the files in place
+const FILE_ENGINES = ['sqlite', 'duckdb'];
+// table a single-table upload is imported as
+const DEFAULT_TABLE_NAMES = { csv: 'imported_csv', tsv: 'imported_tsv', json: 'imported_json', parquet: 'imported_parquet' };
+// files read from inside zip bundles
+const ZIP_ENTRY_EXTS = ['.csv', '.tsv', '.tab', '.json', '.ndjson', '.jsonl', '.xlsx', '.parquet'];
 
 console.log(">>> USING UPDATED DBCONTROLLER WITH NEO4J SUPPORT <<<");
 
@@ -26,20 +62,128 @@ if (!fetchFn) {
   }
 }
 
-/* -------------------- file index helpers -------------------- */
-function loadFilesIndex() {
+/* -------------------- file registry helpers -------------------- */
+
+// plain metadata object used by the query/import helpers; path is resolved at runtime
+function toFileMeta(doc) {
+  return {
+    id: doc._id,
+    originalName: doc.originalName,
+    path: path.join(UPLOADS_DIR, doc.storedName),
+    size: doc.size,
+    uploadedAt: doc.uploadedAt,
+    ext: doc.ext,
+    type: doc.type,
+    owner: doc.owner ? String(doc.owner) : null,
+    status: doc.status,
+    checksum: doc.checksum,
+    columns: doc.columns,
+    tables: doc.tables,
+    jsonMode: doc.jsonMode,
+    importStatus: doc.importStatus,
+    materializedChecksum: doc.materializedChecksum,
+    materializedFormat: doc.materializedFormat,
+    materializedSourceMtimeMs: doc.materializedSourceMtimeMs,
+    lastUsedAt: doc.lastUsedAt
+  };
+}
+
+function detectFileType(ext) {
+  return ext === '.csv' ? 'csv'
+    : (ext === '.tsv' || ext === '.tab') ? 'tsv'
+    : (ext === '.json' || ext === '.ndjson' || ext === '.jsonl') ? 'json'
+    : ext === '.xlsx' ? 'xlsx'
+    : ext === '.parquet' ? 'parquet'
+    : ext === '.zip' ? 'zip'
+    : (ext === '.sqlite' || ext === '.db') ? 'sqlite'
+    : ext === '.sql' ? 'sql'
+    : 'unknown';
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// recompute the checksum after the stored file was modified in place (e.g. allowWrites on SQLite)
+async function refreshFileChecksum(meta) {
+  const checksum = await sha256File(meta.path);
+  await UploadedFile.updateOne({ _id: meta.id }, { $set: { checksum, size: fs.statSync(meta.path).size } });
+  invalidateCachedResults(`file:${meta.id}`);
+}
+
+// fire-and-forget usage stamp; never fails the query
+function touchFile(fileId) {
+  UploadedFile.updateOne({ _id: fileId }, { $set: { lastUsedAt: new Date() } })
+    .catch(err => console.error('touchFile error', err.message));
+}
+
+/**
+ * Copy entries from the legacy db_files.json into the UploadedFile collection.
+ * Idempotent: ids already in Mongo are left alone. Entries whose file is not in
+ * UPLOADS_DIR are recorded with status 'missing'. Legacy entries have no owner
+ * unless options.ownerId is given.
+ *
+ * returns { imported, skipped, missing }
+ */
+async function migrateLegacyFilesIndex(options = {}) {
+  let legacy;
   try {
-    return jsonfile.readFileSync(FILES_DB);
+    legacy = jsonfile.readFileSync(options.filePath || FILES_DB);
   } catch {
-    return {};
+    return { imported: 0, skipped: 0, missing: 0 };
   }
-}
-function saveFilesIndex(obj) {
-  jsonfile.writeFileSync(FILES_DB, obj, { spaces: 2 });
+
+  const stats = { imported: 0, skipped: 0, missing: 0 };
+  for (const meta of Object.values(legacy || {})) {
+    if (!meta || !meta.id) continue;
+    if (await UploadedFile.exists({ _id: meta.id })) {
+      stats.skipped++;
+      continue;
+    }
+
+    // legacy entries stored absolute host paths; only the file name is portable
+    const storedName = path.basename(meta.path || '');
+    const localPath = path.join(UPLOADS_DIR, storedName);
+    const exists = !!storedName && fs.existsSync(localPath);
+    if (!exists) stats.missing++;
+
+    await UploadedFile.create({
+      _id: meta.id,
+      owner: meta.owner || options.ownerId || undefined,
+      originalName: meta.originalName || storedName,
+      storedName,
+      size: meta.size,
+      ext: meta.ext,
+      type: meta.type || detectFileType(meta.ext),
+      status: exists ? 'ready' : 'missing',
+      checksum: exists ? await sha256File(localPath) : undefined,
+      uploadedAt: meta.uploadedAt ? new Date(meta.uploadedAt) : new Date()
+    });
+    stats.imported++;
+  }
+  return stats;
 }
 
 /* -------------------- Neo4j HTTP helper -------------------- */
-async function runQueryOnNeo4jHttp(connectionString, query, maxRows = 1000, user, password, database = 'neo4j') {
+
+// $name parameters for the HTTP API: JSON only, so dates go as ISO strings
+function neo4jHttpParams(params) {
+  const out = {};
+  for (const [name, v] of Object.entries(namedValues(params, 'neo4j'))) {
+    out[name] = v instanceof Date ? v.toISOString()
+      : v && v._bsontype === 'ObjectId' ? v.toHexString()
+      : v;
+  }
+  return out;
+}
+
+async function runQueryOnNeo4jHttp(connectionString, query, maxRows = 1000, user, password, database = 'neo4j', options = {}) {
   if (!fetchFn) throw new Error('fetch_not_available');
 
   // parse connectionString to extract host and optional creds if not provided
@@ -78,16 +222,18 @@ async function runQueryOnNeo4jHttp(connectionString, query, maxRows = 1000, user
     endpoint = `${origin}/db/${database}/tx/commit`;
   }
 
-  const payload = { statements: [{ statement: query }] };
+  const payload = { statements: [{ statement: query, parameters: neo4jHttpParams(options.params) }] };
 
   const resp = await fetchFn(endpoint, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       'Accept': 'application/json; charset=UTF-8',
+      'Access-Mode': options.allowWrites ? 'WRITE' : 'READ',
       'Authorization': 'Basic ' + Buffer.from(`${user}:${password}`).toString('base64')
     },
-    body: JSON.stringify(payload)
+    body: JSON.stringify(payload),
+    signal: options.execution ? options.execution.signal : undefined
   });
 
   if (!resp.ok) {
@@ -97,17 +243,38 @@ async function runQueryOnNeo4jHttp(connectionString, query, maxRows = 1000, user
 
   const j = await resp.json();
   const result = j.results && j.results[0] ? j.results[0] : { columns: [], data: [] };
+  if (options.explain) {
+    if (!result.plan) throw new Error('neo4j_plan_missing');
+    return { source: 'neo4j-http', format: 'neo4j', raw: result.plan, analyzed: options.explain === 'analyze' };
+  }
   const columns = result.columns || [];
-  const rows = (result.data || []).map(d => {
+
+  // the transactional endpoint returns everything at once; page it like the cursor engines
+  const sink = createRowSink(maxRows, options);
+  sink.setColumns(columns);
+  for (const d of result.data || []) {
     const obj = {};
     (d.row || []).forEach((val, i) => { obj[columns[i]] = val; });
-    return obj;
-  }).slice(0, maxRows);
-
-  return { source: 'neo4j-http', rows, columns, rowCount: rows.length };
+    if (!await sink.push(obj)) break;
+  }
+  return sink.result('neo4j-http');
 }
 
 /* -------------------- Neo4j Bolt driver helper with auto-fallback -------------------- */
+
+// $name parameters for Bolt: whole numbers as Cypher INTEGERs (plain JS numbers are sent
+// as FLOATs) and dates as DATETIMEs
+function neo4jBoltParams(params) {
+  const out = {};
+  for (const [name, v] of Object.entries(namedValues(params, 'neo4j'))) {
+    out[name] = Number.isSafeInteger(v) ? neo4j.int(v)
+      : v instanceof Date ? neo4j.types.DateTime.fromStandardDate(v)
+      : v && v._bsontype === 'ObjectId' ? v.toHexString()
+      : v;
+  }
+  return out;
+}
+
 /**
  * Attempts Bolt first. If Bolt fails due to routing/network/HTTP-on-Bolt,
  * falls back to HTTP transactional endpoint.
@@ -115,8 +282,9 @@ async function runQueryOnNeo4jHttp(connectionString, query, maxRows = 1000, user
  * connectionString: any of neo4j://, neo4j+s://, neo4j+ssc://, bolt://, bolt+s://, http(s)://
  * authUser/authPass: optional; will attempt to extract from URI if omitted.
  * database: optional database name (defaults to 'neo4j')
+ * options.allowWrites: open a WRITE session instead of the default READ one
  */
-async function runQueryOnNeo4j(connectionString, query, maxRows = 1000, authUser, authPass, database = 'neo4j') {
+async function runQueryOnNeo4j(connectionString, query, maxRows = 1000, authUser, authPass, database = 'neo4j', options = {}) {
   let uri = connectionString.trim();
   let user = authUser;
   let pass = authPass;
@@ -140,143 +308,314 @@ async function runQueryOnNeo4j(connectionString, query, maxRows = 1000, authUser
   if (looksLikeBolt) {
     // If missing creds, try HTTP fallback (HTTP helper can extract creds from URI)
     if (!user || !pass) {
-      return await runQueryOnNeo4jHttp(connectionString, query, maxRows, user, pass, database);
+      return await runQueryOnNeo4jHttp(connectionString, query, maxRows, user, pass, database, options);
     }
 
-    let driver;
     try {
-      driver = neo4j.driver(uri, neo4j.auth.basic(user, pass), { disableLosslessIntegers: false });
-      const session = driver.session({ defaultAccessMode: neo4j.session.READ, database });
+      return await withPool('neo4j', { uri, user, password: pass }, async (driver, lease) => {
+        const accessMode = options.allowWrites ? neo4j.session.WRITE : neo4j.session.READ;
+        const session = driver.session({ defaultAccessMode: accessMode, database });
 
-      function normalizeValue(v) {
-        try {
-          if (neo4j.isInt && neo4j.isInt(v)) return v.toNumber();
-        } catch { /* ignore */ }
+        function normalizeValue(v) {
+          try {
+            if (neo4j.isInt && neo4j.isInt(v)) return v.toNumber();
+          } catch { /* ignore */ }
 
-        if (Array.isArray(v)) return v.map(normalizeValue);
+          if (Array.isArray(v)) return v.map(normalizeValue);
 
-        if (v && typeof v === 'object' && v.identity && v.labels && v.properties) {
-          const out = { id: v.identity ? String(v.identity) : undefined, labels: v.labels };
-          for (const k of Object.keys(v.properties || {})) out[k] = normalizeValue(v.properties[k]);
-          return out;
-        }
+          if (v && typeof v === 'object' && v.identity && v.labels && v.properties) {
+            const out = { id: v.identity ? String(v.identity) : undefined, labels: v.labels };
+            for (const k of Object.keys(v.properties || {})) out[k] = normalizeValue(v.properties[k]);
+            return out;
+          }
 
-        if (v && typeof v === 'object' && v.start && v.end && v.type && v.properties) {
-          const out = { id: v.identity ? String(v.identity) : undefined, type: v.type, start: String(v.start), end: String(v.end) };
-          out.properties = {};
-          for (const k of Object.keys(v.properties || {})) out.properties[k] = normalizeValue(v.properties[k]);
-          return out;
-        }
+          if (v && typeof v === 'object' && v.start && v.end && v.type && v.properties) {
+            const out = { id: v.identity ? String(v.identity) : undefined, type: v.type, start: String(v.start), end: String(v.end) };
+            out.properties = {};
+            for (const k of Object.keys(v.properties || {})) out.properties[k] = normalizeValue(v.properties[k]);
+            return out;
+          }
 
-        if (v instanceof Date) return v.toISOString();
-        if (v && typeof v === 'object') {
-          const r = {};
-          for (const k of Object.keys(v)) r[k] = normalizeValue(v[k]);
-          return r;
+          if (v instanceof Date) return v.toISOString();
+          if (v && typeof v === 'object') {
+            const r = {};
+            for (const k of Object.keys(v)) r[k] = normalizeValue(v[k]);
+            return r;
+          }
+          return v;
         }
-        return v;
-      }
 
-      try {
-        const result = await session.run(query);
-        const records = result.records || [];
-        const rows = records.map(rec => {
-          const out = {};
-          for (const key of rec.keys) {
-            out[key] = normalizeValue(rec.get(key));
+        let stopCancel = () => {};
+        try {
+          // records are pulled as they are consumed; leaving the loop early cancels the rest
+          const { execution } = options;
+          const params = neo4jBoltParams(options.params);
+          const result = execution
+            ? session.run(query, params, { timeout: execution.remainingMs(), metadata: { executionId: execution.tag } })
+            : session.run(query, params);
+          stopCancel = onCancel(options, () => terminateNeo4jTransactions(driver, database, execution.tag));
+          if (options.explain) {
+            // the plan comes with the summary, once every record (PROFILE) has been consumed
+            const summary = await result.summary();
+            const plan = summary.profile || summary.plan;
+            if (!plan) throw new Error('neo4j_plan_missing');
+            const raw = JSON.parse(JSON.stringify(plan, (k, v) => (neo4j.isInt(v) ? v.toNumber() : v)));
+            return { source: 'neo4j', format: 'neo4j', raw, analyzed: !!summary.profile };
+          }
+          const sink = createRowSink(maxRows, options);
+          sink.setColumns(await result.keys());
+          for await (const rec of result) {
+            const out = {};
+            for (const key of rec.keys) {
+              out[key] = normalizeValue(rec.get(key));
+            }
+            if (!await sink.push(out)) break;
+          }
+
+          return sink.result('neo4j');
+        } catch (err) {
+          const msg = (err && err.message) ? String(err.message).toLowerCase() : '';
+          const shouldFallback = msg.includes('server responded http') ||
+            msg.includes('could not perform discovery') ||
+            msg.includes('no routing') ||
+            msg.includes('failed to fetch routing table') ||
+            msg.includes('connect') || msg.includes('econnrefused') || msg.includes('enetunreach');
+
+          if (shouldFallback && !(options.execution && options.execution.reason)) {
+            // don't keep a driver for a server that doesn't speak bolt
+            lease.discard();
+            return await runQueryOnNeo4jHttp(connectionString, query, maxRows, user, pass, database, options);
           }
-          return out;
-        }).slice(0, maxRows);
-
-        const columns = rows[0] ? Object.keys(rows[0]) : [];
-        await session.close();
-        await driver.close();
-        return { source: 'neo4j', rows, columns, rowCount: rows.length };
-      } catch (err) {
-        const msg = (err && err.message) ? String(err.message).toLowerCase() : '';
-        const shouldFallback = msg.includes('server responded http') ||
-          msg.includes('could not perform discovery') ||
-          msg.includes('no routing') ||
-          msg.includes('failed to fetch routing table') ||
-          msg.includes('connect') || msg.includes('econnrefused') || msg.includes('enetunreach');
-
-        try { await session.close(); } catch { /* ignore */ }
-        try { await driver.close(); } catch { /* ignore */ }
-
-        if (shouldFallback) {
-          return await runQueryOnNeo4jHttp(connectionString, query, maxRows, user, pass, database);
+          throw err;
+        } finally {
+          stopCancel();
+          await session.close().catch(() => {});
         }
-        throw err;
-      }
+      });
     } catch (err) {
       const msg = (err && err.message) ? String(err.message).toLowerCase() : '';
       const allowFallback = msg.includes('server responded http') || msg.includes('could not perform discovery') || msg.includes('no routing') || msg.includes('failed to fetch routing table') || msg.includes('econnrefused') || msg.includes('enetunreach');
       if (allowFallback) {
         try {
-          return await runQueryOnNeo4jHttp(connectionString, query, maxRows, user, pass, database);
+          return await runQueryOnNeo4jHttp(connectionString, query, maxRows, user, pass, database, options);
         } catch (err2) {
           throw new Error(`bolt_error: ${err.message}; http_fallback_error: ${err2.message}`);
         }
       }
       try {
-        return await runQueryOnNeo4jHttp(connectionString, query, maxRows, user, pass, database);
+        return await runQueryOnNeo4jHttp(connectionString, query, maxRows, user, pass, database, options);
       } catch {
         throw err;
       }
     }
   } else {
     // Not a bolt-style URI: go straight to HTTP helper
-    return await runQueryOnNeo4jHttp(connectionString, query, maxRows, user, pass, database);
+    return await runQueryOnNeo4jHttp(connectionString, query, maxRows, user, pass, database, options);
   }
 }
 
 /* -------------------- file upload helper -------------------- */
 /**
- * Save metadata for uploaded file
- * multer file object expected
+ * Register an uploaded file
+ * multer file object expected (stored in UPLOADS_DIR); ownerId is the uploading user
+ * options.columnTypes: optional { column: type } overrides (object or JSON string)
+ * for tabular imports; the effective and inferred types are returned in file.columns.
+ * Every sheet (xlsx) or bundled file (zip) becomes its own table, listed in file.tables.
+ * options.jsonMode: 'nested' (default: dotted columns + child tables) or 'flat'
  */
-async function handleUpload(file) {
-  const filesIdx = loadFilesIndex();
-  const id = randomUUID();
+async function handleUpload(file, ownerId, options = {}) {
+  if (!ownerId) throw new Error('owner_required');
   const ext = path.extname(file.originalname).toLowerCase();
-  const type =
-    ext === '.csv' ? 'csv'
-      : ext === '.json' ? 'json'
-      : (ext === '.sqlite' || ext === '.db') ? 'sqlite'
-      : ext === '.sql' ? 'sql'
-      : 'unknown';
-
-  const meta = {
-    id,
+  const type = detectFileType(ext);
+  const overrides = parseColumnTypeOverrides(options.columnTypes);
+  const jsonMode = options.jsonMode || 'nested';
+  if (!JSON_IMPORT_MODES.includes(jsonMode)) throw new Error('invalid_jsonMode');
+  const columns = await inferFileColumns({ type, path: file.path, jsonMode }, overrides).catch(err => {
+    throw err instanceof SyntaxError ? new Error('invalid_json') : err;
+  });
+  const tables = columns
+    ? Array.from(new Set(columns.map(c => c.table)))
+    : type === 'sqlite' ? listSqliteFileTables(file.path) : undefined;
+
+  const doc = await UploadedFile.create({
+    owner: ownerId,
     originalName: file.originalname,
-    path: file.path,
+    storedName: path.basename(file.path),
     size: file.size,
-    uploadedAt: new Date().toISOString(),
     ext,
-    type
+    type,
+    status: 'ready',
+    checksum: await sha256File(file.path),
+    columns: columns || undefined,
+    tables,
+    jsonMode: type === 'json' || type === 'zip' ? jsonMode : undefined,
+    importStatus: type === 'sqlite' ? 'not_required' : 'pending'
+  });
+
+  // import into its SQLite cache in the background; queries await it if still running
+  if (doc.importStatus === 'pending') {
+    ensureMaterialized(toFileMeta(doc)).catch(err => console.error('materialize error', doc._id, err.message));
+  }
+  return { success: true, file: doc.toJSON() };
+}
+
+/**
+ * Look up an upload owned by userId. Files owned by someone else are reported
+ * as missing so ids can't be probed.
+ */
+async function getOwnedFile(fileId, userId) {
+  if (!fileId || !userId || !mongoose.isValidObjectId(userId)) throw new Error('file_not_found');
+  const doc = await UploadedFile.findOne({ _id: String(fileId), owner: userId }).lean();
+  if (!doc) throw new Error('file_not_found');
+  if (doc.status !== 'ready') throw new Error(`file_${doc.status}`);
+  return toFileMeta(doc);
+}
+
+// one upload's registry entry (import status/progress included) for its owner
+async function getFileInfo(fileId, userId) {
+  if (!fileId || !userId || !mongoose.isValidObjectId(userId)) throw new Error('file_not_found');
+  const doc = await UploadedFile.findOne({ _id: String(fileId), owner: userId });
+  if (!doc) throw new Error('file_not_found');
+  return doc.toJSON();
+}
+
+// uploads owned by userId, newest first
+async function listFiles(userId) {
+  const docs = await UploadedFile.find({ owner: userId }).sort({ uploadedAt: -1 });
+  return docs.map(d => d.toJSON());
+}
+
+// remove an owned upload from the registry and from disk
+async function deleteFile(fileId, userId) {
+  const doc = await UploadedFile.findOneAndDelete({ _id: String(fileId), owner: userId });
+  if (!doc) throw new Error('file_not_found');
+  try { fs.unlinkSync(path.join(UPLOADS_DIR, doc.storedName)); } catch { /* already gone */ }
+  try { fs.unlinkSync(materializedPath(doc._id)); } catch { /* never materialized */ }
+  invalidateCachedResults(`file:${doc._id}`);
+  await Workspace.updateMany({ owner: userId, 'files.fileId': doc._id }, { $pull: { files: { fileId: doc._id } } });
+  return { success: true, id: fileId };
+}
+
+/* -------------------- saved connections -------------------- */
+
+/**
+ * Map a connection string to the engine executeQuery will use for it,
+ * or null when no engine handles that scheme.
+ */
+function detectConnectionType(connectionString) {
+  const engine = getEngineForConnection(connectionString);
+  return engine ? engine.name : null;
+}
+
+// whose uploads, workspaces and saved connections a request may use: the caller's, or
+// (context.sourceOwnerId) the owner's when running a query they shared
+function sourceOwner(context) {
+  return context.sourceOwnerId || context.userId;
+}
+
+/**
+ * If payload names a saved connection (connectionId), load it for context.userId
+ * and return a copy of payload with the decrypted connectionString/user/password.
+ * Payloads without connectionId are returned unchanged.
+ */
+async function resolveConnectionRef(payload, context = {}) {
+  if (!payload || !payload.connectionId) return payload;
+  if (!sourceOwner(context)) throw new Error('auth_required_for_connectionId');
+  if (!mongoose.isValidObjectId(payload.connectionId)) throw new Error('connection_not_found');
+
+  const conn = await Connection.findOne({ _id: payload.connectionId, user: sourceOwner(context) });
+  if (!conn) throw new Error('connection_not_found');
+  const secret = conn.getSecret();
+
+  return {
+    ...payload,
+    sourceType: 'connection',
+    connectionString: secret.connectionString,
+    user: secret.user || undefined,
+    password: secret.password || undefined,
+    database: payload.database || conn.database || undefined
   };
-  filesIdx[id] = meta;
-  saveFilesIndex(filesIdx);
-  return { success: true, file: meta };
+}
+
+/**
+ * Check that a connection is reachable and the credentials work.
+ * payload: { connectionString, user?, password?, database? }
+ * returns { ok, latencyMs, error? } (never throws for connection failures)
+ */
+async function testConnection(payload) {
+  const started = Date.now();
+  try {
+    if (!payload || !payload.connectionString) throw new Error('connectionString_required');
+    const cs = payload.connectionString.trim();
+    const engine = getEngineForConnection(cs);
+    if (!engine) throw new Error('unsupported_connection_type');
+    await engine.test(cs, payload);
+    return { ok: true, latencyMs: Date.now() - started };
+  } catch (err) {
+    return { ok: false, latencyMs: Date.now() - started, error: err.message || String(err) };
+  }
 }
 
 /* -------------------- core executeQuery -------------------- */
 /**
- * Main entry: execute a SQL query against a file or a connection string,
- * or a Mongo structured query when connectionString points to Mongo.
+ * Main entry: run a query against an upload, workspace or connection: SQL against a file or
+ * a connection string, Cypher on Neo4j, a Mongo structured query when connectionString points
+ * to Mongo. The connection string's scheme picks the engine (utils/engineRegistry).
  *
  * payload: {
- *   sourceType: 'file'|'connection',
- *   fileId?,
+ *   sourceType: 'file'|'workspace'|'connection',
+ *   fileId?,        // upload owned by the source owner (see context)
+ *   workspaceId?,   // workspace owned by the source owner
+ *   engine?,        // uploads: 'sqlite' (default, imported copy) or 'duckdb' (files read in place)
  *   connectionString?,
+ *   connectionId?,  // saved Connection owned by the source owner, resolved server-side
  *   user?, password?, database?,
  *   query?,       // SQL query string for SQL engines or imported files OR Cypher when using Neo4j
- *   mongo?,       // { collection, filter?, projection?, limit? } for MongoDB
- *   maxRows?
+ *                 // OR mongo shell text (db.orders.find({...}).sort({...})) for MongoDB
+ *                 // OR one read-only command line (HGETALL user:1) for Redis
+ *   mongo?,       // structured MongoDB query, see runQueryOnMongo; typed values as Extended JSON
+ *   params?,      // bind values, never interpolated into the query text (utils/queryParams):
+ *                 // [v1, v2] for $1 (pg) / ? (mysql, sqlite) / @p1 (mssql) marks, or
+ *                 // { name: v } for :name (SQL), $name (Cypher), {name:Type} (ClickHouse)
+ *                 // and { $param: 'name' } (Mongo) placeholders; a value is plain JSON or
+ *                 // { $type: 'string'|'int'|'float'|'bool'|'date'|'json'|'objectId', value }
+ *   maxRows?,
+ *   pageToken?,   // continues a truncated read from the previous response's nextPageToken
+ *   allowWrites?, // must be true to run anything but a single read statement
+ *   ejson?,       // MongoDB values as 'relaxed' (default) or 'canonical' Extended JSON
+ *   allowServerSideJs?, // must be true for Mongo $where / $function / $accumulator
+ *   timeoutMs?,   // default 60s (streams: 30 min), max 30 min
+ *   executionId?, // id to cancel the run by (cancelExecution); generated when omitted
+ *   cache?,       // 'use' (default): serve a cached result of the same read on the same source,
+ *                 // 'refresh': run and replace it, 'bypass': run without the cache (utils/resultCache)
+ *   cacheTtlMs?,  // oldest cached result to accept, and how long a new one is kept (default 5 min)
+ *   explain?      // true / 'plan': return the engine's query plan instead of rows (see explainResult);
+ *                 // 'analyze': run the query to measure it (reads only)
  * }
+ *
+ * Sources are looked up for context.sourceOwnerId when set (a shared saved query runs on its
+ * owner's sources), else for context.userId; the execution always belongs to context.userId.
+ * context.onRow / context.onColumns stream rows instead of buffering them (NDJSON route);
+ * streamed results come back with rows: [].
+ *
+ * Queries are classified first and writes (DML/DDL/multi-statement, Mongo write
+ * ops, Cypher CREATE/MERGE/DELETE...) are rejected unless allowWrites is set.
+ * Reads additionally run inside a read-only transaction/session on each engine.
+ *
+ * A run that is cancelled or passes timeoutMs is stopped on the engine and fails with
+ * query_cancelled / query_timeout. SQLite statements run in a worker process
+ * (utils/sqliteWorker), which is killed to stop them, as better-sqlite3 can't be interrupted.
+ *
+ * Buffered reads are cached per source (see resultCacheSource); writes on a connection drop
+ * its cached results. Streams never use the cache.
+ * returns { source, rows, columns, rowCount, truncated, nextPageToken?, affectedRows?, executionId,
+ *   cache?: { mode, hit, ageMs?, cachedAt?, expiresAt?, stored? } }
+ *   (a cache hit runs nothing, so it has no executionId)
  */
-async function executeQuery(payload) {
+async function executeQuery(payload, context = {}) {
   if (!payload) throw new Error('empty_payload');
+  const requested = payload;
+  payload = await resolveConnectionRef(payload, context);
 
   const hasSQLQuery = !!(payload.query && String(payload.query).trim());
   const hasMongoQuery = !!(payload.mongo && payload.mongo.collection);
@@ -284,244 +623,1999 @@ async function executeQuery(payload) {
   if (!hasSQLQuery && !hasMongoQuery) {
     throw new Error('empty_query_or_mongo');
   }
+  const params = normalizeParams(payload.params);
+
+  const streaming = typeof context.onRow === 'function';
+  const explain = explainModeOf(payload.explain);
+  if (explain && streaming) throw new Error('explain_not_streamable');
+  const maxRows = Math.max(1, Math.min(
+    Number(payload.maxRows) || (streaming ? MAX_STREAM_ROWS : 1000),
+    streaming ? MAX_STREAM_ROWS : MAX_PAGE_ROWS
+  ));
+  const offset = payload.pageToken && !explain ? decodePageToken(payload.pageToken, requested) : 0;
+
+  const cache = streaming || explain ? null : cacheOptions(payload);
+  let cached = null;
+  if (cache && cache.mode !== 'bypass') {
+    cached = await resultCacheSource(payload, context);
+    cached.key = cacheKey([
+      cached.identity,
+      hasSQLQuery ? normalizeQueryText(payload.query) : null,
+      hasSQLQuery ? null : payload.mongo,
+      params, maxRows, offset, payload.database, payload.ejson, payload.allowServerSideJs === true
+    ]);
+    const hit = cache.mode === 'use' && getCachedResult(cached.key, cache.ttlMs);
+    if (hit) {
+      const result = {
+        ...hit.result,
+        cache: { mode: cache.mode, hit: true, ageMs: hit.ageMs, cachedAt: hit.storedAt, expiresAt: hit.expiresAt }
+      };
+      // the token is bound to this request's query text, which may differ in whitespace
+      if (result.truncated) result.nextPageToken = encodePageToken(requested, offset + result.rowCount);
+      return result;
+    }
+  }
 
-  const maxRows = Number(payload.maxRows || 1000);
-  const sourceType = payload.sourceType || (payload.fileId ? 'file' : 'connection');
+  const timeoutMs = Math.max(1, Math.min(
+    Number(payload.timeoutMs) || (streaming ? MAX_QUERY_TIMEOUT_MS : DEFAULT_QUERY_TIMEOUT_MS),
+    MAX_QUERY_TIMEOUT_MS
+  ));
+  const execution = startExecution({
+    id: payload.executionId,
+    userId: context.userId,
+    timeoutMs,
+    source: sourceTypeOf(payload)
+  });
+  const options = {
+    allowWrites: payload.allowWrites === true,
+    offset,
+    onRow: context.onRow,
+    onColumns: context.onColumns,
+    params,
+    explain,
+    execution
+  };
+
+  let result;
+  try {
+    result = await dispatchQuery(payload, context, maxRows, options, { hasSQLQuery });
+  } catch (err) {
+    // whatever the engine reported, the cause was the cancel / timeout
+    execution.throwIfCancelled();
+    throw err;
+  } finally {
+    execution.finish();
+  }
+  if (explain) return { source: result.source, explain: explainResult(result, explain), executionId: execution.id };
+  if (!options.readOnlyStatement && sourceTypeOf(payload) === 'connection') {
+    invalidateCachedResults(connectionCacheTag(payload.connectionString));
+  }
+  if (cache) {
+    const stored = !!cached && options.readOnlyStatement &&
+      setCachedResult(cached.key, result, { ttlMs: cache.ttlMs, tags: cached.tags });
+    result = { ...result, cache: { mode: cache.mode, hit: false, stored } };
+  }
+  if (result.truncated && !streaming && options.readOnlyStatement) {
+    result.nextPageToken = encodePageToken(requested, offset + result.rowCount);
+  }
+  result.executionId = execution.id;
+  return result;
+}
+
+function sourceTypeOf(payload) {
+  return payload.sourceType || (payload.workspaceId ? 'workspace' : payload.fileId ? 'file' : 'connection');
+}
 
-  if (sourceType === 'file') {
-    const filesIdx = loadFilesIndex();
-    const meta = filesIdx[payload.fileId];
-    if (!meta) throw new Error('file_not_found');
-    if (meta.type === 'sqlite') {
+async function dispatchQuery(payload, context, maxRows, options, { hasSQLQuery }) {
+  const sourceType = sourceTypeOf(payload);
+  // gate the statement, and note whether it is a plain read that can go through a cursor
+  const allow = (classification) => {
+    if (options.explain) return assertExplainable(classification, options.explain);
+    assertAllowed(classification, options);
+    options.readOnlyStatement = classification.readOnly;
+    // re-running a write to fetch "page 2" would apply it twice
+    if (options.offset && !classification.readOnly) throw new Error('pageToken_requires_read_query');
+  };
+
+  if (sourceType === 'workspace') {
+    if (!hasSQLQuery) throw new Error('empty_query_for_workspace');
+    allow(classifySql(payload.query));
+    const ws = await getOwnedWorkspace(payload.workspaceId, sourceOwner(context));
+    const dbPath = await ensureWorkspaceMaterialized(ws, sourceOwner(context));
+    if (options.explain) return explainSqlite(dbPath, payload.query, options, 'sqlite-workspace');
+    return runQueryOnCachedDb(dbPath, payload.query, maxRows, options, 'sqlite-workspace');
+  } else if (sourceType === 'file') {
+    const fileEngine = payload.engine || 'sqlite';
+    if (!FILE_ENGINES.includes(fileEngine)) throw new Error('invalid_engine');
+    const meta = await getOwnedFile(payload.fileId, sourceOwner(context));
+    touchFile(meta.id);
+    if (fileEngine === 'duckdb') {
+      if (options.explain) throw new Error('explain_not_supported:duckdb');
+      // the upload's files are queried in place, under the table names an import would use
+      const engine = getEngine('duckdb');
+      const query = engine.parse(payload, options);
+      allow(engine.classify(query, payload));
+      return withUploadParts(meta, (parts) => {
+        const taken = new Set();
+        return engine.run(parts.map(p => ({ ...p, table: partTableName(p, taken) })), query, payload, maxRows, options);
+      });
+    } else if (meta.type === 'sqlite') {
       if (!hasSQLQuery) throw new Error('empty_query_for_sqlite_file');
-      return runQueryOnSqliteFile(meta.path, payload.query, maxRows);
+      allow(classifySql(payload.query));
+      if (options.explain) return explainSqlite(meta.path, payload.query, options, 'sqlite-file');
+      const result = await runQueryOnSqliteFile(meta.path, payload.query, maxRows, options);
+      if (options.allowWrites) await refreshFileChecksum(meta);
+      return result;
     } else {
       if (!hasSQLQuery) throw new Error('empty_query_for_file_import');
-      return runQueryOnImportedFile(meta, payload.query, maxRows);
+      allow(classifySql(payload.query));
+      if (options.explain) return explainSqlite(await ensureMaterialized(meta), payload.query, options, 'sqlite-import');
+      return runQueryOnImportedFile(meta, payload.query, maxRows, options);
     }
   } else if (sourceType === 'connection') {
     if (!payload.connectionString) throw new Error('connectionString_required');
     const cs = payload.connectionString.trim();
+    const engine = getEngineForConnection(cs);
+    if (!engine) throw new Error('unsupported_connection_type');
+    if (options.explain && !engine.explain) throw new Error(`explain_not_supported:${engine.name}`);
+    const query = engine.parse(payload, options);
+    allow(engine.classify(query, payload));
+    if (options.explain) return engine.explain(cs, query, payload, options);
+    return engine.run(cs, query, payload, maxRows, options);
+  } else {
+    throw new Error('invalid_sourceType');
+  }
+}
 
-    // Detect Mongo URIs
-    if (cs.startsWith('mongodb://') || cs.startsWith('mongodb+srv://')) {
-      if (!hasMongoQuery) throw new Error('mongo_query_required_for_mongodb');
-      return runQueryOnMongo(cs, payload.mongo || {}, maxRows);
-    }
-
-    // Postgres
-    if (cs.startsWith('postgres://') || cs.startsWith('postgresql://')) {
-      if (!hasSQLQuery) throw new Error('sql_query_required_for_postgres');
-      return runQueryOnPostgres(cs, payload.query, maxRows);
-    }
+/* -------------------- query plans -------------------- */
 
-    // MySQL / MariaDB
-    if (cs.startsWith('mysql://') || cs.startsWith('mariadb://')) {
-      if (!hasSQLQuery) throw new Error('sql_query_required_for_mysql');
-      return runQueryOnMySQL(cs, payload.query, maxRows);
-    }
+const EXPLAIN_MODES = ['plan', 'analyze'];
 
-    // Neo4j (supports neo4j://, neo4j+s://, neo4j+ssc://, bolt://, bolt+s://, http(s)://)
-    if (
-      /^(neo4j|bolt)(\+s|\+ssc)?:\/\//i.test(cs) ||
-      /^https?:\/\//i.test(cs)
-    ) {
-      if (!hasSQLQuery) throw new Error('cypher_query_required_for_neo4j');
-      return runQueryOnNeo4j(cs, payload.query, maxRows, payload.user, payload.password, payload.database || 'neo4j');
-    }
+// payload.explain as a mode: null (run the query), 'plan' or 'analyze'
+function explainModeOf(value) {
+  if (value === undefined || value === null || value === false) return null;
+  if (value === true) return 'plan';
+  if (!EXPLAIN_MODES.includes(value)) throw new Error('invalid_explain');
+  return value;
+}
 
-    throw new Error('unsupported_connection_type');
-  } else {
-    throw new Error('invalid_sourceType');
-  }
+/**
+ * Plan commands only plan one statement, so writes may be explained without allowWrites;
+ * analyze mode executes the query and is limited to reads.
+ */
+function assertExplainable(classification, mode) {
+  if (classification.type === 'empty') throw new Error('empty_query');
+  if (classification.type === 'multi') throw new Error('explain_requires_single_statement');
+  if (mode === 'analyze' && !classification.readOnly) throw new Error('explain_analyze_requires_read_query');
 }
 
-/* -------------------- helpers for SQL / file imports -------------------- */
+/**
+ * The explain part of an executeQuery response, from an engine's native plan
+ * ({ source, format, raw, analyzed }).
+ * returns {
+ *   mode, analyzed,   // analyzed: actual rows / times were measured (not all engines can)
+ *   format,           // native plan format: postgres | mysql | sqlite | mongodb | neo4j
+ *   plan,             // normalized plan tree (utils/queryPlans.js)
+ *   stats, fullScans, indexesUsed,
+ *   text,             // the tree as indented text
+ *   raw               // the engine's own output
+ * }
+ */
+function explainResult(native, mode) {
+  const { root, stats, fullScans, indexesUsed } = normalizePlan(native.format, native.raw);
+  return {
+    mode,
+    analyzed: native.analyzed,
+    format: native.format,
+    plan: root,
+    stats,
+    fullScans,
+    indexesUsed,
+    text: formatPlanText(root),
+    raw: native.raw
+  };
+}
 
-function runQueryOnSqliteFile(filePath, query, maxRows) {
-  const db = new Database(filePath, { readonly: true, fileMustExist: true, timeout: 5000 });
+// EXPLAIN QUERY PLAN only plans, so analyze mode measures nothing more on SQLite
+function explainSqlite(dbPath, query, options, source) {
+  const db = new Database(dbPath, { readonly: true, fileMustExist: true, timeout: 5000 });
   try {
-    const stmt = db.prepare(query);
-    const rows = stmt.all();
-    const sliced = Array.isArray(rows) ? rows.slice(0, maxRows) : [];
-    const columns = sliced[0] ? Object.keys(sliced[0]) : [];
-    return { source: 'sqlite-file', rows: sliced, columns, rowCount: sliced.length };
+    const raw = db.prepare(`EXPLAIN QUERY PLAN ${query}`).all(...sqliteBindArgs(options.params));
+    return { source, format: 'sqlite', raw, analyzed: false };
   } finally {
     db.close();
   }
 }
 
-async function runQueryOnImportedFile(meta, query, maxRows) {
-  const tmpobj = tmp.fileSync({ postfix: '.sqlite' });
-  const tmpDbPath = tmpobj.name;
-  const db = new Database(tmpDbPath);
+/* -------------------- result cache -------------------- */
+
+// an upload's contents as seen by the cache: replacing or modifying the file changes it
+// (the registry checksum only catches up once the file is re-imported)
+function fileCacheVersion(meta) {
   try {
-    if (meta.type === 'csv') {
-      await importCsvToSqlite(meta.path, db, 'imported_csv');
-    } else if (meta.type === 'json') {
-      await importJsonToSqlite(meta.path, db, 'imported_json');
-    } else if (meta.type === 'sql') {
-      const sqlText = fs.readFileSync(meta.path, 'utf8');
-      db.exec(sqlText);
-    } else {
-      const txt = fs.readFileSync(meta.path, 'utf8').trim();
-      if (txt.startsWith('[')) {
-        await importJsonToSqlite(meta.path, db, 'imported_json');
-      } else {
-        await importCsvToSqlite(meta.path, db, 'imported_csv');
-      }
-    }
-    const stmt = db.prepare(query);
-    const rows = stmt.all();
-    const sliced = Array.isArray(rows) ? rows.slice(0, maxRows) : [];
-    const columns = sliced[0] ? Object.keys(sliced[0]) : [];
-    return { source: 'temp-sqlite-import', rows: sliced, columns, rowCount: sliced.length };
-  } finally {
-    db.close();
-    try { tmpobj.removeCallback(); } catch { /* ignore */ }
+    const stat = fs.statSync(meta.path);
+    return [stat.size, stat.mtimeMs];
+  } catch {
+    return null; // missing: the query reports it
   }
 }
 
-function importCsvToSqlite(csvPath, db, tableName) {
-  return new Promise((resolve, reject) => {
-    const stream = fs.createReadStream(csvPath);
-    const parser = csv();
-    let headersCreated = false;
-    const rowsBatch = [];
-    stream.pipe(parser)
-      .on('headers', (headers) => {
-        const cols = headers.map(h => `"${h.replace(/"/g, '""')}" TEXT`);
-        const createSQL = `CREATE TABLE IF NOT EXISTS "${tableName}" (${cols.join(',')});`;
-        db.exec(createSQL);
-        headersCreated = true;
-      })
-      .on('data', (data) => {
-        rowsBatch.push(data);
-        if (rowsBatch.length >= 500) {
-          insertRows(db, tableName, rowsBatch.splice(0, rowsBatch.length));
-        }
-      })
-      .on('end', () => {
-        if (rowsBatch.length) insertRows(db, tableName, rowsBatch);
-        resolve();
-      })
-      .on('error', (err) => reject(err));
-  });
+// results of every user's reads on a connection target, dropped when a write runs on it
+function connectionCacheTag(connectionString) {
+  return `connection:${cacheKey([String(connectionString).trim()])}`;
 }
 
-function insertRows(db, tableName, rows) {
-  if (!rows || rows.length === 0) return;
-  const cols = Object.keys(rows[0]);
-  const placeholders = cols.map(_ => '?').join(',');
-  const insertSQL = `INSERT INTO "${tableName}" (${cols.map(c => `"${c}"`).join(',')}) VALUES (${placeholders})`;
-  const insert = db.prepare(insertSQL);
-  const insertMany = db.transaction((data) => {
-    for (const r of data) {
-      const vals = cols.map(c => r[c] == null ? null : String(r[c]));
-      insert.run(vals);
+/**
+ * What identifies the source of a query for the result cache, looked up (and access
+ * checked) the way dispatchQuery does:
+ * - uploads: file id, engine and file version (size + mtime)
+ * - workspaces: workspace id and each member's table name and file version
+ * - connections: the source owner and the resolved target (string, credentials, database)
+ * returns { identity, tags } (tags: file:<id>, workspace:<id>, connection:<hash>)
+ */
+async function resultCacheSource(payload, context) {
+  const ownerId = sourceOwner(context);
+  const sourceType = sourceTypeOf(payload);
+  if (sourceType === 'workspace') {
+    const ws = await getOwnedWorkspace(payload.workspaceId, ownerId);
+    const members = [];
+    for (const member of ws.files) {
+      const meta = await getOwnedFile(member.fileId, ownerId);
+      members.push([meta.id, member.tableName, fileCacheVersion(meta)]);
     }
-  });
-  insertMany(rows);
+    return {
+      identity: ['workspace', String(ws._id), members],
+      tags: [`workspace:${ws._id}`, ...members.map(([fileId]) => `file:${fileId}`)]
+    };
+  } else if (sourceType === 'file') {
+    const meta = await getOwnedFile(payload.fileId, ownerId);
+    return {
+      identity: ['file', meta.id, payload.engine || 'sqlite', fileCacheVersion(meta)],
+      tags: [`file:${meta.id}`]
+    };
+  }
+  const cs = String(payload.connectionString || '').trim();
+  return {
+    identity: ['connection', ownerId ? String(ownerId) : null, cs, payload.user, payload.password],
+    tags: [connectionCacheTag(cs)]
+  };
 }
 
-function importJsonToSqlite(jsonPath, db, tableName) {
-  return new Promise((resolve, reject) => {
-    try {
-      const txt = fs.readFileSync(jsonPath, 'utf8');
-      let arr = JSON.parse(txt);
-      if (!Array.isArray(arr)) arr = [arr];
-      if (arr.length === 0) return resolve();
-      const cols = Array.from(new Set(arr.flatMap(o => Object.keys(o))));
-      const colsDef = cols.map(c => `"${c}" TEXT`);
-      db.exec(`CREATE TABLE IF NOT EXISTS "${tableName}" (${colsDef.join(',')});`);
-      const normRows = arr.map(o => {
-        const row = {};
-        for (const c of cols) row[c] = o[c] == null ? null : String(o[c]);
-        return row;
-      });
-      insertRows(db, tableName, normRows);
-      resolve();
-    } catch (err) {
-      reject(err);
-    }
-  });
-}
+/* -------------------- result paging / streaming -------------------- */
 
-/* -------------------- Postgres / MySQL helpers -------------------- */
+const MAX_PAGE_ROWS = 10000; // rows per buffered response
+const MAX_STREAM_ROWS = 1000000; // rows per NDJSON stream
+// engines collect rows through createRowSink (utils/rowSink.js)
+
+/* -------------------- timeouts / cancellation -------------------- */
 
-async function runQueryOnPostgres(connectionString, query, maxRows) {
-  const client = new PgClient({ connectionString, statement_timeout: 10000 });
+const DEFAULT_QUERY_TIMEOUT_MS = 60 * 1000;
+const MAX_QUERY_TIMEOUT_MS = 30 * 60 * 1000;
+
+// run fn when the execution in options is cancelled or times out; returns an unregister function
+function onCancel(options, fn) {
+  return options.execution ? options.execution.onCancel(fn) : () => {};
+}
+
+// Postgres: cancel the backend's running statement from a separate connection
+// (the pool may have no free connection left)
+async function cancelPostgresBackend(connectionString, pid) {
+  const client = new PgClient({ connectionString });
   await client.connect();
   try {
-    const res = await client.query({ text: query });
-    const columns = res.fields ? res.fields.map(f => f.name) : [];
-    const rows = res.rows.slice(0, maxRows);
-    return { source: 'postgres', rows, columns, rowCount: rows.length };
+    await client.query('SELECT pg_cancel_backend($1)', [pid]);
   } finally {
     await client.end();
   }
 }
 
-async function runQueryOnMySQL(connectionString, query, maxRows) {
+// MySQL: KILL QUERY on the connection's thread, from a separate connection
+async function killMySQLQuery(connectionString, threadId) {
   const conn = await mysql.createConnection(connectionString);
   try {
-    const [rows, fields] = await conn.execute({ sql: query });
-    const resultRows = Array.isArray(rows) ? rows.slice(0, maxRows) : [];
-    const columns = fields ? fields.map(f => f.name) : (resultRows[0] ? Object.keys(resultRows[0]) : []);
-    return { source: 'mysql', rows: resultRows, columns, rowCount: resultRows.length };
+    await conn.query('KILL QUERY ?', [threadId]);
   } finally {
     await conn.end();
   }
 }
 
-/* -------------------- MongoDB support -------------------- */
+// MongoDB: killOp every operation carrying the execution tag as its comment
+async function killMongoOps(client, executionId) {
+  const admin = client.db('admin');
+  const { inprog = [] } = await admin.command({
+    currentOp: true,
+    $or: [{ 'command.comment': executionId }, { 'cursor.originatingCommand.comment': executionId }]
+  });
+  for (const op of inprog) await admin.command({ killOp: 1, op: op.opid });
+}
 
-async function runQueryOnMongo(connectionString, mongoQuery = {}, maxRows = 1000) {
-  if (!mongoQuery || !mongoQuery.collection) {
-    throw new Error('mongo.query_missing_collection');
+// Neo4j: terminate the transactions whose metadata carries the execution tag
+async function terminateNeo4jTransactions(driver, database, executionId) {
+  const session = driver.session({ database });
+  try {
+    const res = await session.run(
+      'SHOW TRANSACTIONS YIELD transactionId, metaData WHERE metaData.executionId = $executionId RETURN transactionId',
+      { executionId }
+    );
+    const ids = res.records.map(r => r.get('transactionId'));
+    if (ids.length) await session.run('TERMINATE TRANSACTIONS $ids', { ids });
+  } finally {
+    await session.close();
   }
+}
+
+// ties a page token to the query and source it was issued for
+function pageKey(payload) {
+  const identity = [
+    payload.workspaceId, payload.fileId, payload.engine, payload.connectionId, payload.connectionString,
+    payload.database, payload.query, payload.mongo, payload.params
+  ].map(v => (v === undefined ? null : v));
+  return crypto.createHash('sha256').update(JSON.stringify(identity)).digest('base64url').slice(0, 16);
+}
 
-  const limit = Math.min(Number(mongoQuery.limit || maxRows || 1000), maxRows);
-  const client = new MongoClient(connectionString, { serverSelectionTimeoutMS: 10000 });
+function encodePageToken(payload, offset) {
+  return Buffer.from(JSON.stringify({ o: offset, k: pageKey(payload) })).toString('base64url');
+}
 
-  await client.connect();
+// offset encoded in a page token issued for the same query and source
+function decodePageToken(token, payload) {
+  let parsed;
   try {
-    const db = client.db();
-    const coll = db.collection(mongoQuery.collection);
+    parsed = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('invalid_pageToken');
+  }
+  if (!parsed || !Number.isSafeInteger(parsed.o) || parsed.o < 0 || parsed.k !== pageKey(payload)) {
+    throw new Error('invalid_pageToken');
+  }
+  return parsed.o;
+}
+
+/**
+ * Reject anything but a single read statement unless the caller opted in to writes.
+ * classification comes from utils/statementClassifier.
+ */
+function assertAllowed(classification, options = {}) {
+  if (classification.type === 'empty') throw new Error('empty_query');
+  if (classification.readOnly || options.allowWrites) return;
+  throw new Error(`write_not_allowed:${classification.type}`);
+}
 
-    const filter = (mongoQuery.filter && typeof mongoQuery.filter === 'object') ? mongoQuery.filter : {};
-    const projection = (mongoQuery.projection && typeof mongoQuery.projection === 'object') ? mongoQuery.projection : undefined;
+/* -------------------- helpers for SQL / file imports -------------------- */
 
-    const cursor = coll.find(filter, projection ? { projection } : {}).limit(limit);
-    const docs = await cursor.toArray();
+const SQLITE_WORKER_PATH = require.resolve('../utils/sqliteWorker');
 
-    const normalized = docs.map(doc => {
-      const out = {};
-      for (const k of Object.keys(doc)) {
-        const v = doc[k];
-        if (v && typeof v === 'object') {
-          if (v._bsontype === 'ObjectID' && typeof v.toString === 'function') {
-            out[k] = String(v);
-            continue;
-          }
-          if (v instanceof Date) {
-            out[k] = v.toISOString();
-            continue;
-          }
+// messages from a SQLite worker process, in order; fails once it errors or exits
+function workerChannel(child) {
+  const queue = [];
+  let waiting = null;
+  let failure = null;
+  const fail = (err) => {
+    failure = failure || err;
+    if (waiting) waiting.reject(failure);
+    waiting = null;
+  };
+  child.on('message', (msg) => {
+    if (waiting) waiting.resolve(msg);
+    else queue.push(msg);
+    waiting = null;
+  });
+  child.on('error', fail);
+  child.on('exit', () => fail(new Error('sqlite_worker_exited')));
+  return {
+    send: (msg) => child.send(msg),
+    receive() {
+      if (queue.length) return Promise.resolve(queue.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => { waiting = { resolve, reject }; });
+    }
+  };
+}
+
+// a worker message, with an { type: 'error' } reply thrown as the SQLite error it reports
+async function receiveFromWorker(channel) {
+  const msg = await channel.receive();
+  if (msg.type !== 'error') return msg;
+  const err = new Error(msg.message);
+  err.code = msg.code;
+  throw err;
+}
+
+// blobs come back from the worker as Uint8Arrays
+function fromWorkerRow(row) {
+  for (const [k, v] of Object.entries(row)) {
+    if (v instanceof Uint8Array && !Buffer.isBuffer(v)) row[k] = Buffer.from(v.buffer, v.byteOffset, v.byteLength);
+  }
+  return row;
+}
+
+/**
+ * Run one statement on the SQLite database at dbPath (opened with dbOptions) in a worker
+ * process (utils/sqliteWorker). Rows are fetched CURSOR_BATCH_SIZE at a time as the sink
+ * takes them; a cancel or timeout kills the process, which stops the statement even in
+ * the middle of a step.
+ */
+async function runSqliteStatement(dbPath, dbOptions, query, maxRows, source, options = {}) {
+  const child = fork(SQLITE_WORKER_PATH, [], { serialization: 'advanced', stdio: ['ignore', 'inherit', 'inherit', 'ipc'] });
+  const channel = workerChannel(child);
+  const stopCancel = onCancel(options, () => child.kill('SIGKILL'));
+  try {
+    channel.send({
+      type: 'start', path: dbPath, dbOptions, query, bind: sqliteBindArgs(options.params), batchSize: CURSOR_BATCH_SIZE
+    });
+    const first = await receiveFromWorker(channel);
+    if (first.type === 'done') {
+      return { source, rows: [], columns: [], rowCount: 0, truncated: false, affectedRows: first.affectedRows };
+    }
+    const sink = createRowSink(maxRows, options);
+    sink.setColumns(first.columns);
+    for (let full = false; !full;) {
+      channel.send({ type: 'next' });
+      const batch = await receiveFromWorker(channel);
+      for (const row of batch.rows) {
+        if (!await sink.push(fromWorkerRow(row))) {
+          full = true;
+          break;
         }
-        out[k] = v;
       }
-      return out;
-    });
+      if (batch.done) break;
+    }
+    return sink.result(source);
+  } catch (err) {
+    // a killed worker reports query_cancelled / query_timeout, not the exit
+    if (options.execution) options.execution.throwIfCancelled();
+    throw err;
+  } finally {
+    stopCancel();
+    // a finished worker exits once disconnected; one still stepping is stopped outright
+    if (child.connected) child.disconnect();
+    if (child.exitCode === null && child.signalCode === null) child.kill('SIGKILL');
+  }
+}
+
+// SQLite binds numbers, strings, bigints, buffers and null only
+function sqliteValue(v) {
+  if (v instanceof Date) return v.toISOString();
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (v && typeof v === 'object' && !Buffer.isBuffer(v)) return v._bsontype === 'ObjectId' ? v.toHexString() : JSON.stringify(v);
+  return v;
+}
+
+// arguments for stmt.run() / iterate(): positional values for ? / ?NNN, or one object for
+// :name / @name / $name placeholders
+function sqliteBindArgs(params) {
+  if (!params) return [];
+  if (params.kind === 'positional') return params.values.map(sqliteValue);
+  const values = {};
+  for (const [name, v] of Object.entries(params.values)) values[name] = sqliteValue(v);
+  return [values];
+}
+
+async function runQueryOnSqliteFile(filePath, query, maxRows, options = {}) {
+  const dbOptions = { readonly: !options.allowWrites, fileMustExist: true, timeout: 5000 };
+  return runSqliteStatement(filePath, dbOptions, query, maxRows, 'sqlite-file', options);
+}
+
+// table names of a SQLite database file (empty when it can't be opened)
+function listSqliteFileTables(filePath) {
+  try {
+    const db = new Database(filePath, { readonly: true, fileMustExist: true });
+    try {
+      return db.prepare("SELECT name FROM sqlite_master WHERE type IN ('table','view') AND name NOT LIKE 'sqlite_%' ORDER BY rowid").all().map(r => r.name);
+    } finally {
+      db.close();
+    }
+  } catch {
+    return [];
+  }
+}
 
-    const columns = normalized.length ? Object.keys(normalized[0]) : [];
-    return { source: 'mongodb', rows: normalized, columns, rowCount: normalized.length };
+/**
+ * Call fn with the tabular files an upload consists of: the upload itself, or the
+ * supported files inside a zip bundle (extracted to a temp dir for the duration of fn).
+ * parts: [{ type, path, name }] where name is the bundled file's base name (null otherwise)
+ */
+async function withUploadParts(meta, fn) {
+  if (meta.type !== 'zip') return fn([{ type: meta.type, path: meta.path, name: null }]);
+  const dir = tmp.dirSync({ unsafeCleanup: true });
+  try {
+    const parts = (await extractZip(meta.path, dir.name, ZIP_ENTRY_EXTS))
+      .map(e => ({ type: detectFileType(e.ext), path: e.path, name: e.name }));
+    return await fn(parts);
   } finally {
-    await client.close();
+    dir.removeCallback();
+  }
+}
+
+// table a single-table part is imported as; bundled files are named after the file
+function partTableName(part, taken) {
+  if (!part.name) return DEFAULT_TABLE_NAMES[part.type];
+  return tableNameFrom(part.name, taken);
+}
+
+/**
+ * Read the tables of one upload part. options.limit caps rows per table (used for
+ * type inference); CSV/TSV are streamed by importCsvToSqlite instead when importing.
+ */
+async function readPartTables(part, taken, options = {}) {
+  const { limit, jsonMode } = options;
+  if (part.type === 'csv' || part.type === 'tsv') {
+    const { headers, rows } = await sampleCsvRows(part.path, limit, part.type === 'tsv' ? '\t' : ',');
+    return [{ name: partTableName(part, taken), columns: headers, rows }];
+  }
+  if (part.type === 'json') {
+    const records = readJsonRecords(part.path);
+    return recordsToTables(limit ? records.slice(0, limit) : records, partTableName(part, taken), jsonMode);
   }
+  if (part.type === 'xlsx') return readXlsxTables(part.path, { prefix: part.name, taken, limit });
+  if (part.type === 'parquet') return [await readParquetTable(part.path, partTableName(part, taken), { limit })];
+  return [];
 }
 
+async function importFileIntoSqlite(meta, db, onProgress) {
+  if (['csv', 'tsv', 'json', 'xlsx', 'parquet', 'zip'].includes(meta.type)) {
+    await withUploadParts(meta, async (parts) => {
+      const taken = new Set();
+      for (const part of parts) {
+        if (part.type === 'csv' || part.type === 'tsv') {
+          const separator = part.type === 'tsv' ? '\t' : ',';
+          const progress = meta.type === 'zip' ? undefined : onProgress;
+          await importCsvToSqlite(part.path, db, partTableName(part, taken), progress, meta.columns, separator);
+        } else if (part.type === 'json') {
+          await importJsonToSqlite(part.path, db, partTableName(part, taken), { columns: meta.columns, mode: meta.jsonMode });
+        } else {
+          for (const table of await readPartTables(part, taken)) writeTable(db, table, meta.columns);
+        }
+      }
+    });
+  } else if (meta.type === 'sql') {
+    const sqlText = fs.readFileSync(meta.path, 'utf8');
+    db.exec(sqlText);
+  } else {
+    const txt = fs.readFileSync(meta.path, 'utf8').trim();
+    if (txt.startsWith('[') || txt.startsWith('{')) {
+      await importJsonToSqlite(meta.path, db, 'imported_json');
+    } else {
+      await importCsvToSqlite(meta.path, db, 'imported_csv', onProgress);
+    }
+  }
+}
+
+/* -------------------- materialized imports -------------------- */
+
+const materializing = new Map(); // fileId -> Promise<path> for imports running in this process
+
+function materializedPath(fileId) {
+  return path.join(MATERIALIZED_DIR, `${fileId}.sqlite`);
+}
+
+/**
+ * Return the path of an up-to-date SQLite copy of an imported upload, building it
+ * if it is missing or stale. A cached copy is reused while the source file's
+ * checksum and mtime match what it was built from.
+ */
+async function ensureMaterialized(meta) {
+  const target = materializedPath(meta.id);
+  const sourceMtimeMs = fs.statSync(meta.path).mtimeMs;
+  if (
+    meta.materializedChecksum === meta.checksum &&
+    meta.materializedSourceMtimeMs === sourceMtimeMs &&
+    meta.materializedFormat === IMPORT_FORMAT_VERSION &&
+    fs.existsSync(target)
+  ) {
+    return target;
+  }
+
+  if (materializing.has(meta.id)) return materializing.get(meta.id);
+  const job = materializeUpload(meta).finally(() => materializing.delete(meta.id));
+  materializing.set(meta.id, job);
+  return job;
+}
+
+async function materializeUpload(meta) {
+  fs.mkdirSync(MATERIALIZED_DIR, { recursive: true });
+  const target = materializedPath(meta.id);
+  const building = `${target}.${process.pid}-${Date.now()}.tmp`;
+
+  const stat = fs.statSync(meta.path);
+  // the file may have changed since the registry last saw it
+  const checksum = stat.mtimeMs === meta.materializedSourceMtimeMs ? meta.checksum : await sha256File(meta.path);
+  // a replaced file: results of the old contents go now rather than when they expire
+  if (checksum !== meta.checksum) invalidateCachedResults(`file:${meta.id}`);
+
+  await UploadedFile.updateOne({ _id: meta.id }, {
+    $set: { importStatus: 'importing', importProgress: 0, importError: null, checksum, size: stat.size }
+  });
+
+  let lastReport = 0;
+  const onProgress = (bytesRead) => {
+    const now = Date.now();
+    if (now - lastReport < 1000) return;
+    lastReport = now;
+    const pct = Math.min(99, Math.floor((bytesRead / Math.max(stat.size, 1)) * 100));
+    UploadedFile.updateOne({ _id: meta.id }, { $set: { importProgress: pct } }).catch(() => {});
+  };
+
+  const db = new Database(building);
+  try {
+    // the cache is rebuilt from the source on failure, so skip durability during the import
+    db.pragma('journal_mode = OFF');
+    db.pragma('synchronous = OFF');
+    await importFileIntoSqlite(meta, db, onProgress);
+    db.close();
+    // rename is atomic, so concurrent readers see either the old copy or the complete new one
+    fs.renameSync(building, target);
+  } catch (err) {
+    try { db.close(); } catch { /* already closed */ }
+    try { fs.unlinkSync(building); } catch { /* ignore */ }
+    await UploadedFile.updateOne({ _id: meta.id }, {
+      $set: { importStatus: 'failed', importError: String(err.message || err).slice(0, 1000) }
+    }).catch(() => {});
+    throw err;
+  }
+
+  await UploadedFile.updateOne({ _id: meta.id }, {
+    $set: {
+      importStatus: 'ready',
+      importProgress: 100,
+      importedAt: new Date(),
+      tables: listSqliteFileTables(target),
+      materializedChecksum: checksum,
+      materializedSourceMtimeMs: stat.mtimeMs,
+      materializedFormat: IMPORT_FORMAT_VERSION
+    }
+  });
+  return target;
+}
+
+async function runQueryOnImportedFile(meta, query, maxRows, options = {}) {
+  const cachedPath = await ensureMaterialized(meta);
+  return runQueryOnCachedDb(cachedPath, query, maxRows, options, 'sqlite-import');
+}
+
+// query a cached SQLite build (import or workspace); it is never modified in place
+async function runQueryOnCachedDb(cachedPath, query, maxRows, options, source) {
+  if (!options.allowWrites) {
+    const dbOptions = { readonly: true, fileMustExist: true, timeout: 5000 };
+    return runSqliteStatement(cachedPath, dbOptions, query, maxRows, source, options);
+  }
+
+  // writes go to a throwaway copy so the cache always mirrors its sources
+  const tmpobj = tmp.fileSync({ postfix: '.sqlite' });
+  fs.copyFileSync(cachedPath, tmpobj.name);
+  try {
+    return await runSqliteStatement(tmpobj.name, {}, query, maxRows, source, options);
+  } finally {
+    try { tmpobj.removeCallback(); } catch { /* ignore */ }
+  }
+}
+
+/* -------------------- workspaces -------------------- */
+
+const TABLE_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]{0,62}$/;
+
+function workspacePath(workspaceId) {
+  return path.join(MATERIALIZED_DIR, `workspace-${workspaceId}.sqlite`);
+}
+
+async function getOwnedWorkspace(workspaceId, userId) {
+  if (!mongoose.isValidObjectId(workspaceId) || !userId || !mongoose.isValidObjectId(userId)) {
+    throw new Error('workspace_not_found');
+  }
+  const ws = await Workspace.findOne({ _id: workspaceId, owner: userId });
+  if (!ws) throw new Error('workspace_not_found');
+  return ws;
+}
+
+/**
+ * Add one of the caller's uploads to ws (not saved), or change its table name if
+ * it is already a member. tableName defaults to the file name without extension.
+ */
+async function setWorkspaceMember(ws, userId, fileId, tableName) {
+  const meta = await getOwnedFile(fileId, userId);
+  const existing = ws.files.find(f => f.fileId === meta.id);
+  // SQLite table names are case-insensitive
+  const taken = new Set(ws.files.filter(f => f !== existing).map(f => f.tableName.toLowerCase()));
+
+  let name;
+  if (tableName) {
+    name = String(tableName);
+    if (!TABLE_NAME_RE.test(name)) throw new Error('invalid_tableName');
+    if (taken.has(name.toLowerCase())) throw new Error('table_name_taken');
+  } else if (existing) {
+    name = existing.tableName;
+  } else {
+    name = tableNameFrom(path.basename(meta.originalName, path.extname(meta.originalName)), taken);
+  }
+
+  if (existing) existing.tableName = name;
+  else ws.files.push({ fileId: meta.id, tableName: name });
+}
+
+/**
+ * Create a workspace owned by userId.
+ * files: optional [{ fileId, tableName? }]
+ */
+async function createWorkspace(userId, { name, files = [] } = {}) {
+  if (!name) throw new Error('name_required');
+  const ws = new Workspace({ owner: userId, name, files: [] });
+  for (const f of files) await setWorkspaceMember(ws, userId, f.fileId, f.tableName);
+  await ws.save();
+  return ws.toJSON();
+}
+
+async function listWorkspaces(userId) {
+  const docs = await Workspace.find({ owner: userId }).sort({ updatedAt: -1 });
+  return docs.map(d => d.toJSON());
+}
+
+async function getWorkspace(workspaceId, userId) {
+  return (await getOwnedWorkspace(workspaceId, userId)).toJSON();
+}
+
+async function renameWorkspace(workspaceId, userId, name) {
+  if (!name) throw new Error('name_required');
+  const ws = await getOwnedWorkspace(workspaceId, userId);
+  ws.name = name;
+  await ws.save();
+  return ws.toJSON();
+}
+
+async function deleteWorkspace(workspaceId, userId) {
+  const ws = await getOwnedWorkspace(workspaceId, userId);
+  await Workspace.deleteOne({ _id: ws._id });
+  try { fs.unlinkSync(workspacePath(ws._id)); } catch { /* never built */ }
+  invalidateCachedResults(`workspace:${ws._id}`);
+  return { success: true, id: String(ws._id) };
+}
+
+// add an upload to a workspace, or rename its table
+async function addWorkspaceFile(workspaceId, userId, { fileId, tableName } = {}) {
+  const ws = await getOwnedWorkspace(workspaceId, userId);
+  await setWorkspaceMember(ws, userId, fileId, tableName);
+  await ws.save();
+  invalidateCachedResults(`workspace:${ws._id}`);
+  return ws.toJSON();
+}
+
+async function removeWorkspaceFile(workspaceId, userId, fileId) {
+  const ws = await getOwnedWorkspace(workspaceId, userId);
+  const before = ws.files.length;
+  ws.files = ws.files.filter(f => f.fileId !== String(fileId));
+  if (ws.files.length === before) throw new Error('file_not_found');
+  await ws.save();
+  invalidateCachedResults(`workspace:${ws._id}`);
+  return ws.toJSON();
+}
+
+/**
+ * Name of a member upload's table inside the workspace: the member's tableName for
+ * single-table uploads, otherwise tableName replaces the default import prefix
+ * (imported_json_orders -> <tableName>_orders) or prefixes the table's own name.
+ */
+function workspaceTableName(member, meta, sourceTable, tableCount) {
+  if (tableCount === 1) return member.tableName;
+  const root = DEFAULT_TABLE_NAMES[meta.type];
+  if (root && sourceTable === root) return member.tableName;
+  if (root && sourceTable.startsWith(`${root}_`)) return member.tableName + sourceTable.slice(root.length);
+  return `${member.tableName}_${sourceTable}`;
+}
+
+// copy a table of the attached "src" database into main under a new name, keeping its column types
+function copyWorkspaceTable(db, sourceTable, name) {
+  const target = `main.${quoteSqliteIdent(name)}`;
+  const from = `src.${quoteSqliteIdent(sourceTable.name)}`;
+  const createRe = /^CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(?:"(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]|[^\s(]+)/i;
+  try {
+    if (!sourceTable.sql || !createRe.test(sourceTable.sql)) throw new Error('unsupported_create_sql');
+    db.exec(sourceTable.sql.replace(createRe, `CREATE TABLE ${target}`));
+    db.exec(`INSERT INTO ${target} SELECT * FROM ${from}`);
+  } catch {
+    // virtual/generated-column tables and the like: copy the data with plain column types
+    db.exec(`DROP TABLE IF EXISTS ${target}`);
+    db.exec(`CREATE TABLE ${target} AS SELECT * FROM ${from}`);
+  }
+}
+
+async function buildWorkspace(ws, members, key) {
+  fs.mkdirSync(MATERIALIZED_DIR, { recursive: true });
+  const target = workspacePath(ws._id);
+  const building = `${target}.${process.pid}-${Date.now()}.tmp`;
+  const tables = [];
+
+  const db = new Database(building);
+  try {
+    db.pragma('journal_mode = OFF');
+    db.pragma('synchronous = OFF');
+    const seen = new Set();
+    for (const { member, meta, dbPath } of members) {
+      db.prepare('ATTACH DATABASE ? AS src').run(dbPath);
+      try {
+        const sourceTables = db.prepare(
+          "SELECT name, sql FROM src.sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY rowid"
+        ).all();
+        for (const t of sourceTables) {
+          const name = workspaceTableName(member, meta, t.name, sourceTables.length);
+          if (seen.has(name.toLowerCase())) throw new Error(`workspace_table_conflict:${name}`);
+          seen.add(name.toLowerCase());
+          copyWorkspaceTable(db, t, name);
+          tables.push({ name, fileId: meta.id, sourceTable: t.name });
+        }
+      } finally {
+        db.exec('DETACH DATABASE src');
+      }
+    }
+    db.close();
+    fs.renameSync(building, target);
+  } catch (err) {
+    try { db.close(); } catch { /* already closed */ }
+    try { fs.unlinkSync(building); } catch { /* ignore */ }
+    throw err;
+  }
+
+  await Workspace.updateOne({ _id: ws._id }, { $set: { materializedKey: key, tables } });
+  return target;
+}
+
+/**
+ * Return the path of the workspace's combined SQLite database, rebuilding it when
+ * a member was added, removed, renamed or its data changed.
+ */
+async function ensureWorkspaceMaterialized(ws, userId) {
+  if (ws.files.length === 0) throw new Error('workspace_empty');
+  const members = [];
+  for (const member of ws.files) {
+    const meta = await getOwnedFile(member.fileId, userId);
+    touchFile(meta.id);
+    const dbPath = meta.type === 'sqlite' ? meta.path : await ensureMaterialized(meta);
+    const stat = fs.statSync(dbPath);
+    members.push({ member, meta, dbPath, version: `${stat.size}:${stat.mtimeMs}` });
+  }
+
+  const key = crypto.createHash('sha256')
+    .update(JSON.stringify(members.map(m => [m.meta.id, m.member.tableName, m.version])))
+    .digest('hex');
+  const target = workspacePath(ws._id);
+  if (ws.materializedKey === key && fs.existsSync(target)) return target;
+
+  const lockKey = `workspace:${ws._id}`;
+  if (!materializing.has(lockKey)) {
+    materializing.set(lockKey, buildWorkspace(ws, members, key).finally(() => materializing.delete(lockKey)));
+  }
+  return materializing.get(lockKey);
+}
+
+/* -------------------- column type inference -------------------- */
+
+// first `limit` parsed rows of a CSV (or TSV, with separator '\t') file
+function sampleCsvRows(csvPath, limit = INFER_SAMPLE_ROWS, separator = ',') {
+  return new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(csvPath);
+    let headers = [];
+    const rows = [];
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      stream.destroy();
+      resolve({ headers, rows });
+    };
+    stream.on('error', reject);
+    stream.pipe(csv({ separator }))
+      .on('headers', (h) => { headers = h; })
+      .on('data', (row) => {
+        rows.push(row);
+        if (rows.length >= limit) finish();
+      })
+      .on('end', finish)
+      .on('error', reject);
+  });
+}
+
+// JSON array, NDJSON or { data: [...] } file -> list of records
+function readJsonRecords(jsonPath) {
+  return parseJsonRecords(fs.readFileSync(jsonPath, 'utf8'));
+}
+
+// inferred { table, name, type, inferredType } entries for each table built from rows
+function inferTableColumns(tables, overrides) {
+  return tables.flatMap(t => inferColumnTypes(t.rows.slice(0, INFER_SAMPLE_ROWS), t.columns, overrides)
+    .map(c => ({ table: t.name, ...c })));
+}
+
+/**
+ * Infer column types of a tabular upload (CSV, TSV, JSON, xlsx, Parquet, zip) from
+ * the first rows of each table.
+ * returns [{ table, name, type, inferredType }] or null for other file types
+ */
+async function inferFileColumns(meta, overrides = {}) {
+  if (!['csv', 'tsv', 'json', 'xlsx', 'parquet', 'zip'].includes(meta.type)) return null;
+  return withUploadParts(meta, async (parts) => {
+    const taken = new Set();
+    const tables = [];
+    for (const part of parts) {
+      tables.push(...await readPartTables(part, taken, { limit: INFER_SAMPLE_ROWS, jsonMode: meta.jsonMode }));
+    }
+    return inferTableColumns(tables, overrides);
+  });
+}
+
+// Map column -> type of one table's entries in a stored columns list
+function columnTypesFor(columns, tableName) {
+  return new Map((columns || [])
+    .filter(c => (c.table || tableName) === tableName)
+    .map(c => [c.name, c.type]));
+}
+
+function columnDefs(cols, types) {
+  return cols.map(c => `"${String(c).replace(/"/g, '""')}" ${types.get(c) || 'TEXT'}`);
+}
+
+// columns: optional [{ table, name, type }]; inferred from the first rows when omitted
+function importCsvToSqlite(csvPath, db, tableName, onProgress, columns, separator = ',') {
+  return new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(csvPath);
+    const parser = csv({ separator });
+    let headersCreated = false;
+    let headerList = null;
+    let types = columns && columns.some(c => (c.table || tableName) === tableName) ? columnTypesFor(columns, tableName) : null;
+    let bytesRead = 0;
+    const rowsBatch = [];
+    const createTable = () => {
+      if (!types) types = new Map(inferColumnTypes(rowsBatch, headerList).map(c => [c.name, c.type]));
+      db.exec(`CREATE TABLE IF NOT EXISTS "${tableName}" (${columnDefs(headerList, types).join(',')});`);
+      headersCreated = true;
+    };
+    if (onProgress) {
+      stream.on('data', (chunk) => {
+        bytesRead += chunk.length;
+        onProgress(bytesRead);
+      });
+    }
+    stream.on('error', (err) => reject(err));
+    stream.pipe(parser)
+      .on('headers', (headers) => {
+        headerList = headers;
+        // without known types, wait for a sample of rows before creating the table
+        if (types) createTable();
+      })
+      .on('data', (data) => {
+        rowsBatch.push(data);
+        try {
+          if (!headersCreated && rowsBatch.length >= INFER_SAMPLE_ROWS) createTable();
+          if (headersCreated && rowsBatch.length >= 500) {
+            insertRows(db, tableName, rowsBatch.splice(0, rowsBatch.length), types);
+          }
+        } catch (err) {
+          stream.destroy();
+          reject(err);
+        }
+      })
+      .on('end', () => {
+        try {
+          if (!headersCreated && headerList) createTable();
+          if (rowsBatch.length) insertRows(db, tableName, rowsBatch, types);
+          resolve();
+        } catch (err) {
+          reject(err);
+        }
+      })
+      .on('error', (err) => reject(err));
+  });
+}
+
+// types: Map column -> declared type used to coerce values (TEXT when absent)
+function insertRows(db, tableName, rows, types = new Map()) {
+  if (!rows || rows.length === 0) return;
+  const cols = Object.keys(rows[0]);
+  const placeholders = cols.map(_ => '?').join(',');
+  const insertSQL = `INSERT INTO "${tableName}" (${cols.map(c => `"${String(c).replace(/"/g, '""')}"`).join(',')}) VALUES (${placeholders})`;
+  const insert = db.prepare(insertSQL);
+  const insertMany = db.transaction((data) => {
+    for (const r of data) {
+      const vals = cols.map(c => coerceValue(r[c], types.get(c) || 'TEXT'));
+      insert.run(vals);
+    }
+  });
+  insertMany(rows);
+}
+
+/**
+ * Create and fill one { name, columns, rows } table.
+ * columns: stored [{ table, name, type }] types; columns without one are inferred
+ */
+function writeTable(db, table, columns) {
+  const known = columnTypesFor(columns, table.name);
+  // keys first seen past the upload-time sample still get an inferred type
+  const unknownCols = table.columns.filter(c => !known.has(c));
+  for (const c of inferColumnTypes(table.rows.slice(0, INFER_SAMPLE_ROWS), unknownCols)) known.set(c.name, c.type);
+  db.exec(`CREATE TABLE IF NOT EXISTS "${table.name}" (${columnDefs(table.columns, known).join(',')});`);
+  const normRows = table.rows.map(o => {
+    const row = {};
+    for (const c of table.columns) row[c] = o[c];
+    return row;
+  });
+  insertRows(db, table.name, normRows, known);
+}
+
+/**
+ * Import a JSON upload as tableName plus, in 'nested' mode, one child table per
+ * array-of-objects path (see utils/jsonRecords).
+ * options.columns: optional [{ table, name, type }]; missing types are inferred
+ * options.mode: 'nested' (default) or 'flat'
+ */
+function importJsonToSqlite(jsonPath, db, tableName, options = {}) {
+  return new Promise((resolve, reject) => {
+    try {
+      const tables = recordsToTables(readJsonRecords(jsonPath), tableName, options.mode);
+      for (const table of tables) {
+        if (table.rows.length > 0) writeTable(db, table, options.columns);
+      }
+      resolve();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+/* -------------------- Postgres / MySQL helpers -------------------- */
+
+// bind values for pg / mysql2: ObjectIds as hex strings, plain objects and arrays as JSON
+// (Dates, strings, numbers, booleans, buffers and null are bound as they are)
+function sqlParamValue(v) {
+  if (v && typeof v === 'object' && !(v instanceof Date) && !Buffer.isBuffer(v)) {
+    return v._bsontype === 'ObjectId' ? v.toHexString() : JSON.stringify(v);
+  }
+  return v;
+}
+
+// next batch of a pg-cursor, with the field list once the server has sent it
+function readCursor(cursor, count) {
+  return new Promise((resolve, reject) => {
+    cursor.read(count, (err, rows, result) => (err ? reject(err) : resolve({ rows, fields: result && result.fields })));
+  });
+}
+
+// single read statements go through a server-side cursor so only one page is held in memory
+async function runPostgresCursor(client, query, maxRows, options) {
+  const sink = createRowSink(maxRows, options);
+  const { sql, values } = toPositional(query, options.params, '$n');
+  const cursor = client.query(new Cursor(sql, values.map(sqlParamValue)));
+  try {
+    for (;;) {
+      const { rows, fields } = await readCursor(cursor, CURSOR_BATCH_SIZE);
+      if (fields && fields.length) sink.setColumns(fields.map(f => f.name));
+      if (rows.length === 0) break;
+      let more = true;
+      for (const row of rows) {
+        more = await sink.push(row);
+        if (!more) break;
+      }
+      if (!more) break;
+    }
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+  return sink.result('postgres');
+}
+
+// pooled connections that failed or ran caller-supplied writes (which may have changed
+// session state) are dropped instead of going back to the pool
+async function runQueryOnPostgres(connectionString, query, maxRows, options = {}) {
+  return withPool('postgres', { connectionString }, async (pool) => {
+    const client = await pool.connect();
+    const stopCancel = onCancel(options, () => cancelPostgresBackend(connectionString, client.processID));
+    let failed = false;
+    try {
+      if (options.readOnlyStatement) {
+        if (options.allowWrites) return await runPostgresCursor(client, query, maxRows, options);
+        await client.query('BEGIN');
+        try {
+          await client.query('SET TRANSACTION READ ONLY');
+          return await runPostgresCursor(client, query, maxRows, options);
+        } finally {
+          await client.query('ROLLBACK').catch(() => {});
+        }
+      }
+
+      const { sql, values } = toPositional(query, options.params, '$n');
+      const statement = { text: sql, values: values.map(sqlParamValue) };
+      let res;
+      if (options.allowWrites) {
+        res = await client.query(statement);
+      } else {
+        await client.query('BEGIN');
+        try {
+          await client.query('SET TRANSACTION READ ONLY');
+          res = await client.query(statement);
+        } finally {
+          await client.query('ROLLBACK').catch(() => {});
+        }
+      }
+      // multi-statement text (only reachable with allowWrites) returns one result per statement
+      if (Array.isArray(res)) res = res[res.length - 1];
+      const sink = createRowSink(maxRows, options);
+      sink.setColumns(res.fields ? res.fields.map(f => f.name) : []);
+      for (const row of res.rows || []) {
+        if (!await sink.push(row)) break;
+      }
+      const extra = {};
+      if (res.command && res.command !== 'SELECT' && typeof res.rowCount === 'number') extra.affectedRows = res.rowCount;
+      return sink.result('postgres', extra);
+    } catch (err) {
+      failed = true;
+      throw err;
+    } finally {
+      stopCancel();
+      client.release(failed || options.allowWrites === true);
+    }
+  });
+}
+
+// EXPLAIN (FORMAT JSON), with ANALYZE in analyze mode, inside a read-only transaction
+async function explainPostgres(connectionString, query, options = {}) {
+  return withPool('postgres', { connectionString }, async (pool) => {
+    const client = await pool.connect();
+    const stopCancel = onCancel(options, () => cancelPostgresBackend(connectionString, client.processID));
+    let failed = false;
+    try {
+      const analyze = options.explain === 'analyze';
+      const { sql, values } = toPositional(query, options.params, '$n');
+      await client.query('BEGIN');
+      try {
+        await client.query('SET TRANSACTION READ ONLY');
+        const res = await client.query({
+          text: `EXPLAIN (${analyze ? 'ANALYZE, BUFFERS, ' : ''}FORMAT JSON) ${sql}`,
+          values: values.map(sqlParamValue)
+        });
+        return { source: 'postgres', format: 'postgres', raw: res.rows[0]['QUERY PLAN'], analyzed: analyze };
+      } finally {
+        await client.query('ROLLBACK').catch(() => {});
+      }
+    } catch (err) {
+      failed = true;
+      throw err;
+    } finally {
+      stopCancel();
+      client.release(failed);
+    }
+  });
+}
+
+// stream a single read statement row by row; returns false when it stopped before the end
+// how long the rest of a stopped result may take to drain before the connection is dropped
+const MYSQL_DRAIN_TIMEOUT_MS = 5000;
+
+// ER_QUERY_INTERRUPTED: the statement was ended by KILL QUERY
+const MYSQL_QUERY_INTERRUPTED = 1317;
+
+/**
+ * Stream the rows of query into sink. Once the sink is full, stopQuery() ends the
+ * statement on the server (KILL QUERY) and whatever was already sent is read and
+ * dropped, so the connection is left idle and can go back to the pool.
+ * returns 'complete', 'stopped' (ended early, connection reusable) or 'abandoned'
+ * (the rest did not drain in time; the connection must not be reused)
+ */
+async function streamMySQL(conn, query, values, sink, stopQuery) {
+  const q = conn.connection.query(query, values);
+  q.on('fields', (fields) => { if (fields) sink.setColumns(fields.map(f => f.name)); });
+  const stream = q.stream({ highWaterMark: CURSOR_BATCH_SIZE });
+  let kill = null;
+  let drainTimer = null;
+  try {
+    for await (const row of stream) {
+      if (kill) continue;
+      if (!await sink.push(row)) {
+        // if the kill fails, the timer still bounds how long the rest is read
+        drainTimer = setTimeout(() => stream.destroy(new Error('mysql_drain_timeout')), MYSQL_DRAIN_TIMEOUT_MS);
+        kill = Promise.resolve().then(stopQuery).catch(() => {});
+      }
+    }
+    return kill ? 'stopped' : 'complete';
+  } catch (err) {
+    if (!kill) throw err;
+    return err.errno === MYSQL_QUERY_INTERRUPTED ? 'stopped' : 'abandoned';
+  } finally {
+    clearTimeout(drainTimer);
+    // a KILL QUERY still in flight must land before the connection runs anything else
+    if (kill) await kill;
+  }
+}
+
+async function runQueryOnMySQL(connectionString, query, maxRows, options = {}) {
+  return withPool('mysql', { connectionString }, async (pool) => {
+    const conn = await pool.getConnection();
+    const threadId = conn.connection.threadId;
+    const stopCancel = onCancel(options, () => killMySQLQuery(connectionString, threadId));
+    // dropped instead of released: see runQueryOnPostgres
+    let discard = options.allowWrites === true;
+    try {
+      const { sql, values: rawValues } = toPositional(query, options.params, '?', 'mysql');
+      const values = rawValues.map(sqlParamValue);
+      if (options.readOnlyStatement) {
+        const sink = createRowSink(maxRows, options);
+        if (!options.allowWrites) await conn.query('START TRANSACTION READ ONLY');
+        // a truncated page kills the rest of the statement and drains it; only a connection
+        // still mid-result after that (or after an error) is dropped, and the server then
+        // rolls the transaction back
+        const status = await streamMySQL(conn, sql, values, sink, () => killMySQLQuery(connectionString, threadId));
+        if (status === 'abandoned') discard = true;
+        else if (!options.allowWrites) await conn.query('ROLLBACK').catch(() => {});
+        return sink.result('mysql');
+      }
+
+      let rows, fields;
+      if (options.allowWrites) {
+        [rows, fields] = await conn.execute({ sql, values });
+      } else {
+        await conn.query('START TRANSACTION READ ONLY');
+        try {
+          [rows, fields] = await conn.execute({ sql, values });
+        } finally {
+          await conn.query('ROLLBACK').catch(() => {});
+        }
+      }
+      const sink = createRowSink(maxRows, options);
+      if (fields) sink.setColumns(fields.map(f => f.name));
+      for (const row of Array.isArray(rows) ? rows : []) {
+        if (!await sink.push(row)) break;
+      }
+      const extra = {};
+      if (rows && !Array.isArray(rows) && typeof rows.affectedRows === 'number') extra.affectedRows = rows.affectedRows;
+      return sink.result('mysql', extra);
+    } catch (err) {
+      discard = true;
+      throw err;
+    } finally {
+      stopCancel();
+      if (discard) conn.destroy();
+      else conn.release();
+    }
+  });
+}
+
+// EXPLAIN FORMAT=JSON; MySQL's EXPLAIN ANALYZE only prints a text tree, so analyze mode
+// returns the estimated plan too
+async function explainMySQL(connectionString, query, options = {}) {
+  return withPool('mysql', { connectionString }, async (pool) => {
+    const conn = await pool.getConnection();
+    const threadId = conn.connection.threadId;
+    const stopCancel = onCancel(options, () => killMySQLQuery(connectionString, threadId));
+    let discard = false;
+    try {
+      const { sql, values } = toPositional(query, options.params, '?', 'mysql');
+      const [rows] = await conn.query(`EXPLAIN FORMAT=JSON ${sql}`, values.map(sqlParamValue));
+      const doc = rows && rows[0] ? Object.values(rows[0])[0] : null;
+      if (!doc) throw new Error('mysql_plan_missing');
+      return { source: 'mysql', format: 'mysql', raw: typeof doc === 'string' ? JSON.parse(doc) : doc, analyzed: false };
+    } catch (err) {
+      discard = true;
+      throw err;
+    } finally {
+      stopCancel();
+      if (discard) conn.destroy();
+      else conn.release();
+    }
+  });
+}
+
+/* -------------------- MongoDB support -------------------- */
+
+const MONGO_OPERATIONS = ['find', 'findOne', 'aggregate', 'countDocuments', 'estimatedDocumentCount', 'distinct'];
+// aggregate() options accepted from payloads
+const MONGO_AGGREGATE_OPTIONS = ['allowDiskUse', 'collation', 'hint', 'let'];
+
+const EJSON_MODES = ['relaxed', 'canonical'];
+// documents are read without promoting BSON values to JS ones, so nothing is lost before normalizeMongoValue
+const MONGO_RAW_VALUES = { promoteValues: false, promoteLongs: false, promoteBuffers: false };
+
+/**
+ * Extended JSON form of a value read from MongoDB, at any depth. 'canonical' keeps every
+ * BSON type ({ $numberInt }, { $date: { $numberLong } }, ...); 'relaxed' writes plain
+ * numbers and ISO dates, but keeps Int64 values beyond 2^53 as { $numberLong } so they
+ * survive a round trip (EJSON.deserialize gives back the original values either way).
+ */
+function normalizeMongoValue(value, mode = 'relaxed') {
+  if (Array.isArray(value)) return value.map(v => normalizeMongoValue(v, mode));
+  if (value && typeof value === 'object' && !value._bsontype && [Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+    const out = {};
+    for (const k of Object.keys(value)) {
+      // defineProperty keeps a "__proto__" field an ordinary key
+      Object.defineProperty(out, k, { value: normalizeMongoValue(value[k], mode), enumerable: true, writable: true, configurable: true });
+    }
+    return out;
+  }
+  if (mode === 'relaxed' && value && value._bsontype === 'Long' && !Number.isSafeInteger(value.toNumber())) {
+    return { $numberLong: value.toString() };
+  }
+  return BSON.EJSON.serialize(value, { relaxed: mode === 'relaxed' });
+}
+
+/**
+ * mongoQuery: {
+ *   collection, database?,            // database defaults to the connection string's
+ *   operation?: 'find' (default; 'aggregate' when pipeline is set) | 'findOne' |
+ *               'aggregate' | 'countDocuments' | 'estimatedDocumentCount' | 'distinct',
+ *   filter?, projection?, sort?, skip?, limit?,   // find / findOne (filter also count / distinct)
+ *   pipeline?, options?,              // aggregate; options: allowDiskUse, collation, hint, let
+ *   field?                            // distinct
+ * }
+ * Counts come back as one { count } row, distinct values as { <field>: value } rows.
+ * Values are Extended JSON (options.ejson: 'relaxed' (default) | 'canonical', see
+ * normalizeMongoValue) and columns are the union of the keys of all returned documents.
+ */
+async function runQueryOnMongo(connectionString, mongoQuery = {}, maxRows = 1000, options = {}) {
+  if (!mongoQuery || !mongoQuery.collection) {
+    throw new Error('mongo.query_missing_collection');
+  }
+  const operation = mongoQuery.operation || (Array.isArray(mongoQuery.pipeline) ? 'aggregate' : 'find');
+  if (!MONGO_OPERATIONS.includes(operation)) throw new Error(`unsupported_mongo_operation:${operation}`);
+  if (operation === 'distinct' && (typeof mongoQuery.field !== 'string' || !mongoQuery.field)) {
+    throw new Error('mongo.distinct_missing_field');
+  }
+
+  const ejson = options.ejson || 'relaxed';
+  if (!EJSON_MODES.includes(ejson)) throw new Error('invalid_ejson');
+  const normalize = (doc) => normalizeMongoValue(doc, ejson);
+  options = { ...options, unionColumns: true };
+
+  const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  const filter = isObject(mongoQuery.filter) ? mongoQuery.filter : {};
+  const { execution } = options;
+  // server-side time limit, and a comment killMongoOps can find the operation by
+  const opOptions = execution ? { maxTimeMS: execution.remainingMs(), comment: execution.tag } : {};
+
+  return withPool('mongodb', { connectionString }, async (client) => {
+    const coll = client.db(mongoQuery.database || undefined).collection(mongoQuery.collection);
+
+    if (operation === 'countDocuments' || operation === 'estimatedDocumentCount' || operation === 'distinct') {
+      const stopCancel = onCancel(options, () => killMongoOps(client, execution.tag));
+      try {
+        if (operation === 'distinct') {
+          const values = await coll.distinct(mongoQuery.field, filter, { ...opOptions, ...MONGO_RAW_VALUES });
+          const sink = createRowSink(maxRows, options);
+          sink.setColumns([mongoQuery.field]);
+          for (const value of values) {
+            if (!await sink.push(normalize({ [mongoQuery.field]: value }))) break;
+          }
+          return sink.result('mongodb');
+        }
+        const count = operation === 'countDocuments'
+          ? await coll.countDocuments(filter, opOptions)
+          : await coll.estimatedDocumentCount(opOptions);
+        const sink = createRowSink(maxRows, options);
+        sink.setColumns(['count']);
+        await sink.push(normalize({ count }));
+        return sink.result('mongodb');
+      } finally {
+        stopCancel();
+      }
+    }
+
+    // find / aggregate: the server skips to the page; one extra document tells whether more remain
+    const offset = options.offset || 0;
+    let cursor;
+    let pageSize;
+    if (operation === 'aggregate') {
+      const pipeline = Array.isArray(mongoQuery.pipeline) ? mongoQuery.pipeline.slice() : [];
+      const aggOptions = { ...opOptions, ...MONGO_RAW_VALUES };
+      for (const k of MONGO_AGGREGATE_OPTIONS) {
+        if (isObject(mongoQuery.options) && mongoQuery.options[k] !== undefined) aggOptions[k] = mongoQuery.options[k];
+      }
+      pageSize = maxRows;
+      // nothing may follow $out / $merge, so pipelines that write are run as given
+      if (options.readOnlyStatement) {
+        if (offset) pipeline.push({ $skip: offset });
+        pipeline.push({ $limit: pageSize + 1 });
+      }
+      cursor = coll.aggregate(pipeline, aggOptions).batchSize(Math.min(pageSize + 1, CURSOR_BATCH_SIZE));
+    } else {
+      // mongoQuery.limit caps the whole result, maxRows one page of it
+      const limit = operation === 'findOne' ? 1 : Number(mongoQuery.limit) || 0;
+      const remaining = limit ? Math.max(0, limit - offset) : Infinity;
+      pageSize = Math.min(maxRows, remaining);
+      if (pageSize === 0) return createRowSink(0, { ...options, offset: 0 }).result('mongodb');
+      const projection = isObject(mongoQuery.projection) ? mongoQuery.projection : undefined;
+      cursor = coll.find(filter, { ...MONGO_RAW_VALUES, ...(projection ? { projection } : {}) })
+        .skip((Number(mongoQuery.skip) || 0) + offset)
+        .limit(Math.min(pageSize + 1, remaining))
+        .batchSize(Math.min(pageSize + 1, CURSOR_BATCH_SIZE));
+      if (isObject(mongoQuery.sort)) cursor.sort(mongoQuery.sort);
+      if (execution) cursor.maxTimeMS(opOptions.maxTimeMS).comment(execution.tag);
+    }
+
+    const sink = createRowSink(pageSize, { ...options, offset: 0 });
+    const stopCancel = onCancel(options, async () => {
+      await cursor.close().catch(() => {});
+      await killMongoOps(client, execution.tag);
+    });
+    try {
+      for await (const doc of cursor) {
+        if (!await sink.push(normalize(doc))) break;
+      }
+    } finally {
+      stopCancel();
+      await cursor.close().catch(() => {});
+    }
+    // a closed cursor just ends the loop
+    if (execution) execution.throwIfCancelled();
+    return sink.result('mongodb');
+  });
+}
+
+/**
+ * explain() of a structured Mongo query (see runQueryOnMongo): 'queryPlanner' verbosity in
+ * plan mode, 'executionStats' (runs the query) in analyze mode. Counts and distinct have no
+ * cursor, so their command is explained instead.
+ */
+async function explainMongo(connectionString, mongoQuery = {}, options = {}) {
+  if (!mongoQuery || !mongoQuery.collection) throw new Error('mongo.query_missing_collection');
+  const operation = mongoQuery.operation || (Array.isArray(mongoQuery.pipeline) ? 'aggregate' : 'find');
+  if (!MONGO_OPERATIONS.includes(operation)) throw new Error(`unsupported_mongo_operation:${operation}`);
+  const analyze = options.explain === 'analyze';
+  const verbosity = analyze ? 'executionStats' : 'queryPlanner';
+
+  const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  const filter = isObject(mongoQuery.filter) ? mongoQuery.filter : {};
+  const { execution } = options;
+  const opOptions = execution ? { maxTimeMS: execution.remainingMs(), comment: execution.tag } : {};
+
+  return withPool('mongodb', { connectionString }, async (client) => {
+    const db = client.db(mongoQuery.database || undefined);
+    const coll = db.collection(mongoQuery.collection);
+    const stopCancel = onCancel(options, () => killMongoOps(client, execution.tag));
+    try {
+      let raw;
+      if (operation === 'aggregate') {
+        const aggOptions = { ...opOptions };
+        for (const k of MONGO_AGGREGATE_OPTIONS) {
+          if (isObject(mongoQuery.options) && mongoQuery.options[k] !== undefined) aggOptions[k] = mongoQuery.options[k];
+        }
+        raw = await coll.aggregate(Array.isArray(mongoQuery.pipeline) ? mongoQuery.pipeline : [], aggOptions).explain(verbosity);
+      } else if (operation === 'find' || operation === 'findOne') {
+        const projection = isObject(mongoQuery.projection) ? mongoQuery.projection : undefined;
+        const cursor = coll.find(filter, projection ? { projection } : {})
+          .skip(Number(mongoQuery.skip) || 0)
+          .limit(operation === 'findOne' ? 1 : Number(mongoQuery.limit) || 0);
+        if (isObject(mongoQuery.sort)) cursor.sort(mongoQuery.sort);
+        if (execution) cursor.maxTimeMS(opOptions.maxTimeMS).comment(execution.tag);
+        raw = await cursor.explain(verbosity);
+      } else {
+        const command = operation === 'distinct'
+          ? { distinct: mongoQuery.collection, key: mongoQuery.field, query: filter }
+          : { count: mongoQuery.collection, query: operation === 'countDocuments' ? filter : {} };
+        raw = await db.command({ explain: command, verbosity, ...(execution ? { comment: execution.tag } : {}) });
+      }
+      return { source: 'mongodb', format: 'mongodb', raw: normalizeMongoValue(raw), analyzed: analyze };
+    } finally {
+      stopCancel();
+    }
+  });
+}
+
+/* -------------------- schema introspection -------------------- */
+/**
+ * Describe what a source contains: tables/collections/labels, their columns
+ * with (declared or inferred) types, primary/foreign keys and row estimates.
+ * Resolves the source the same way executeQuery does.
+ *
+ * payload: {
+ *   sourceType?: 'file'|'connection',
+ *   fileId?,
+ *   connectionString?,
+ *   connectionId?,
+ *   user?, password?, database?,
+ *   sampleSize?   // MongoDB only: documents sampled per collection (1-1000, default 100)
+ * }
+ *
+ * returns: {
+ *   source,
+ *   tables: [{
+ *     name, kind: 'table'|'view'|'collection'|'label'|'relationship',
+ *     columns: [{ name, type, nullable, primaryKey }],
+ *     primaryKey: [col...],
+ *     foreignKeys: [{ columns: [col...], references: { table, columns: [col...] } }],
+ *     rowEstimate: number|null,
+ *     endpoints?: [{ from: [label...], to: [label...] }]   // Neo4j relationships only
+ *   }],
+ *   labels?, relationshipTypes?, propertyKeys?            // Neo4j only
+ * }
+ */
+async function getSchema(payload, context = {}) {
+  if (!payload) throw new Error('empty_payload');
+  payload = await resolveConnectionRef(payload, context);
+  if (payload.sampleSize !== undefined && payload.sampleSize !== null && payload.sampleSize !== '') {
+    const sampleSize = Number(payload.sampleSize);
+    if (!Number.isInteger(sampleSize) || sampleSize < 1 || sampleSize > 1000) throw new Error('invalid_sampleSize');
+    payload = { ...payload, sampleSize };
+  }
+
+  const sourceType = payload.sourceType || (payload.workspaceId ? 'workspace' : payload.fileId ? 'file' : 'connection');
+
+  if (sourceType === 'workspace') {
+    const ws = await getOwnedWorkspace(payload.workspaceId, sourceOwner(context));
+    const dbPath = await ensureWorkspaceMaterialized(ws, sourceOwner(context));
+    const db = new Database(dbPath, { readonly: true, fileMustExist: true, timeout: 5000 });
+    try {
+      return { source: 'sqlite-workspace', tables: introspectSqliteDb(db) };
+    } finally {
+      db.close();
+    }
+  } else if (sourceType === 'file') {
+    const meta = await getOwnedFile(payload.fileId, sourceOwner(context));
+    touchFile(meta.id);
+
+    // detected schema is cached on the registry entry until the file content or the way
+    // imports are materialized (column types, flattening) changes
+    const cached = await UploadedFile.findById(meta.id).select('schema schemaChecksum schemaFormat').lean();
+    if (cached && cached.schema && cached.schemaChecksum === meta.checksum && cached.schemaFormat === IMPORT_FORMAT_VERSION) {
+      return cached.schema;
+    }
+
+    const schema = meta.type === 'sqlite'
+      ? getSchemaOfSqliteFile(meta.path)
+      : await getSchemaOfImportedFile(meta);
+    await UploadedFile.updateOne({ _id: meta.id }, { $set: { schema, schemaChecksum: meta.checksum, schemaFormat: IMPORT_FORMAT_VERSION } });
+    return schema;
+  } else if (sourceType === 'connection') {
+    if (!payload.connectionString) throw new Error('connectionString_required');
+    const cs = payload.connectionString.trim();
+
+    const engine = getEngineForConnection(cs);
+    if (engine && engine.schema) return engine.schema(cs, payload);
+
+    throw new Error('unsupported_connection_type');
+  } else {
+    throw new Error('invalid_sourceType');
+  }
+}
+
+function quoteSqliteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function introspectSqliteDb(db) {
+  const objects = db.prepare(
+    "SELECT name, type FROM sqlite_master WHERE type IN ('table','view') AND name NOT LIKE 'sqlite_%' ORDER BY name"
+  ).all();
+
+  return objects.map(obj => {
+    const ident = quoteSqliteIdent(obj.name);
+    const info = db.prepare(`PRAGMA table_info(${ident})`).all();
+    const primaryKey = info.filter(c => c.pk > 0).sort((a, b) => a.pk - b.pk).map(c => c.name);
+    const columns = info.map(c => ({
+      name: c.name,
+      type: c.type || 'ANY',
+      nullable: !c.notnull && c.pk === 0,
+      primaryKey: c.pk > 0
+    }));
+
+    // foreign_key_list returns one row per column; group multi-column keys by id
+    const fkById = new Map();
+    for (const fk of db.prepare(`PRAGMA foreign_key_list(${ident})`).all()) {
+      if (!fkById.has(fk.id)) fkById.set(fk.id, { columns: [], references: { table: fk.table, columns: [] } });
+      const entry = fkById.get(fk.id);
+      entry.columns.push(fk.from);
+      if (fk.to) entry.references.columns.push(fk.to);
+    }
+
+    let rowEstimate = null;
+    if (obj.type === 'table') {
+      try {
+        rowEstimate = db.prepare(`SELECT COUNT(*) AS n FROM ${ident}`).get().n;
+      } catch { /* ignore */ }
+    }
+
+    return {
+      name: obj.name,
+      kind: obj.type,
+      columns,
+      primaryKey,
+      foreignKeys: Array.from(fkById.values()),
+      rowEstimate
+    };
+  });
+}
+
+function getSchemaOfSqliteFile(filePath) {
+  const db = new Database(filePath, { readonly: true, fileMustExist: true, timeout: 5000 });
+  try {
+    return { source: 'sqlite-file', tables: introspectSqliteDb(db) };
+  } finally {
+    db.close();
+  }
+}
+
+async function getSchemaOfImportedFile(meta) {
+  const cachedPath = await ensureMaterialized(meta);
+  const db = new Database(cachedPath, { readonly: true, fileMustExist: true, timeout: 5000 });
+  try {
+    return { source: 'sqlite-import', tables: introspectSqliteDb(db) };
+  } finally {
+    db.close();
+  }
+}
+
+async function getSchemaOfPostgres(connectionString) {
+  return withPool('postgres', { connectionString }, async (pool) => {
+    const client = await pool.connect();
+    try {
+      const excluded = "('pg_catalog','information_schema')";
+      const colsRes = await client.query(`
+        SELECT c.table_schema, c.table_name, t.table_type, c.column_name, c.data_type, c.is_nullable
+        FROM information_schema.columns c
+        JOIN information_schema.tables t ON t.table_schema = c.table_schema AND t.table_name = c.table_name
+        WHERE c.table_schema NOT IN ${excluded}
+        ORDER BY c.table_schema, c.table_name, c.ordinal_position`);
+
+      const keysRes = await client.query(`
+        SELECT n.nspname AS table_schema, cl.relname AS table_name, con.contype,
+          ARRAY(SELECT a.attname FROM unnest(con.conkey) WITH ORDINALITY k(attnum, ord)
+                JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum ORDER BY k.ord) AS columns,
+          rn.nspname AS ref_schema, rcl.relname AS ref_table,
+          ARRAY(SELECT a.attname FROM unnest(con.confkey) WITH ORDINALITY k(attnum, ord)
+                JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum ORDER BY k.ord) AS ref_columns
+        FROM pg_constraint con
+        JOIN pg_class cl ON cl.oid = con.conrelid
+        JOIN pg_namespace n ON n.oid = cl.relnamespace
+        LEFT JOIN pg_class rcl ON rcl.oid = con.confrelid
+        LEFT JOIN pg_namespace rn ON rn.oid = rcl.relnamespace
+        WHERE con.contype IN ('p','f') AND n.nspname NOT IN ${excluded}`);
+
+      const estRes = await client.query(`
+        SELECT n.nspname AS table_schema, c.relname AS table_name, c.reltuples::bigint AS estimate
+        FROM pg_class c
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+        WHERE c.relkind IN ('r','p','m') AND n.nspname NOT IN ${excluded}`);
+
+      // public tables are addressed without a schema prefix, everything else as schema.table
+      const qualify = (schema, table) => (schema === 'public' ? table : `${schema}.${table}`);
+      const tables = new Map();
+      for (const r of colsRes.rows) {
+        const name = qualify(r.table_schema, r.table_name);
+        if (!tables.has(name)) {
+          tables.set(name, {
+            name,
+            kind: r.table_type === 'VIEW' ? 'view' : 'table',
+            columns: [],
+            primaryKey: [],
+            foreignKeys: [],
+            rowEstimate: null
+          });
+        }
+        tables.get(name).columns.push({
+          name: r.column_name,
+          type: r.data_type,
+          nullable: r.is_nullable === 'YES',
+          primaryKey: false
+        });
+      }
+
+      for (const k of keysRes.rows) {
+        const t = tables.get(qualify(k.table_schema, k.table_name));
+        if (!t) continue;
+        if (k.contype === 'p') {
+          t.primaryKey = k.columns;
+          for (const c of t.columns) if (k.columns.includes(c.name)) c.primaryKey = true;
+        } else {
+          t.foreignKeys.push({
+            columns: k.columns,
+            references: { table: qualify(k.ref_schema, k.ref_table), columns: k.ref_columns }
+          });
+        }
+      }
+
+      for (const e of estRes.rows) {
+        const t = tables.get(qualify(e.table_schema, e.table_name));
+        // reltuples is -1 (or 0 on older servers) until the table has been analyzed
+        if (t) t.rowEstimate = Number(e.estimate) >= 0 ? Number(e.estimate) : null;
+      }
+
+      return { source: 'postgres', tables: Array.from(tables.values()) };
+    } finally {
+      client.release();
+    }
+  });
+}
+
+async function getSchemaOfMySQL(connectionString) {
+  return withPool('mysql', { connectionString }, async (pool) => {
+    const conn = await pool.getConnection();
+    try {
+      const [tableRows] = await conn.query(
+        'SELECT TABLE_NAME, TABLE_TYPE, TABLE_ROWS FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() ORDER BY TABLE_NAME'
+      );
+      const [colRows] = await conn.query(
+        'SELECT TABLE_NAME, COLUMN_NAME, COLUMN_TYPE, IS_NULLABLE, COLUMN_KEY FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() ORDER BY TABLE_NAME, ORDINAL_POSITION'
+      );
+      const [keyRows] = await conn.query(
+        `SELECT CONSTRAINT_NAME, TABLE_NAME, COLUMN_NAME, REFERENCED_TABLE_NAME, REFERENCED_COLUMN_NAME
+         FROM information_schema.KEY_COLUMN_USAGE
+         WHERE TABLE_SCHEMA = DATABASE() AND (CONSTRAINT_NAME = 'PRIMARY' OR REFERENCED_TABLE_NAME IS NOT NULL)
+         ORDER BY TABLE_NAME, CONSTRAINT_NAME, ORDINAL_POSITION`
+      );
+
+      const tables = new Map();
+      for (const t of tableRows) {
+        const isView = t.TABLE_TYPE === 'VIEW';
+        tables.set(t.TABLE_NAME, {
+          name: t.TABLE_NAME,
+          kind: isView ? 'view' : 'table',
+          columns: [],
+          primaryKey: [],
+          foreignKeys: [],
+          // TABLE_ROWS is an InnoDB statistic, not an exact count
+          rowEstimate: isView || t.TABLE_ROWS == null ? null : Number(t.TABLE_ROWS)
+        });
+      }
+
+      for (const c of colRows) {
+        const t = tables.get(c.TABLE_NAME);
+        if (!t) continue;
+        t.columns.push({
+          name: c.COLUMN_NAME,
+          type: c.COLUMN_TYPE,
+          nullable: c.IS_NULLABLE === 'YES',
+          primaryKey: c.COLUMN_KEY === 'PRI'
+        });
+      }
+
+      const fkByName = new Map();
+      for (const k of keyRows) {
+        const t = tables.get(k.TABLE_NAME);
+        if (!t) continue;
+        if (k.CONSTRAINT_NAME === 'PRIMARY') {
+          t.primaryKey.push(k.COLUMN_NAME);
+          continue;
+        }
+        const fkKey = `${k.TABLE_NAME}.${k.CONSTRAINT_NAME}`;
+        if (!fkByName.has(fkKey)) {
+          const fk = { columns: [], references: { table: k.REFERENCED_TABLE_NAME, columns: [] } };
+          fkByName.set(fkKey, fk);
+          t.foreignKeys.push(fk);
+        }
+        const fk = fkByName.get(fkKey);
+        fk.columns.push(k.COLUMN_NAME);
+        fk.references.columns.push(k.REFERENCED_COLUMN_NAME);
+      }
+
+      return { source: 'mysql', tables: Array.from(tables.values()) };
+    } finally {
+      conn.release();
+    }
+  });
+}
+
+function mongoValueType(v) {
+  if (v === null || v === undefined) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (v instanceof Date) return 'date';
+  if (typeof v === 'object' && v._bsontype) return String(v._bsontype).toLowerCase();
+  if (typeof v === 'number') return Number.isInteger(v) ? 'int' : 'double';
+  if (typeof v === 'object') return 'object';
+  return typeof v;
+}
+
+// collect dotted field paths -> set of observed types, descending into plain subdocuments
+function collectMongoFieldTypes(doc, fields, prefix = '', depth = 0) {
+  for (const k of Object.keys(doc)) {
+    const v = doc[k];
+    const name = prefix ? `${prefix}.${k}` : k;
+    const type = mongoValueType(v);
+    if (!fields.has(name)) fields.set(name, { types: new Set(), seen: 0 });
+    const f = fields.get(name);
+    f.types.add(type);
+    f.seen++;
+    if (type === 'object' && depth < 3) collectMongoFieldTypes(v, fields, name, depth + 1);
+  }
+}
+
+async function getSchemaOfMongo(connectionString, sampleSize = 100, database) {
+  return withPool('mongodb', { connectionString }, async (client) => {
+    const db = client.db(database || undefined);
+    const collections = await db.listCollections({}, { nameOnly: true }).toArray();
+    const size = Math.max(1, Math.min(sampleSize, 1000));
+
+    const tables = [];
+    for (const c of collections) {
+      if (c.name.startsWith('system.')) continue;
+      const coll = db.collection(c.name);
+      const [rowEstimate, docs] = await Promise.all([
+        coll.estimatedDocumentCount(),
+        coll.aggregate([{ $sample: { size } }]).toArray()
+      ]);
+
+      const fields = new Map();
+      for (const doc of docs) collectMongoFieldTypes(doc, fields);
+
+      const columns = Array.from(fields.entries()).map(([name, f]) => {
+        const types = Array.from(f.types);
+        return {
+          name,
+          type: types.filter(t => t !== 'null').join('|') || 'null',
+          nullable: types.includes('null') || f.seen < docs.length,
+          primaryKey: name === '_id'
+        };
+      });
+
+      tables.push({
+        name: c.name,
+        kind: 'collection',
+        columns,
+        primaryKey: ['_id'],
+        foreignKeys: [],
+        rowEstimate,
+        sampled: docs.length
+      });
+    }
+
+    return { source: 'mongodb', tables };
+  });
+}
+
+async function getSchemaOfNeo4j(connectionString, user, password, database = 'neo4j') {
+  const run = async (cypher) =>
+    (await runQueryOnNeo4j(connectionString, cypher, 100000, user, password, database)).rows;
+  const quoteName = (n) => '`' + String(n).replace(/`/g, '``') + '`';
+
+  const labels = (await run('CALL db.labels() YIELD label RETURN label')).map(r => r.label);
+  const relationshipTypes = (await run('CALL db.relationshipTypes() YIELD relationshipType RETURN relationshipType'))
+    .map(r => r.relationshipType);
+  const propertyKeys = (await run('CALL db.propertyKeys() YIELD propertyKey RETURN propertyKey')).map(r => r.propertyKey);
+
+  // per-label / per-type property listings are best effort (older servers lack db.schema.*)
+  let nodeProps = [];
+  let relProps = [];
+  try {
+    nodeProps = await run('CALL db.schema.nodeTypeProperties() YIELD nodeLabels, propertyName, propertyTypes, mandatory RETURN nodeLabels, propertyName, propertyTypes, mandatory');
+    relProps = await run('CALL db.schema.relTypeProperties() YIELD relType, propertyName, propertyTypes, mandatory RETURN relType, propertyName, propertyTypes, mandatory');
+  } catch { /* ignore */ }
+
+  const toColumns = (propRows) => propRows
+    .filter(p => p.propertyName)
+    .map(p => ({
+      name: p.propertyName,
+      type: (p.propertyTypes || []).join('|') || 'Any',
+      nullable: !p.mandatory,
+      primaryKey: false
+    }));
+
+  const tables = [];
+  for (const label of labels) {
+    const [{ c } = {}] = await run(`MATCH (n:${quoteName(label)}) RETURN count(n) AS c`);
+    tables.push({
+      name: label,
+      kind: 'label',
+      columns: toColumns(nodeProps.filter(p => (p.nodeLabels || []).includes(label))),
+      primaryKey: [],
+      foreignKeys: [],
+      rowEstimate: c == null ? null : Number(c)
+    });
+  }
+
+  for (const type of relationshipTypes) {
+    const rel = quoteName(type);
+    const [{ c } = {}] = await run(`MATCH ()-[r:${rel}]->() RETURN count(r) AS c`);
+    const endpoints = await run(`MATCH (a)-[:${rel}]->(b) RETURN DISTINCT labels(a) AS fromLabels, labels(b) AS toLabels LIMIT 25`);
+    tables.push({
+      name: type,
+      kind: 'relationship',
+      columns: toColumns(relProps.filter(p => p.relType === `:${quoteName(type)}`)),
+      primaryKey: [],
+      foreignKeys: [],
+      rowEstimate: c == null ? null : Number(c),
+      // observed (from)-[type]->(to) label combinations
+      endpoints: endpoints.map(e => ({ from: e.fromLabels || [], to: e.toLabels || [] }))
+    });
+  }
+
+  return { source: 'neo4j', tables, labels, relationshipTypes, propertyKeys };
+}
+
+/* -------------------- built-in engines -------------------- */
+// more engines register themselves in utils/engines/
+
+registerEngine({
+  name: 'postgres',
+  schemes: ['postgres', 'postgresql'],
+  language: 'sql',
+  parse: textQuery('sql_query_required_for_postgres'),
+  classify: (query) => classifySql(query),
+  run: (cs, query, payload, maxRows, options) => runQueryOnPostgres(cs, query, maxRows, options),
+  explain: (cs, query, payload, options) => explainPostgres(cs, query, options),
+  schema: (cs) => getSchemaOfPostgres(cs),
+  test: (cs) => runQueryOnPostgres(cs, 'SELECT 1', 1)
+});
+
+registerEngine({
+  name: 'mysql',
+  schemes: ['mysql', 'mariadb'],
+  language: 'sql',
+  parse: textQuery('sql_query_required_for_mysql'),
+  classify: (query) => classifySql(query, 'mysql'),
+  run: (cs, query, payload, maxRows, options) => runQueryOnMySQL(cs, query, maxRows, options),
+  explain: (cs, query, payload, options) => explainMySQL(cs, query, options),
+  schema: (cs) => getSchemaOfMySQL(cs),
+  test: (cs) => runQueryOnMySQL(cs, 'SELECT 1', 1)
+});
+
+registerEngine({
+  name: 'mongodb',
+  schemes: ['mongodb', 'mongodb+srv'],
+  language: 'mongodb',
+  parse(payload, options = {}) {
+    let mongo;
+    if (payload.mongo && payload.mongo.collection) {
+      // structured queries carry typed values as Extended JSON ({ "$oid": ... }, { "$date": ... })
+      mongo = decodeExtendedJson(payload.mongo);
+    } else {
+      if (!payload.query || !String(payload.query).trim()) throw new Error('mongo_query_required_for_mongodb');
+      // shell text (db.orders.aggregate([...])) in query is parsed into the structured form
+      mongo = parseMongoShell(payload.query);
+    }
+    // { $param: 'name' } markers take the bound values before the query is classified
+    return substituteMongoParams(mongo, options.params);
+  },
+  classify(mongo, payload) {
+    const classification = classifyMongo(mongo);
+    if (classification.jsOperators.length && payload.allowServerSideJs !== true) {
+      throw new Error(`mongo_operator_not_allowed:${classification.jsOperators[0]}`);
+    }
+    return classification;
+  },
+  run(cs, mongo, payload, maxRows, options) {
+    options.ejson = payload.ejson;
+    return runQueryOnMongo(cs, { ...mongo, database: mongo.database || payload.database }, maxRows, options);
+  },
+  explain: (cs, mongo, payload, options) => explainMongo(cs, { ...mongo, database: mongo.database || payload.database }, options),
+  schema: (cs, payload) => getSchemaOfMongo(cs, Number(payload.sampleSize || 100), payload.database),
+  async test(cs) {
+    const client = new MongoClient(cs, { serverSelectionTimeoutMS: 10000 });
+    await client.connect();
+    try {
+      await client.db().command({ ping: 1 });
+    } finally {
+      await client.close();
+    }
+  }
+});
+
+// Neo4j over Bolt (neo4j://, neo4j+s://, neo4j+ssc://, bolt://, bolt+s://, bolt+ssc://) or the HTTP API
+registerEngine({
+  name: 'neo4j',
+  schemes: ['neo4j', 'neo4j+s', 'neo4j+ssc', 'bolt', 'bolt+s', 'bolt+ssc', 'http', 'https'],
+  language: 'cypher',
+  parse: textQuery('cypher_query_required_for_neo4j'),
+  classify: (query) => classifyCypher(query),
+  run: (cs, query, payload, maxRows, options) =>
+    runQueryOnNeo4j(cs, query, maxRows, payload.user, payload.password, payload.database || 'neo4j', options),
+  // EXPLAIN only plans; PROFILE runs the query and counts rows and db hits per operator
+  explain: (cs, query, payload, options) =>
+    runQueryOnNeo4j(cs, `${options.explain === 'analyze' ? 'PROFILE' : 'EXPLAIN'} ${query}`, 1,
+      payload.user, payload.password, payload.database || 'neo4j', options),
+  schema: (cs, payload) => getSchemaOfNeo4j(cs, payload.user, payload.password, payload.database || 'neo4j'),
+  test: (cs, payload) => runQueryOnNeo4j(cs, 'RETURN 1 AS ok', 1, payload.user, payload.password, payload.database || 'neo4j')
+});
+
 module.exports = {
+  UPLOADS_DIR,
+  migrateLegacyFilesIndex,
   handleUpload,
-  executeQuery
+  getFileInfo,
+  listFiles,
+  deleteFile,
+  executeQuery,
+  cancelExecution,
+  listExecutions,
+  getSchema,
+  detectConnectionType,
+  listEngines,
+  testConnection,
+  createWorkspace,
+  listWorkspaces,
+  getWorkspace,
+  renameWorkspace,
+  deleteWorkspace,
+  addWorkspaceFile,
+  removeWorkspaceFile
 };
@@ -0,0 +1,543 @@
+// controllers/savedQueryController.js
+// Saved queries: a titled, tagged query with its bind parameters and the source it runs
+// against, kept with its version history and shareable with users and teams.
+const mongoose = require('mongoose');
+const SavedQuery = require('../models/SavedQuery');
+const Query = require('../models/Query');
+const Chat = require('../models/Chat');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const Connection = require('../models/Connection');
+const UploadedFile = require('../models/UploadedFile');
+const Workspace = require('../models/Workspace');
+const dbController = require('./dbController');
+const { PARAM_TYPES } = require('../utils/queryParams');
+const { extractQueryFromResponse, extractParamSchema } = require('../utils/responseParser');
+
+const MAX_VERSIONS = 100; // oldest revisions are dropped beyond this
+const MAX_TAGS = 20;
+const TAG_RE = /^[a-z0-9][a-z0-9_.:-]{0,39}$/;
+const PARAM_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+/* -------------------- access -------------------- */
+
+async function teamIdsOf(userId) {
+  const teams = await Team.find({ 'members.user': userId }).select('_id').lean();
+  return teams.map(t => t._id);
+}
+
+// saved queries userId can see: their own, shared with them, or shared with one of their teams
+function visibleFilter(userId, teamIds) {
+  return {
+    $or: [
+      { owner: userId },
+      { 'sharedWith.user': userId },
+      { 'sharedWithTeams.team': { $in: teamIds } }
+    ]
+  };
+}
+
+// 'owner' | 'editor' | 'viewer' | null
+function accessOf(sq, userId, teamIds) {
+  if (String(sq.owner) === String(userId)) return 'owner';
+  const teams = new Set(teamIds.map(String));
+  let best = null;
+  const grants = [
+    ...(sq.sharedWith || []).filter(s => String(s.user) === String(userId)),
+    ...(sq.sharedWithTeams || []).filter(s => teams.has(String(s.team)))
+  ];
+  for (const g of grants) {
+    if (!best || ROLE_RANK[g.role] > ROLE_RANK[best]) best = g.role;
+  }
+  return best;
+}
+
+/**
+ * Load a saved query userId may use with at least `need` access.
+ * Queries they can't see are reported as missing so ids can't be probed.
+ * returns { sq, access }
+ */
+async function loadAccessible(id, userId, need = 'viewer') {
+  if (!mongoose.isValidObjectId(id) || !userId || !mongoose.isValidObjectId(userId)) {
+    throw new Error('saved_query_not_found');
+  }
+  const sq = await SavedQuery.findById(id);
+  if (!sq) throw new Error('saved_query_not_found');
+  const access = accessOf(sq, userId, await teamIdsOf(userId));
+  if (!access) throw new Error('saved_query_not_found');
+  if (ROLE_RANK[access] < ROLE_RANK[need]) throw new Error('saved_query_forbidden');
+  return { sq, access };
+}
+
+/* -------------------- validation -------------------- */
+
+function normalizeTags(tags) {
+  if (tags === undefined) return undefined;
+  if (!Array.isArray(tags)) throw new Error('invalid_tags');
+  const out = Array.from(new Set(tags.map(t => String(t).trim().toLowerCase()).filter(Boolean)));
+  if (out.length > MAX_TAGS || out.some(t => !TAG_RE.test(t))) throw new Error('invalid_tags');
+  return out;
+}
+
+// [{ name, type?, description?, default? }]
+function normalizeParamDefs(params) {
+  if (params === undefined || params === null) return [];
+  if (!Array.isArray(params)) throw new Error('invalid_params');
+  const seen = new Set();
+  return params.map((p) => {
+    if (!p || typeof p.name !== 'string' || !PARAM_NAME_RE.test(p.name)) throw new Error('invalid_params');
+    if (seen.has(p.name)) throw new Error(`duplicate_param:${p.name}`);
+    seen.add(p.name);
+    const type = p.type === undefined ? 'string' : p.type;
+    if (!PARAM_TYPES.includes(type)) throw new Error(`invalid_param_type:${p.name}`);
+    return {
+      name: p.name,
+      type,
+      description: typeof p.description === 'string' ? p.description.slice(0, 500) : undefined,
+      default: p.default === undefined ? undefined : p.default
+    };
+  });
+}
+
+/**
+ * A source reference owned by ownerId: { fileId, engine? } | { workspaceId } | { connectionId },
+ * plus database?. Raw connection strings are not stored; save the connection first.
+ */
+async function normalizeSource(source, ownerId) {
+  if (source === undefined || source === null) return undefined;
+  if (typeof source !== 'object') throw new Error('invalid_source');
+  if (source.connectionString && !source.connectionId) throw new Error('connection_not_saved');
+  const out = {};
+  if (source.fileId) {
+    if (!await UploadedFile.exists({ _id: String(source.fileId), owner: ownerId })) throw new Error('file_not_found');
+    out.fileId = String(source.fileId);
+    if (source.engine) out.engine = String(source.engine);
+  } else if (source.workspaceId) {
+    if (!mongoose.isValidObjectId(source.workspaceId) || !await Workspace.exists({ _id: source.workspaceId, owner: ownerId })) {
+      throw new Error('workspace_not_found');
+    }
+    out.workspaceId = source.workspaceId;
+  } else if (source.connectionId) {
+    if (!mongoose.isValidObjectId(source.connectionId) || !await Connection.exists({ _id: source.connectionId, user: ownerId })) {
+      throw new Error('connection_not_found');
+    }
+    out.connectionId = source.connectionId;
+  } else {
+    throw new Error('invalid_source');
+  }
+  if (source.database) out.database = String(source.database);
+  return out;
+}
+
+function normalizeLanguage(language) {
+  if (!SavedQuery.LANGUAGES.includes(language)) throw new Error('invalid_language');
+  return language;
+}
+
+function normalizeQueryText(query) {
+  if (typeof query !== 'string' || !query.trim()) throw new Error('query_required');
+  return query.trim();
+}
+
+/* -------------------- CRUD -------------------- */
+
+// the runnable fields of a saved query as a version entry
+function revisionOf(sq) {
+  return {
+    language: sq.language,
+    query: sq.query,
+    params: (sq.params || []).map(p => (p.toObject ? p.toObject() : p)),
+    source: sq.source && sq.source.toObject ? sq.source.toObject() : sq.source
+  };
+}
+
+// the runnable fields as a comparable string
+function revisionKey(rev) {
+  const plain = (v) => (v && v.toObject ? v.toObject() : v);
+  return JSON.stringify([rev.language, rev.query, (rev.params || []).map(plain), plain(rev.source) || null]);
+}
+
+// versions written by the owner are approved (older documents have no approved flag)
+function isApproved(sq, v) {
+  return v.approved === true || String(v.createdBy) === String(sq.owner);
+}
+
+// newest version sharees may run, or null
+function latestApproved(sq) {
+  for (let i = sq.versions.length - 1; i >= 0; i--) {
+    if (isApproved(sq, sq.versions[i])) return sq.versions[i];
+  }
+  return null;
+}
+
+/**
+ * Record the current runnable fields as a new version. A sharee's edit runs on the owner's
+ * source, so it is only approved when the owner made it or it matches an approved version
+ * (e.g. a revert); until the owner approves it, sharees keep running the last approved one.
+ */
+function pushVersion(sq, userId, note) {
+  const key = revisionKey(revisionOf(sq));
+  const approved = String(userId) === String(sq.owner)
+    || sq.versions.some(v => isApproved(sq, v) && revisionKey(v) === key);
+  sq.version = (sq.versions.length ? sq.versions[sq.versions.length - 1].version : 0) + 1;
+  sq.versions.push({
+    ...revisionOf(sq), version: sq.version, note, createdBy: userId, createdAt: new Date(),
+    approved, approvedAt: approved ? new Date() : undefined
+  });
+  if (sq.versions.length > MAX_VERSIONS) sq.versions.splice(0, sq.versions.length - MAX_VERSIONS);
+  const last = latestApproved(sq);
+  sq.approvedVersion = last ? last.version : null;
+}
+
+function toClient(sq, access, { withVersions = false } = {}) {
+  const obj = sq.toObject ? sq.toObject() : { ...sq };
+  if (!withVersions) delete obj.versions;
+  // sharing details are the owner's business
+  if (access !== 'owner') {
+    delete obj.sharedWith;
+    delete obj.sharedWithTeams;
+  }
+  obj.access = access;
+  return obj;
+}
+
+/**
+ * body: { title, description?, tags?, language, query, params?, source?, note? }
+ */
+async function createSavedQuery(userId, body = {}) {
+  if (!body.title || !String(body.title).trim()) throw new Error('title_required');
+  const sq = new SavedQuery({
+    owner: userId,
+    title: String(body.title).trim(),
+    description: body.description,
+    tags: normalizeTags(body.tags) || [],
+    language: normalizeLanguage(body.language),
+    query: normalizeQueryText(body.query),
+    params: normalizeParamDefs(body.params),
+    source: await normalizeSource(body.source, userId),
+    fromQuery: body.fromQuery
+  });
+  pushVersion(sq, userId, body.note);
+  await sq.save();
+  return toClient(sq, 'owner');
+}
+
+/**
+ * Saved queries userId can see.
+ * filters: { scope?: 'all' (default) | 'mine' | 'shared', tag?, q? (title search) }
+ */
+async function listSavedQueries(userId, filters = {}) {
+  const teamIds = await teamIdsOf(userId);
+  const and = [];
+  if (filters.scope === 'mine') and.push({ owner: userId });
+  else if (filters.scope === 'shared') and.push(visibleFilter(userId, teamIds), { owner: { $ne: userId } });
+  else and.push(visibleFilter(userId, teamIds));
+  if (filters.tag) and.push({ tags: String(filters.tag).toLowerCase() });
+  if (filters.q) {
+    const escaped = String(filters.q).slice(0, 100).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    and.push({ title: { $regex: escaped, $options: 'i' } });
+  }
+  const docs = await SavedQuery.find({ $and: and }).select('-versions').sort({ updatedAt: -1 }).lean();
+  return docs.map(sq => toClient(sq, accessOf(sq, userId, teamIds)));
+}
+
+async function getSavedQuery(id, userId) {
+  const { sq, access } = await loadAccessible(id, userId);
+  return toClient(sq, access, { withVersions: true });
+}
+
+/**
+ * body: any of { title, description, tags, language, query, params, source, note }
+ * Editors may change everything but the source, which must be one of the owner's.
+ * A change to language / query / params / source records a new version; an editor's
+ * version waits for the owner's approval before sharees run it.
+ */
+async function updateSavedQuery(id, userId, body = {}) {
+  const { sq, access } = await loadAccessible(id, userId, 'editor');
+  if (body.title !== undefined) {
+    if (!String(body.title).trim()) throw new Error('title_required');
+    sq.title = String(body.title).trim();
+  }
+  if (body.description !== undefined) sq.description = body.description;
+  if (body.tags !== undefined) sq.tags = normalizeTags(body.tags);
+
+  const before = JSON.stringify(revisionOf(sq));
+  if (body.language !== undefined) sq.language = normalizeLanguage(body.language);
+  if (body.query !== undefined) sq.query = normalizeQueryText(body.query);
+  if (body.params !== undefined) sq.params = normalizeParamDefs(body.params);
+  if (body.source !== undefined) {
+    if (access !== 'owner') throw new Error('saved_query_forbidden');
+    sq.source = await normalizeSource(body.source, sq.owner);
+  }
+  if (JSON.stringify(revisionOf(sq)) !== before) pushVersion(sq, userId, body.note);
+
+  await sq.save();
+  return toClient(sq, access, { withVersions: true });
+}
+
+async function deleteSavedQuery(id, userId) {
+  const { sq } = await loadAccessible(id, userId, 'owner');
+  await sq.deleteOne();
+  return { success: true };
+}
+
+/* -------------------- versions -------------------- */
+
+function findVersion(sq, version) {
+  const n = Number(version);
+  const found = sq.versions.find(v => v.version === n);
+  if (!found) throw new Error('version_not_found');
+  return found;
+}
+
+async function getSavedQueryVersion(id, userId, version) {
+  const { sq } = await loadAccessible(id, userId);
+  return findVersion(sq, version).toObject();
+}
+
+/**
+ * Make an earlier version current again, as a new version (history is never rewritten).
+ */
+async function revertSavedQuery(id, userId, version, note) {
+  const { sq, access } = await loadAccessible(id, userId, 'editor');
+  const old = findVersion(sq, version).toObject();
+  if (access !== 'owner' && JSON.stringify(old.source || null) !== JSON.stringify(revisionOf(sq).source || null)) {
+    throw new Error('saved_query_forbidden');
+  }
+  sq.language = old.language;
+  sq.query = old.query;
+  sq.params = old.params;
+  sq.source = old.source;
+  pushVersion(sq, userId, note || `revert to version ${old.version}`);
+  await sq.save();
+  return toClient(sq, access, { withVersions: true });
+}
+
+/**
+ * Approve a version a sharee wrote (owner only), so sharees run it (if it is the newest
+ * approved one).
+ */
+async function approveSavedQueryVersion(id, userId, version) {
+  const { sq, access } = await loadAccessible(id, userId, 'owner');
+  const v = findVersion(sq, version);
+  if (!isApproved(sq, v)) {
+    v.approved = true;
+    v.approvedAt = new Date();
+  }
+  sq.approvedVersion = latestApproved(sq).version;
+  await sq.save();
+  return toClient(sq, access, { withVersions: true });
+}
+
+/* -------------------- sharing -------------------- */
+
+/**
+ * Replace who the saved query is shared with (owner only).
+ * sharing: { users?: [{ userId | email, role? }], teams?: [{ teamId, role? }] }
+ * role: 'viewer' (run and read, default) | 'editor' (also change it)
+ * Teams must be ones the owner belongs to.
+ */
+async function setSavedQuerySharing(id, userId, sharing = {}) {
+  const { sq } = await loadAccessible(id, userId, 'owner');
+  const roleOf = (r) => {
+    const role = r === undefined ? 'viewer' : r;
+    if (!SavedQuery.SHARE_ROLES.includes(role)) throw new Error('invalid_role');
+    return role;
+  };
+
+  if (sharing.users !== undefined) {
+    if (!Array.isArray(sharing.users)) throw new Error('invalid_sharing');
+    const users = new Map();
+    for (const entry of sharing.users) {
+      if (!entry) throw new Error('invalid_sharing');
+      let user = null;
+      if (entry.userId && mongoose.isValidObjectId(entry.userId)) {
+        user = await User.findById(entry.userId).select('_id').lean();
+      } else if (entry.email) {
+        user = await User.findOne({ email: String(entry.email).toLowerCase().trim() }).select('_id').lean();
+      }
+      if (!user) throw new Error(`user_not_found:${entry.email || entry.userId || ''}`);
+      if (String(user._id) === String(sq.owner)) continue;
+      users.set(String(user._id), { user: user._id, role: roleOf(entry.role) });
+    }
+    sq.sharedWith = Array.from(users.values());
+  }
+
+  if (sharing.teams !== undefined) {
+    if (!Array.isArray(sharing.teams)) throw new Error('invalid_sharing');
+    const ownerTeams = new Set((await teamIdsOf(sq.owner)).map(String));
+    const teams = new Map();
+    for (const entry of sharing.teams) {
+      if (!entry || !ownerTeams.has(String(entry.teamId))) throw new Error('team_not_found');
+      teams.set(String(entry.teamId), { team: entry.teamId, role: roleOf(entry.role) });
+    }
+    sq.sharedWithTeams = Array.from(teams.values());
+  }
+
+  await sq.save();
+  return { sharedWith: sq.sharedWith, sharedWithTeams: sq.sharedWithTeams };
+}
+
+/* -------------------- save from a chat answer -------------------- */
+
+const LANGUAGE_ALIASES = {
+  sql: 'sql', postgres: 'sql', postgresql: 'sql', mysql: 'sql', sqlite: 'sql', tsql: 'sql', clickhouse: 'sql', duckdb: 'sql',
+  mongodb: 'mongodb', mongo: 'mongodb', javascript: 'mongodb', js: 'mongodb',
+  cypher: 'cypher', neo4j: 'cypher',
+  redis: 'redis'
+};
+
+// language of an answer's query from its fence tag, or from the query itself for ```query blocks
+function languageOfAnswer(fenceLanguage, query) {
+  if (LANGUAGE_ALIASES[fenceLanguage]) return LANGUAGE_ALIASES[fenceLanguage];
+  if (/^\s*db\./.test(query)) return 'mongodb';
+  if (/^\s*(OPTIONAL\s+MATCH|MATCH|MERGE|UNWIND)\b/i.test(query)) return 'cypher';
+  return 'sql';
+}
+
+/**
+ * "Save this": turn the query block of one of userId's chat answers (a Query document)
+ * into a saved query. The source is the one the answer ran on (or its chat's) unless
+ * body.source names another; parameters come from a parameterized answer's schema.
+ * body: { title?, description?, tags?, source?, note? }
+ */
+async function saveFromQuery(queryId, userId, body = {}) {
+  if (!mongoose.isValidObjectId(queryId)) throw new Error('query_not_found');
+  const q = await Query.findOne({ _id: queryId, user: userId }).lean();
+  if (!q) throw new Error('query_not_found');
+  const extracted = extractQueryFromResponse(q.response);
+  if (!extracted) throw new Error('no_query_in_response');
+
+  // an answer that ran on an unsaved connection string is saved without a source; one
+  // can be set later (PUT with a saved connectionId)
+  let source = body.source;
+  if (source === undefined) {
+    const ran = q.execution && q.execution.payload;
+    const chat = ran ? null : await Chat.findOne({ _id: q.chat, user: userId }).select('source').lean();
+    const from = ran || (chat && chat.source) || null;
+    if (from && (from.fileId || from.workspaceId || from.connectionId)) {
+      source = {
+        fileId: from.fileId,
+        engine: from.engine,
+        workspaceId: from.workspaceId,
+        connectionId: from.connectionId,
+        database: from.database
+      };
+    }
+  }
+
+  const paramSchema = q.paramSchema || extractParamSchema(q.response) || [];
+  return createSavedQuery(userId, {
+    title: body.title || String(q.prompt || 'Saved query').slice(0, 200),
+    description: body.description,
+    tags: body.tags,
+    language: languageOfAnswer(extracted.language, extracted.query),
+    query: extracted.query,
+    params: paramSchema.map(p => ({ name: p.name, type: p.type, description: p.description, default: p.example === null ? undefined : p.example })),
+    source,
+    note: body.note,
+    fromQuery: q._id
+  });
+}
+
+/* -------------------- running -------------------- */
+
+// executeQuery params: the caller's, completed with the saved defaults and typed by the saved
+// parameter types; positional arrays are passed as they are
+function bindParams(defs, given) {
+  if (Array.isArray(given)) return given;
+  if (given !== undefined && given !== null && typeof given !== 'object') throw new Error('invalid_params');
+  const out = { ...(given || {}) };
+  for (const def of defs) {
+    let value = Object.prototype.hasOwnProperty.call(out, def.name) ? out[def.name] : def.default;
+    if (value === undefined || value === null) {
+      delete out[def.name];
+      continue;
+    }
+    if (!(value && typeof value === 'object' && !Array.isArray(value) && '$type' in value)) {
+      value = { $type: def.type || 'string', value };
+    }
+    out[def.name] = value;
+  }
+  return Object.keys(out).length ? out : undefined;
+}
+
+// the version userId runs: the one asked for or the current one for the owner; sharees only
+// get approved versions, the newest by default
+function versionToRun(sq, access, version) {
+  if (access === 'owner') {
+    return version !== undefined
+      ? { rev: findVersion(sq, version).toObject(), version: Number(version) }
+      : { rev: revisionOf(sq), version: sq.version };
+  }
+  if (version !== undefined) {
+    const v = findVersion(sq, version);
+    if (!isApproved(sq, v)) throw new Error('version_not_approved');
+    return { rev: v.toObject(), version: v.version };
+  }
+  const v = latestApproved(sq);
+  if (!v) throw new Error('saved_query_not_approved');
+  return { rev: v.toObject(), version: v.version };
+}
+
+/**
+ * The executeQuery payload and context for running a saved query as userId.
+ * body: { params?, version?, maxRows?, pageToken?, timeoutMs?, executionId?, cache?, cacheTtlMs?, allowWrites? }
+ * It runs on the owner's bound source; only the owner may pass allowWrites, and sharees
+ * only run versions the owner wrote or approved.
+ * returns { payload, context, savedQuery: { id, title, version } }
+ */
+async function savedQueryRun(id, userId, body = {}) {
+  const { sq, access } = await loadAccessible(id, userId);
+  const { rev, version } = versionToRun(sq, access, body.version);
+  const source = rev.source || {};
+  if (!source.fileId && !source.workspaceId && !source.connectionId) throw new Error('saved_query_has_no_source');
+
+  const payload = {
+    fileId: source.fileId,
+    engine: source.engine,
+    workspaceId: source.workspaceId ? String(source.workspaceId) : undefined,
+    connectionId: source.connectionId ? String(source.connectionId) : undefined,
+    database: source.database,
+    query: rev.query,
+    params: bindParams(rev.params || [], body.params),
+    maxRows: body.maxRows,
+    pageToken: body.pageToken,
+    timeoutMs: body.timeoutMs,
+    executionId: body.executionId,
+    cache: body.cache,
+    cacheTtlMs: body.cacheTtlMs,
+    allowWrites: access === 'owner' && body.allowWrites === true
+  };
+  return {
+    payload,
+    context: { userId, sourceOwnerId: String(sq.owner) },
+    savedQuery: { id: String(sq._id), title: sq.title, version }
+  };
+}
+
+/**
+ * Run a saved query (see savedQueryRun) and return the executeQuery result with
+ * savedQueryId and version.
+ */
+async function runSavedQuery(id, userId, body = {}) {
+  const { payload, context, savedQuery } = await savedQueryRun(id, userId, body);
+  const result = await dbController.executeQuery(payload, context);
+  return { ...result, savedQueryId: savedQuery.id, version: savedQuery.version };
+}
+
+module.exports = {
+  createSavedQuery,
+  listSavedQueries,
+  getSavedQuery,
+  updateSavedQuery,
+  deleteSavedQuery,
+  getSavedQueryVersion,
+  revertSavedQuery,
+  approveSavedQueryVersion,
+  setSavedQuerySharing,
+  saveFromQuery,
+  savedQueryRun,
+  runSavedQuery
+};
@@ -0,0 +1,463 @@
+// controllers/scheduleController.js
+// Scheduled saved queries: a schedule runs one of its owner's saved queries (or one shared
+// with them) on a cron expression, keeps each result as a ScheduleRun snapshot, diffs it
+// against the previous successful run and posts an alert to a webhook when a threshold
+// is crossed. The scheduler polls for due schedules in-process; claiming a schedule is
+// atomic, so several server instances can poll the same database.
+const axios = require('axios');
+const mongoose = require('mongoose');
+const { CronExpressionParser } = require('cron-parser');
+const Schedule = require('../models/Schedule');
+const ScheduleRun = require('../models/ScheduleRun');
+const dbController = require('./dbController');
+const savedQueries = require('./savedQueryController');
+const { assertPublicWebhookUrl, webhookRequestOptions } = require('../utils/webhookTargets');
+
+const POLL_INTERVAL_MS = 30 * 1000;
+const RUN_LOCK_MS = 35 * 60 * 1000; // longer than the longest query timeout
+const MAX_SNAPSHOT_ROWS = 10000;
+const RUNS_KEPT = 100; // per schedule; older runs are deleted
+const DIFF_SAMPLE_ROWS = 50; // added / removed rows kept on a run's diff
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const THRESHOLDS = ['rowCountChange', 'rowCountChangePct', 'addedRows', 'removedRows', 'minRowCount', 'maxRowCount'];
+
+/* -------------------- validation -------------------- */
+
+// next time a 5-field cron expression fires after `from`, in timezone
+function nextRunOf(cron, timezone, from = new Date()) {
+  return CronExpressionParser.parse(cron, { tz: timezone, currentDate: from }).next().toDate();
+}
+
+function normalizeCron(cron, timezone) {
+  const expr = String(cron || '').trim();
+  // minute hour day-of-month month day-of-week; no seconds field
+  if (expr.split(/\s+/).length !== 5) throw new Error('invalid_cron');
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new Error('invalid_timezone');
+  }
+  try {
+    nextRunOf(expr, timezone);
+  } catch {
+    throw new Error('invalid_cron');
+  }
+  return expr;
+}
+
+// { webhookUrl?, thresholds?: { ... }, onError? }; the webhook must be a public host
+async function normalizeAlert(alert) {
+  if (alert === undefined || alert === null) return {};
+  if (typeof alert !== 'object') throw new Error('invalid_alert');
+  const out = { onError: alert.onError !== false };
+  if (alert.webhookUrl) {
+    let url;
+    try {
+      url = new URL(String(alert.webhookUrl));
+    } catch {
+      throw new Error('invalid_webhookUrl');
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error('invalid_webhookUrl');
+    await assertPublicWebhookUrl(url.toString());
+    out.webhookUrl = url.toString();
+  }
+  out.thresholds = {};
+  for (const [name, value] of Object.entries(alert.thresholds || {})) {
+    if (!THRESHOLDS.includes(name)) throw new Error(`invalid_threshold:${name}`);
+    if (value === null || value === undefined) continue;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`invalid_threshold:${name}`);
+    out.thresholds[name] = n;
+  }
+  return out;
+}
+
+function normalizeKeyColumns(keyColumns) {
+  if (keyColumns === undefined || keyColumns === null) return undefined;
+  if (!Array.isArray(keyColumns) || keyColumns.some(c => typeof c !== 'string' || !c)) throw new Error('invalid_keyColumns');
+  return keyColumns.length ? Array.from(new Set(keyColumns)) : undefined;
+}
+
+function normalizeMaxRows(maxRows) {
+  if (maxRows === undefined || maxRows === null) return 1000;
+  const n = Number(maxRows);
+  if (!Number.isInteger(n) || n < 1) throw new Error('invalid_maxRows');
+  return Math.min(n, MAX_SNAPSHOT_ROWS);
+}
+
+/* -------------------- CRUD -------------------- */
+
+async function getOwnedSchedule(id, userId) {
+  if (!mongoose.isValidObjectId(id) || !userId || !mongoose.isValidObjectId(userId)) throw new Error('schedule_not_found');
+  const schedule = await Schedule.findOne({ _id: id, owner: userId });
+  if (!schedule) throw new Error('schedule_not_found');
+  return schedule;
+}
+
+/**
+ * body: {
+ *   savedQueryId, name?, cron, timezone? (IANA, default UTC), enabled?,
+ *   params?,       // executeQuery params for every run (saved defaults fill the rest)
+ *   maxRows?,      // rows kept per snapshot (default 1000, max 10000)
+ *   keyColumns?,   // columns identifying a row for the diff (default: whole rows)
+ *   alert?: { webhookUrl?, thresholds?: { rowCountChange?, rowCountChangePct?, addedRows?,
+ *             removedRows?, minRowCount?, maxRowCount? }, onError? (default true) }
+ * }
+ */
+async function createSchedule(userId, body = {}) {
+  if (!body.savedQueryId) throw new Error('savedQueryId_required');
+  // the owner must be able to run it (their own, or shared with them)
+  const sq = await savedQueries.getSavedQuery(body.savedQueryId, userId);
+  const timezone = body.timezone || 'UTC';
+  const cron = normalizeCron(body.cron, timezone);
+  const schedule = new Schedule({
+    owner: userId,
+    savedQuery: sq._id,
+    name: body.name || sq.title,
+    cron,
+    timezone,
+    enabled: body.enabled !== false,
+    params: body.params,
+    maxRows: normalizeMaxRows(body.maxRows),
+    keyColumns: normalizeKeyColumns(body.keyColumns),
+    alert: await normalizeAlert(body.alert),
+    nextRunAt: nextRunOf(cron, timezone)
+  });
+  await schedule.save();
+  return schedule.toJSON();
+}
+
+// filters: { savedQueryId? }
+async function listSchedules(userId, filters = {}) {
+  const q = { owner: userId };
+  if (filters.savedQueryId) {
+    if (!mongoose.isValidObjectId(filters.savedQueryId)) return [];
+    q.savedQuery = filters.savedQueryId;
+  }
+  return Schedule.find(q).select('-lockedUntil').sort({ createdAt: -1 }).lean();
+}
+
+async function getSchedule(id, userId) {
+  return (await getOwnedSchedule(id, userId)).toJSON();
+}
+
+// body: any of createSchedule's fields but savedQueryId
+async function updateSchedule(id, userId, body = {}) {
+  const schedule = await getOwnedSchedule(id, userId);
+  if (body.name !== undefined) schedule.name = body.name;
+  if (body.enabled !== undefined) schedule.enabled = body.enabled === true;
+  if (body.params !== undefined) schedule.params = body.params;
+  if (body.maxRows !== undefined) schedule.maxRows = normalizeMaxRows(body.maxRows);
+  if (body.keyColumns !== undefined) schedule.keyColumns = normalizeKeyColumns(body.keyColumns);
+  if (body.alert !== undefined) schedule.alert = await normalizeAlert(body.alert);
+  if (body.cron !== undefined || body.timezone !== undefined) {
+    schedule.timezone = body.timezone || schedule.timezone;
+    schedule.cron = normalizeCron(body.cron !== undefined ? body.cron : schedule.cron, schedule.timezone);
+  }
+  if (body.cron !== undefined || body.timezone !== undefined || body.enabled === true) {
+    schedule.nextRunAt = nextRunOf(schedule.cron, schedule.timezone);
+  }
+  await schedule.save();
+  return schedule.toJSON();
+}
+
+async function deleteSchedule(id, userId) {
+  const schedule = await getOwnedSchedule(id, userId);
+  await ScheduleRun.deleteMany({ schedule: schedule._id });
+  await schedule.deleteOne();
+  return { success: true };
+}
+
+/**
+ * Runs of a schedule, newest first, without their snapshot rows.
+ * options: { limit? (default 20, max 100), before? (ISO date: runs started earlier) }
+ */
+async function listScheduleRuns(id, userId, options = {}) {
+  const schedule = await getOwnedSchedule(id, userId);
+  const q = { schedule: schedule._id };
+  if (options.before) {
+    const before = new Date(options.before);
+    if (isNaN(before)) throw new Error('invalid_before');
+    q.startedAt = { $lt: before };
+  }
+  const limit = Math.max(1, Math.min(Number(options.limit) || 20, 100));
+  return ScheduleRun.find(q).select('-rows -diff.addedRows -diff.removedRows').sort({ startedAt: -1 }).limit(limit).lean();
+}
+
+// one run with its snapshot (rows as value arrays in columns order) and diff
+async function getScheduleRun(id, runId, userId) {
+  const schedule = await getOwnedSchedule(id, userId);
+  if (!mongoose.isValidObjectId(runId)) throw new Error('run_not_found');
+  const run = await ScheduleRun.findOne({ _id: runId, schedule: schedule._id }).lean();
+  if (!run) throw new Error('run_not_found');
+  return run;
+}
+
+async function runScheduleNow(id, userId) {
+  const schedule = await getOwnedSchedule(id, userId);
+  return runSchedule(schedule, 'manual');
+}
+
+/* -------------------- snapshots & diffs -------------------- */
+
+/**
+ * Compare two snapshots by key: rows are matched on keyColumns (or whole rows when none
+ * of them are in the result); duplicate keys are counted, so a row appearing once more
+ * counts as added.
+ * returns { keyColumns, added, removed, addedRows, removedRows }
+ */
+function diffSnapshots(previous, current, keyColumns) {
+  const usable = (keyColumns || []).filter(c => current.columns.includes(c));
+  const keyOf = (columns, row) => {
+    const picked = usable.length
+      ? usable.map(c => row[columns.indexOf(c)])
+      : columns.map((c, i) => [c, row[i]]).sort((x, y) => (x[0] < y[0] ? -1 : x[0] > y[0] ? 1 : 0));
+    return JSON.stringify(picked);
+  };
+
+  const before = new Map();
+  for (const row of previous.rows || []) {
+    const k = keyOf(previous.columns || [], row);
+    before.set(k, (before.get(k) || 0) + 1);
+  }
+  const addedRows = [];
+  let added = 0;
+  for (const row of current.rows) {
+    const k = keyOf(current.columns, row);
+    const n = before.get(k) || 0;
+    if (n > 0) {
+      before.set(k, n - 1);
+    } else {
+      added++;
+      if (addedRows.length < DIFF_SAMPLE_ROWS) addedRows.push(row);
+    }
+  }
+  const removedRows = [];
+  let removed = 0;
+  for (const row of previous.rows || []) {
+    const k = keyOf(previous.columns || [], row);
+    const n = before.get(k) || 0;
+    if (n > 0) {
+      before.set(k, n - 1);
+      removed++;
+      if (removedRows.length < DIFF_SAMPLE_ROWS) removedRows.push(row);
+    }
+  }
+  return { keyColumns: usable.length ? usable : undefined, added, removed, addedRows, removedRows };
+}
+
+// why a run should alert, e.g. ['row_count_above:0'] (empty: no alert)
+function alertReasons(schedule, run) {
+  const alert = schedule.alert || {};
+  if (run.status === 'failed') return alert.onError === false ? [] : ['run_failed'];
+  const t = (alert.thresholds && (alert.thresholds.toObject ? alert.thresholds.toObject() : alert.thresholds)) || {};
+  const reasons = [];
+  if (t.maxRowCount != null && run.rowCount > t.maxRowCount) reasons.push(`row_count_above:${t.maxRowCount}`);
+  if (t.minRowCount != null && run.rowCount < t.minRowCount) reasons.push(`row_count_below:${t.minRowCount}`);
+  const diff = run.diff;
+  if (!diff || !diff.previousRun) return reasons; // nothing to compare the first run with
+  const change = Math.abs(diff.rowCountChange);
+  if (t.rowCountChange != null && change >= t.rowCountChange && change > 0) reasons.push(`row_count_change:${diff.rowCountChange}`);
+  if (t.rowCountChangePct != null && change > 0) {
+    const pct = diff.rowCountBefore ? (change / diff.rowCountBefore) * 100 : Infinity;
+    if (pct >= t.rowCountChangePct) reasons.push(`row_count_change_pct:${Number.isFinite(pct) ? Math.round(pct * 10) / 10 : 'new'}`);
+  }
+  if (t.addedRows != null && diff.added >= t.addedRows && diff.added > 0) reasons.push(`added_rows:${diff.added}`);
+  if (t.removedRows != null && diff.removed >= t.removedRows && diff.removed > 0) reasons.push(`removed_rows:${diff.removed}`);
+  return reasons;
+}
+
+/**
+ * POST the alert to the schedule's webhook. The host is checked again (its DNS may have
+ * changed since it was saved) and the request connects to the checked address.
+ * returns the alert entry recorded on the run: { reasons, webhookUrl, sentAt, ok, status?, error? }
+ */
+async function sendAlert(schedule, run, savedQuery, reasons) {
+  const webhookUrl = schedule.alert.webhookUrl;
+  const asObjects = (rows) => (rows || []).slice(0, 10).map((row) => {
+    const obj = {};
+    (run.columns || []).forEach((c, i) => { obj[c] = row[i]; });
+    return obj;
+  });
+  const body = {
+    event: 'schedule.alert',
+    reasons,
+    schedule: { id: String(schedule._id), name: schedule.name, cron: schedule.cron, timezone: schedule.timezone },
+    savedQuery: savedQuery ? { id: savedQuery.id, title: savedQuery.title, version: savedQuery.version } : { id: String(schedule.savedQuery) },
+    run: {
+      id: String(run._id),
+      status: run.status,
+      error: run.error,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      rowCount: run.rowCount,
+      truncated: run.truncated
+    },
+    diff: run.diff && run.diff.previousRun ? {
+      rowCountBefore: run.diff.rowCountBefore,
+      rowCountChange: run.diff.rowCountChange,
+      added: run.diff.added,
+      removed: run.diff.removed,
+      addedRows: asObjects(run.diff.addedRows),
+      removedRows: asObjects(run.diff.removedRows)
+    } : undefined
+  };
+  const entry = { reasons, webhookUrl, sentAt: new Date() };
+  try {
+    await assertPublicWebhookUrl(webhookUrl);
+    const resp = await axios.post(webhookUrl, body, {
+      ...webhookRequestOptions(),
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'QueryCraft-Scheduler' },
+      validateStatus: () => true
+    });
+    entry.status = resp.status;
+    entry.ok = resp.status >= 200 && resp.status < 300;
+  } catch (err) {
+    entry.ok = false;
+    entry.error = String(err.message || err).slice(0, 500);
+  }
+  return entry;
+}
+
+/**
+ * Run a schedule once: execute its saved query read-only, store the snapshot with its diff
+ * against the previous successful run, alert when a threshold is crossed and drop runs
+ * beyond RUNS_KEPT. A failing query is recorded as a failed run, not thrown.
+ * returns the ScheduleRun (without its rows)
+ */
+async function runSchedule(schedule, trigger = 'schedule') {
+  const run = { schedule: schedule._id, owner: schedule.owner, savedQuery: schedule.savedQuery, trigger, startedAt: new Date() };
+  let savedQuery = null;
+  try {
+    const prepared = await savedQueries.savedQueryRun(String(schedule.savedQuery), String(schedule.owner), {
+      params: schedule.params,
+      maxRows: schedule.maxRows || 1000,
+      cache: 'refresh' // every run snapshots the source as it is now
+    });
+    savedQuery = prepared.savedQuery;
+    // a schedule only ever reads
+    const result = await dbController.executeQuery({ ...prepared.payload, allowWrites: false }, prepared.context);
+    Object.assign(run, {
+      status: 'success',
+      savedQueryVersion: savedQuery.version,
+      columns: result.columns,
+      rows: result.rows.map(row => result.columns.map(c => (row[c] === undefined ? null : row[c]))),
+      rowCount: result.rowCount,
+      truncated: !!result.truncated
+    });
+  } catch (err) {
+    run.status = 'failed';
+    run.error = String(err.message || err).slice(0, 1000);
+  }
+  run.finishedAt = new Date();
+
+  if (run.status === 'success') {
+    const previous = await ScheduleRun.findOne({ schedule: schedule._id, status: 'success' })
+      .sort({ startedAt: -1 }).select('columns rows rowCount truncated').lean();
+    if (previous) {
+      const diff = diffSnapshots(previous, run, schedule.keyColumns);
+      run.diff = {
+        previousRun: previous._id,
+        rowCountBefore: previous.rowCount,
+        rowCountChange: run.rowCount - previous.rowCount,
+        ...diff,
+        partial: !!(previous.truncated || run.truncated)
+      };
+    }
+  }
+
+  const doc = await ScheduleRun.create(run);
+  const reasons = alertReasons(schedule, doc);
+  if (reasons.length && schedule.alert && schedule.alert.webhookUrl) {
+    doc.alerts.push(await sendAlert(schedule, doc, savedQuery, reasons));
+    await doc.save();
+  } else if (reasons.length) {
+    doc.alerts.push({ reasons });
+    await doc.save();
+  }
+
+  await Schedule.updateOne({ _id: schedule._id }, {
+    $set: { lastRunAt: run.startedAt, lastStatus: run.status, lastError: run.error || null }
+  });
+  const stale = await ScheduleRun.find({ schedule: schedule._id }).sort({ startedAt: -1 }).skip(RUNS_KEPT).select('_id').lean();
+  if (stale.length) await ScheduleRun.deleteMany({ _id: { $in: stale.map(r => r._id) } });
+
+  const out = doc.toObject();
+  delete out.rows;
+  return out;
+}
+
+/* -------------------- scheduler -------------------- */
+
+let timer = null;
+let ticking = false;
+
+// claim and run every due schedule, one at a time
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    for (;;) {
+      const now = new Date();
+      const schedule = await Schedule.findOneAndUpdate(
+        {
+          enabled: true,
+          nextRunAt: { $lte: now },
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        },
+        { $set: { lockedUntil: new Date(now.getTime() + RUN_LOCK_MS) } },
+        { sort: { nextRunAt: 1 }, new: true }
+      );
+      if (!schedule) break;
+
+      // the next occurrence after now: runs missed while no server was up aren't replayed
+      let nextRunAt = null;
+      try {
+        nextRunAt = nextRunOf(schedule.cron, schedule.timezone, now);
+      } catch (err) {
+        console.error('schedule cron error', String(schedule._id), err.message);
+      }
+      await Schedule.updateOne({ _id: schedule._id }, { $set: { nextRunAt } });
+      try {
+        await runSchedule(schedule, 'schedule');
+      } catch (err) {
+        console.error('schedule run error', String(schedule._id), err);
+      } finally {
+        await Schedule.updateOne({ _id: schedule._id }, { $set: { lockedUntil: null } });
+      }
+    }
+  } finally {
+    ticking = false;
+  }
+}
+
+// poll for due schedules every intervalMs (default 30s)
+function startScheduler({ intervalMs = POLL_INTERVAL_MS } = {}) {
+  if (timer) return;
+  const poll = () => tick().catch(err => console.error('scheduler error', err));
+  timer = setInterval(poll, intervalMs);
+  timer.unref();
+  poll();
+}
+
+function stopScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  updateSchedule,
+  deleteSchedule,
+  listScheduleRuns,
+  getScheduleRun,
+  runScheduleNow,
+  runSchedule,
+  diffSnapshots,
+  startScheduler,
+  stopScheduler
+};
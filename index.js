@@ -8,9 +8,25 @@ const authRoutes = require('./routes/auth');
 const queryRoutes = require('./routes/query'); // keep your existing main query routes
 const dbRoutes = require('./routes/db');       // new db routes (upload & execute)
 const chatRoutes = require('./routes/chat');
+const connectionRoutes = require('./routes/connections');
+const workspaceRoutes = require('./routes/workspaces');
+const savedQueryRoutes = require('./routes/savedQueries');
+const teamRoutes = require('./routes/teams');
+const scheduleRoutes = require('./routes/schedules');
 const rateLimit = require('express-rate-limit');
 const { ipKeyGenerator } = require('express-rate-limit');
 const responseTime = require('response-time');
+const { closeAllPools } = require('./utils/connectionPools');
+const { assertSecretConfigured } = require('./utils/secretBox');
+const { startScheduler, stopScheduler } = require('./controllers/scheduleController');
+
+// saved credentials are encrypted with CONNECTIONS_SECRET; refuse to start without it
+try {
+  assertSecretConfigured();
+} catch {
+  console.error('CONNECTIONS_SECRET is not set: it is required to encrypt saved connection credentials');
+  process.exit(1);
+}
 
 const app = express();
 app.set('trust proxy', 1);
@@ -50,6 +66,11 @@ app.use('/api/auth', authRoutes);
 app.use('/api/query', queryRoutes); // main existing query routes stay here
 app.use('/api/db', dbRoutes);       // new DB routes for upload & execute
 app.use('/api/chat', chatRoutes);
+app.use('/api/connections', connectionRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/saved-queries', savedQueryRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/schedules', scheduleRoutes);
 
 // Health check
 app.get('/', async (req, res) => {
@@ -62,9 +83,13 @@ mongoose.connect(MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true })
   .then(() => {
     console.log('Mongo connected');
     app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+    // scheduled saved queries; SCHEDULER_DISABLED=true leaves them to other instances
+    if (process.env.SCHEDULER_DISABLED !== 'true') startScheduler();
 
     process.on('SIGINT', async () => {
       console.log('Shutting down...');
+      stopScheduler();
+      await closeAllPools(); // pooled connections to users' databases
       await mongoose.disconnect();
       process.exit(0);
     });
@@ -4,6 +4,19 @@ const Schema = mongoose.Schema;
 const ChatSchema = new Schema({
   user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
   title: { type: String, default: 'New Chat' }, // e.g. "SQL queries session"
+  // data source generated queries are grounded in / executed against
+  source: {
+    fileId: { type: String },
+    workspaceId: { type: Schema.Types.ObjectId, ref: 'Workspace' },
+    // an unsaved connection string is only kept encrypted (utils/secretBox)
+    connectionSecret: {
+      iv: { type: String },
+      tag: { type: String },
+      data: { type: String }
+    },
+    connectionId: { type: Schema.Types.ObjectId, ref: 'Connection' },
+    database: { type: String }
+  },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -0,0 +1,63 @@
+// models/Connection.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { encryptJSON, decryptJSON } = require('../utils/secretBox');
+
+const ConnectionSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  type: { type: String, enum: ['postgres', 'mysql', 'mongodb', 'neo4j', 'mssql', 'clickhouse', 'redis'], required: true },
+  displayUri: { type: String }, // connection string with credentials masked
+  database: { type: String },
+  // encrypted { connectionString, user, password }
+  secret: {
+    iv: { type: String },
+    tag: { type: String },
+    data: { type: String }
+  },
+  lastTestedAt: { type: Date },
+  lastTestOk: { type: Boolean },
+  lastTestError: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+ConnectionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Replace the stored credentials and refresh the masked display URI
+ConnectionSchema.methods.setSecret = function ({ connectionString, user, password }) {
+  this.secret = encryptJSON({ connectionString, user: user || null, password: password || null });
+  this.displayUri = maskConnectionString(connectionString);
+};
+
+ConnectionSchema.methods.getSecret = function () {
+  return decryptJSON(this.secret);
+};
+
+// Never send the secret to clients
+ConnectionSchema.methods.toJSON = function () {
+  const obj = this.toObject();
+  delete obj.secret;
+  return obj;
+};
+
+// password parameters: ?password=... in URLs, Password=...; in ADO / JDBC style strings
+const PASSWORD_PARAM_RE = /((?:^|[;?&\s])\s*(?:password|pwd|passwd|pass)\s*=\s*)("[^"]*"|'[^']*'|\{[^}]*\}|[^;&]*)/gi;
+
+function maskConnectionString(cs) {
+  let masked;
+  try {
+    const u = new URL(cs);
+    if (u.password) u.password = '****';
+    masked = u.toString();
+  } catch {
+    // not URL-shaped: hide anything that looks like user:pass@
+    masked = String(cs || '').replace(/\/\/[^@/]*@/, '//****@');
+  }
+  return masked.replace(PASSWORD_PARAM_RE, '$1****');
+}
+
+module.exports = mongoose.model('Connection', ConnectionSchema);
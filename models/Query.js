@@ -10,6 +10,8 @@ const QuerySchema = new Schema({
   usage: { type: Schema.Types.Mixed },
   model: { type: String },
   status: { type: String, enum: ['pending','done','failed'], default: 'pending' },
+  paramSchema: { type: Schema.Types.Mixed }, // [{ name, type, description, example }] for parameterized answers
+  execution: { type: Schema.Types.Mixed }, // { finalQuery, attempts, rowCount, success, payload?, exampleParams?, error? } when run via execute mode
   createdAt: { type: Date, default: Date.now }
 });
 
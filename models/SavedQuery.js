@@ -0,0 +1,80 @@
+// models/SavedQuery.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const LANGUAGES = ['sql', 'mongodb', 'cypher', 'redis'];
+const SHARE_ROLES = ['viewer', 'editor'];
+
+// what a saved query runs against; only references are stored, never raw connection strings
+const SourceSchema = new Schema({
+  fileId: { type: String },
+  engine: { type: String }, // uploads: 'sqlite' | 'duckdb'
+  workspaceId: { type: Schema.Types.ObjectId, ref: 'Workspace' },
+  connectionId: { type: Schema.Types.ObjectId, ref: 'Connection' },
+  database: { type: String }
+}, { _id: false });
+
+// a bind parameter: executeQuery params name / $type, with the value used when a run omits it
+const ParamSchema = new Schema({
+  name: { type: String, required: true },
+  type: { type: String, default: 'string' },
+  description: { type: String },
+  default: { type: Schema.Types.Mixed }
+}, { _id: false });
+
+// one revision of the runnable part (query, language, params, source)
+const VersionSchema = new Schema({
+  version: { type: Number, required: true },
+  language: { type: String, enum: LANGUAGES, required: true },
+  query: { type: String, required: true },
+  params: { type: [ParamSchema], default: [] },
+  source: { type: SourceSchema },
+  note: { type: String, maxlength: 500 },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  // runnable by sharees: written by the owner, or approved by them afterwards
+  approved: { type: Boolean, default: false },
+  approvedAt: { type: Date }
+}, { _id: false });
+
+const SavedQuerySchema = new Schema({
+  owner: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, maxlength: 2000 },
+  tags: { type: [String], default: [], index: true }, // lowercased
+  // current version, mirrored from versions[versions.length - 1]
+  version: { type: Number, default: 1 },
+  // latest version the owner wrote or approved: what sharees run (null: none yet)
+  approvedVersion: { type: Number },
+  language: { type: String, enum: LANGUAGES, required: true },
+  query: { type: String, required: true },
+  params: { type: [ParamSchema], default: [] },
+  source: { type: SourceSchema },
+  versions: { type: [VersionSchema], default: [] },
+  sharedWith: [{
+    _id: false,
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: SHARE_ROLES, default: 'viewer' }
+  }],
+  sharedWithTeams: [{
+    _id: false,
+    team: { type: Schema.Types.ObjectId, ref: 'Team', required: true },
+    role: { type: String, enum: SHARE_ROLES, default: 'viewer' }
+  }],
+  fromQuery: { type: Schema.Types.ObjectId, ref: 'Query' }, // chat answer it was saved from
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+SavedQuerySchema.index({ 'sharedWith.user': 1 });
+SavedQuerySchema.index({ 'sharedWithTeams.team': 1 });
+
+SavedQuerySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+SavedQuerySchema.statics.LANGUAGES = LANGUAGES;
+SavedQuerySchema.statics.SHARE_ROLES = SHARE_ROLES;
+
+module.exports = mongoose.model('SavedQuery', SavedQuerySchema);
@@ -0,0 +1,50 @@
+// models/Schedule.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A saved query run on a cron schedule; every run is kept as a ScheduleRun snapshot
+const ScheduleSchema = new Schema({
+  owner: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  savedQuery: { type: Schema.Types.ObjectId, ref: 'SavedQuery', required: true, index: true },
+  name: { type: String, trim: true, maxlength: 100 },
+  cron: { type: String, required: true }, // 5 fields (minute hour day month weekday)
+  timezone: { type: String, default: 'UTC' },
+  enabled: { type: Boolean, default: true },
+  params: { type: Schema.Types.Mixed }, // executeQuery params for every run
+  maxRows: { type: Number, default: 1000 }, // rows kept in each snapshot
+  // columns identifying a row when diffing snapshots (default: all columns)
+  keyColumns: { type: [String], default: undefined },
+  alert: {
+    webhookUrl: { type: String },
+    // a run alerts when any configured threshold is crossed
+    thresholds: {
+      rowCountChange: { type: Number },    // |rows now - rows before| >= n
+      rowCountChangePct: { type: Number }, // same, as a percentage of rows before
+      addedRows: { type: Number },         // rows not in the previous snapshot >= n
+      removedRows: { type: Number },       // rows of the previous snapshot now gone >= n
+      minRowCount: { type: Number },       // rows now < n
+      maxRowCount: { type: Number }        // rows now > n (0: alert on any row, e.g. health checks)
+    },
+    onError: { type: Boolean, default: true } // alert when the run fails
+  },
+  nextRunAt: { type: Date, index: true },
+  lockedUntil: { type: Date }, // set while a scheduler instance runs it
+  lastRunAt: { type: Date },
+  lastStatus: { type: String, enum: ['success', 'failed'] },
+  lastError: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+ScheduleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+ScheduleSchema.methods.toJSON = function () {
+  const obj = this.toObject();
+  delete obj.lockedUntil;
+  return obj;
+};
+
+module.exports = mongoose.model('Schedule', ScheduleSchema);
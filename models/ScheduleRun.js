@@ -0,0 +1,47 @@
+// models/ScheduleRun.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One run of a Schedule: the result snapshot, its diff against the previous successful run
+// and the alerts it fired
+const ScheduleRunSchema = new Schema({
+  schedule: { type: Schema.Types.ObjectId, ref: 'Schedule', required: true },
+  owner: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  savedQuery: { type: Schema.Types.ObjectId, ref: 'SavedQuery', required: true },
+  savedQueryVersion: { type: Number },
+  trigger: { type: String, enum: ['schedule', 'manual'], default: 'schedule' },
+  status: { type: String, enum: ['success', 'failed'], required: true },
+  error: { type: String },
+  startedAt: { type: Date, required: true },
+  finishedAt: { type: Date },
+  columns: { type: [String], default: undefined },
+  // the snapshot, up to the schedule's maxRows: one array of values per row, in columns order
+  rows: { type: [Schema.Types.Mixed], default: undefined },
+  rowCount: { type: Number },
+  truncated: { type: Boolean }, // the result had more rows than the snapshot keeps
+  diff: {
+    previousRun: { type: Schema.Types.ObjectId, ref: 'ScheduleRun' },
+    rowCountBefore: { type: Number },
+    rowCountChange: { type: Number },
+    keyColumns: { type: [String], default: undefined }, // unset: whole rows were compared
+    added: { type: Number },
+    removed: { type: Number },
+    addedRows: { type: [Schema.Types.Mixed], default: undefined },   // first rows of each side
+    removedRows: { type: [Schema.Types.Mixed], default: undefined },
+    partial: { type: Boolean } // a truncated snapshot: rows beyond it weren't compared
+  },
+  alerts: [{
+    _id: false,
+    reasons: [String],
+    webhookUrl: String,
+    sentAt: Date,
+    ok: Boolean,
+    status: Number,
+    error: String
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+ScheduleRunSchema.index({ schedule: 1, startedAt: -1 });
+
+module.exports = mongoose.model('ScheduleRun', ScheduleRunSchema);
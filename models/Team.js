@@ -0,0 +1,26 @@
+// models/Team.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A group of users saved queries can be shared with as a whole
+const TeamSchema = new Schema({
+  owner: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  // the owner is always a member too; admins can add and remove members
+  members: [{
+    _id: false,
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ['member', 'admin'], default: 'member' }
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+TeamSchema.index({ 'members.user': 1 });
+
+TeamSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Team', TeamSchema);
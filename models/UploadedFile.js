@@ -0,0 +1,50 @@
+// models/UploadedFile.js
+const mongoose = require('mongoose');
+const { randomUUID } = require('crypto');
+const Schema = mongoose.Schema;
+
+const UploadedFileSchema = new Schema({
+  _id: { type: String, default: () => randomUUID() }, // public fileId
+  owner: { type: Schema.Types.ObjectId, ref: 'User', index: true }, // unset only for unclaimed legacy entries
+  originalName: { type: String, required: true },
+  storedName: { type: String, required: true }, // file name inside the uploads directory (never an absolute host path)
+  size: { type: Number },
+  ext: { type: String },
+  type: { type: String, enum: ['csv', 'tsv', 'json', 'xlsx', 'parquet', 'zip', 'sqlite', 'sql', 'unknown'], default: 'unknown' },
+  status: { type: String, enum: ['ready', 'missing', 'failed'], default: 'ready' },
+  checksum: { type: String }, // sha256 hex of the stored file
+  // CSV/JSON column types: [{ table, name, type, inferredType }] (type = user override or inferred)
+  columns: { type: [{ _id: false, table: String, name: String, type: { type: String }, inferredType: String }], default: undefined },
+  tables: { type: [String], default: undefined }, // queryable table names (one per sheet / bundled file)
+  jsonMode: { type: String, enum: ['nested', 'flat'] }, // JSON import layout, see utils/jsonRecords
+  schema: { type: Schema.Types.Mixed }, // last dbController.getSchema() result
+  schemaChecksum: { type: String }, // checksum the cached schema was detected from
+  schemaFormat: { type: Number }, // IMPORT_FORMAT_VERSION of the import the schema was read from
+  // CSV/JSON/SQL uploads are imported once into a cached SQLite file
+  importStatus: { type: String, enum: ['not_required', 'pending', 'importing', 'ready', 'failed'], default: 'pending' },
+  importProgress: { type: Number, default: 0 }, // percent of the source file read
+  importError: { type: String },
+  importedAt: { type: Date },
+  materializedChecksum: { type: String }, // source checksum the cache was built from
+  materializedSourceMtimeMs: { type: Number },
+  materializedFormat: { type: Number }, // IMPORT_FORMAT_VERSION the cache was built with
+  error: { type: String },
+  uploadedAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date }
+});
+
+UploadedFileSchema.methods.toJSON = function () {
+  const obj = this.toObject();
+  obj.id = obj._id;
+  delete obj._id;
+  delete obj.__v;
+  delete obj.schema;
+  delete obj.schemaChecksum;
+  delete obj.schemaFormat;
+  delete obj.materializedChecksum;
+  delete obj.materializedSourceMtimeMs;
+  delete obj.materializedFormat;
+  return obj;
+};
+
+module.exports = mongoose.model('UploadedFile', UploadedFileSchema);
@@ -0,0 +1,33 @@
+// models/Workspace.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A group of uploads loaded into one SQLite database so SQL can join across them
+const WorkspaceSchema = new Schema({
+  owner: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  // member uploads; tableName names the upload's table (or prefixes them, for multi-table uploads)
+  files: [{
+    _id: false,
+    fileId: { type: String, ref: 'UploadedFile', required: true },
+    tableName: { type: String, required: true }
+  }],
+  // tables of the last built database: [{ name, fileId, sourceTable }]
+  tables: { type: [{ _id: false, name: String, fileId: String, sourceTable: String }], default: undefined },
+  materializedKey: { type: String }, // member files + versions the cached database was built from
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+WorkspaceSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+WorkspaceSchema.methods.toJSON = function () {
+  const obj = this.toObject();
+  delete obj.materializedKey;
+  return obj;
+};
+
+module.exports = mongoose.model('Workspace', WorkspaceSchema);
@@ -0,0 +1,139 @@
+// routes/connections.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const Connection = require('../models/Connection');
+const dbController = require('../controllers/dbController');
+
+// load a connection owned by the caller, or null
+async function findOwnConnection(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return Connection.findOne({ _id: req.params.id, user: req.userId });
+}
+
+// GET /api/connections
+router.get('/', auth, async (req, res) => {
+  try {
+    const conns = await Connection.find({ user: req.userId }).select('-secret').sort({ updatedAt: -1 }).lean();
+    return res.json(conns);
+  } catch (err) {
+    console.error('List connections error', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/connections/:id
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const conn = await findOwnConnection(req);
+    if (!conn) return res.status(404).json({ error: 'Connection not found' });
+    return res.json(conn.toJSON());
+  } catch (err) {
+    console.error('Get connection error', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/connections
+ * Body: { name, connectionString, user?, password?, database? }
+ * The connection string and credentials are encrypted at rest and never returned.
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, connectionString, user, password, database } = req.body || {};
+    if (!name || !connectionString) {
+      return res.status(400).json({ error: 'name and connectionString are required' });
+    }
+    const type = dbController.detectConnectionType(connectionString);
+    if (!type) return res.status(400).json({ error: 'unsupported_connection_type' });
+
+    const conn = new Connection({ user: req.userId, name, type, database });
+    conn.setSecret({ connectionString: connectionString.trim(), user, password });
+    await conn.save();
+    return res.status(201).json(conn.toJSON());
+  } catch (err) {
+    console.error('Create connection error', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/connections/:id
+ * Body: any of { name, database, connectionString, user, password }
+ * Omitted credentials keep their stored values.
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const conn = await findOwnConnection(req);
+    if (!conn) return res.status(404).json({ error: 'Connection not found' });
+
+    const { name, database, connectionString, user, password } = req.body || {};
+    if (name !== undefined) conn.name = name;
+    if (database !== undefined) conn.database = database;
+
+    if (connectionString !== undefined || user !== undefined || password !== undefined) {
+      const current = conn.getSecret();
+      const nextString = connectionString !== undefined ? String(connectionString).trim() : current.connectionString;
+      const type = dbController.detectConnectionType(nextString);
+      if (!type) return res.status(400).json({ error: 'unsupported_connection_type' });
+      conn.type = type;
+      conn.setSecret({
+        connectionString: nextString,
+        user: user !== undefined ? user : current.user,
+        password: password !== undefined ? password : current.password
+      });
+    }
+
+    await conn.save();
+    return res.json(conn.toJSON());
+  } catch (err) {
+    console.error('Update connection error', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/connections/:id
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Connection not found' });
+    const conn = await Connection.findOneAndDelete({ _id: req.params.id, user: req.userId });
+    if (!conn) return res.status(404).json({ error: 'Connection not found' });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Delete connection error', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/connections/:id/test
+ * returns { ok, latencyMs, error? } and records the outcome on the connection
+ */
+router.post('/:id/test', auth, async (req, res) => {
+  try {
+    const conn = await findOwnConnection(req);
+    if (!conn) return res.status(404).json({ error: 'Connection not found' });
+
+    const secret = conn.getSecret();
+    const result = await dbController.testConnection({
+      connectionString: secret.connectionString,
+      user: secret.user || undefined,
+      password: secret.password || undefined,
+      database: conn.database
+    });
+
+    conn.lastTestedAt = new Date();
+    conn.lastTestOk = result.ok;
+    conn.lastTestError = result.ok ? undefined : String(result.error || '').slice(0, 1000);
+    await conn.save();
+
+    return res.json(result);
+  } catch (err) {
+    console.error('Test connection error', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
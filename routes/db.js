@@ -2,13 +2,18 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const path = require('path');
 const fs = require('fs');
 const { randomUUID } = require('crypto');
 
+const mongoose = require('mongoose');
+
 const dbController = require('../controllers/dbController');
+const auth = require('../middleware/auth');
+const Query = require('../models/Query');
+const savedQueries = require('../controllers/savedQueryController');
+const { EXPORT_FORMATS, contentDisposition, exportFilename, createExportWriter } = require('../utils/resultExport');
 
-const uploadsDir = path.join(__dirname, '..', 'uploads');
+const uploadsDir = dbController.UPLOADS_DIR;
 if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
 
 // multer storage config
@@ -23,15 +28,32 @@ const upload = multer({
 
 /**
  * POST /api/query/upload
- * field: file (form-data)
- * returns: { success: true, file: { id, originalName, path, ... } }
+ * field: file (form-data): .csv, .tsv, .json/.ndjson, .xlsx, .parquet, .zip (of those), .sqlite/.db, .sql
+ *        every sheet of a workbook and every file of a zip becomes its own table
+ * field: columnTypes? (JSON, e.g. {"price":"REAL","active":"BOOLEAN"}) overrides the
+ *        inferred INTEGER/REAL/BOOLEAN/DATE/DATETIME/TEXT column types of imported files
+ * field: jsonMode? 'nested' (default) | 'flat'
+ *        JSON/NDJSON (or { data: [...] }) uploads: 'nested' flattens nested keys into dotted
+ *        columns and explodes arrays of objects into child tables (imported_json_<path>)
+ *        linked by __parent_id -> parent __id; 'flat' keeps top-level keys only
+ * returns: { success: true, file: { id, originalName, type, tables, columns, importStatus, ... } }
+ * Files other than SQLite databases are imported into a cached SQLite database in the background;
+ * poll GET /api/db/files/:id for importStatus / importProgress.
  */
-router.post('/upload', upload.single('file'), async (req, res) => {
+router.post('/upload', auth, upload.single('file'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'no_file' });
-    const meta = await dbController.handleUpload(req.file);
+    const meta = await dbController.handleUpload(req.file, req.userId, {
+      columnTypes: req.body.columnTypes,
+      jsonMode: req.body.jsonMode
+    });
     res.json(meta);
   } catch (err) {
+    // rejected before it was registered: don't keep the stored file around
+    if (req.file) fs.unlink(req.file.path, () => {});
+    if (/^(invalid_(columnTypes|jsonMode|json|ndjson_line)|zip_)/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
     console.error('upload error', err);
     res.status(500).json({ error: 'upload_failed', message: err.message });
   }
@@ -41,17 +63,67 @@ router.post('/upload', upload.single('file'), async (req, res) => {
  * POST /api/query/execute
  * body JSON:
  * {
- *   sourceType: 'file'|'connection',
+ *   sourceType: 'file'|'connection'|'workspace',
  *   fileId?: string,
- *   connectionString?: string,
- *   query: string,
- *   maxRows?: number
+ *   engine?: 'sqlite'|'duckdb', // uploads: imported SQLite copy (default) or DuckDB over the
+ *                           //   CSV/TSV/JSON/Parquet files in place (read-only)
+ *   workspaceId?: string,   // SQL across all uploads of a workspace (see /api/workspaces)
+ *   connectionString?: string, // scheme picks the engine: postgres, mysql/mariadb, mongodb,
+ *                           //   neo4j/bolt/http(s), mssql/sqlserver, clickhouse(s), redis(s)
+ *   connectionId?: string,  // saved connection
+ *   query: string,         // SQL, Cypher, or mongo shell text (db.orders.aggregate([...])) for MongoDB,
+ *                           //   or one read-only command (HGETALL user:1) for Redis
+ *   mongo?: object,         // structured MongoDB query instead of query:
+ *                           //   { collection, operation?: find|findOne|aggregate|countDocuments|
+ *                           //     estimatedDocumentCount|distinct, filter?, projection?, sort?,
+ *                           //     skip?, limit?, pipeline?, options?, field?, database? }
+ *                           //   typed values as Extended JSON: { "$oid": "..." }, { "$date": "..." },
+ *                           //   { "$numberDecimal": "1.5" }, ...
+ *   params?: array|object,  // bind values, sent to the driver separately from the query:
+ *                           //   [v1, v2] for $1 (Postgres, DuckDB), ? (MySQL, SQLite), @p1 (SQL Server)
+ *                           //   { name: v } for :name (SQL; also @name on SQL Server, $name on DuckDB),
+ *                           //   $name (Cypher), {name:Type} (ClickHouse), { "$param": "name" } (MongoDB)
+ *                           //   a value is JSON or { "$type": string|int|float|bool|date|json|objectId, "value": ... }
+ *   database?: string,      // MongoDB / Neo4j database (default: the connection's)
+ *   ejson?: 'relaxed'|'canonical', // MongoDB values as Extended JSON (default relaxed)
+ *   maxRows?: number,       // page size (default 1000, max 10000)
+ *   pageToken?: string,     // nextPageToken of the previous page of the same query
+ *   stream?: boolean,       // stream NDJSON instead (also on Accept: application/x-ndjson)
+ *   allowWrites?: boolean,  // opt in to DML/DDL; reads-only by default
+ *   allowServerSideJs?: boolean, // opt in to MongoDB $where / $function / $accumulator
+ *   timeoutMs?: number,     // default 60s (streams 30 min), max 30 min
+ *   executionId?: string,   // [A-Za-z0-9_-] id to cancel the run with DELETE /api/db/executions/:id
+ *   cache?: 'use'|'bypass'|'refresh', // reads are served from the result cache by default while
+ *                           //   the source is unchanged; refresh re-runs and re-caches, bypass skips it
+ *   cacheTtlMs?: number,    // oldest cached result to accept / lifetime of a new one (default 5 min)
+ *   explain?: true|'plan'|'analyze' // return the query plan instead of rows: EXPLAIN (FORMAT JSON)
+ *                           //   (Postgres), EXPLAIN FORMAT=JSON (MySQL), EXPLAIN QUERY PLAN (SQLite
+ *                           //   uploads / workspaces), explain() (MongoDB), EXPLAIN (Neo4j);
+ *                           //   'analyze' runs the (read) query for actual figures: EXPLAIN ANALYZE,
+ *                           //   explain('executionStats'), PROFILE
  * }
+ * returns { source, rows, columns, rowCount, truncated, nextPageToken?, executionId,
+ *   cache: { mode, hit, ageMs?, cachedAt?, expiresAt?, stored? } }
+ * (cache hits carry no executionId; streams never use the cache)
+ * or with explain: { source, executionId, explain: { mode, analyzed, format, plan, stats,
+ *   fullScans, indexesUsed, text, raw } }, plan being a tree of
+ *   { operation, object, index, access, estimatedRows, actualRows, cost, timeMs, condition, details, children }
+ *   (POST /api/query/plan adds a plain-language analysis)
+ * (the X-Execution-Id header carries the id too, as soon as a stream starts)
+ *
+ * NDJSON streams (maxRows defaults to 1,000,000) send one JSON object per line:
+ *   { type: 'columns', columns }, then { type: 'row', row } per row, then
+ *   { type: 'end', source, columns, rowCount, truncated, affectedRows?, executionId } or { type: 'error', error }
+ *   (end.columns is final: for MongoDB the union of all documents' keys, which the
+ *   columns line, sent before the first row, can only take from the first document)
  */
-router.post('/execute', async (req, res) => {
+router.post('/execute', auth, async (req, res) => {
+  const payload = withExecutionId(req.body, res);
+  cancelOnClose(req, res, payload);
+  const wantsStream = payload.stream === true || /application\/x-ndjson/.test(req.get('accept') || '');
+  if (wantsStream) return streamExecute(req, res, payload);
   try {
-    const payload = req.body || {};
-    const result = await dbController.executeQuery(payload);
+    const result = await dbController.executeQuery(payload, { userId: req.userId });
     res.json(result);
   } catch (err) {
     console.error('execute error', err);
@@ -59,4 +131,282 @@ router.post('/execute', async (req, res) => {
   }
 });
 
+// the payload with an executionId (the client's, or a new one), also sent as X-Execution-Id
+function withExecutionId(body, res) {
+  const payload = { ...(body || {}) };
+  if (!payload.executionId) payload.executionId = randomUUID();
+  res.setHeader('X-Execution-Id', String(payload.executionId));
+  return payload;
+}
+
+// stop the query once the client has gone away before the response was complete
+function cancelOnClose(req, res, payload) {
+  res.on('close', () => {
+    if (res.writableFinished) return;
+    try {
+      dbController.cancelExecution(payload.executionId, req.userId);
+    } catch { /* already finished */ }
+  });
+}
+
+// NDJSON variant of /execute; rows are written as the engine cursor produces them
+async function streamExecute(req, res, payload) {
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  const writeLine = async (obj) => {
+    // stop the engine once the client is gone
+    if (closed) throw new Error('client_closed');
+    if (!res.headersSent) {
+      res.status(200);
+      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache');
+    }
+    if (!res.write(JSON.stringify(obj) + '\n')) {
+      await new Promise(resolve => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    }
+  };
+
+  let pending = Promise.resolve();
+  try {
+    const result = await dbController.executeQuery(payload, {
+      userId: req.userId,
+      onColumns: (columns) => {
+        pending = writeLine({ type: 'columns', columns });
+        pending.catch(() => {}); // surfaced by the next await
+      },
+      onRow: async (row) => {
+        await pending;
+        await writeLine({ type: 'row', row });
+      }
+    });
+    await pending;
+    const { rows, ...summary } = result;
+    await writeLine({ type: 'end', ...summary });
+    res.end();
+  } catch (err) {
+    if (closed) return;
+    console.error('execute stream error', err);
+    if (!res.headersSent) return res.status(400).json({ error: err.message || 'execute_failed' });
+    res.write(JSON.stringify({ type: 'error', error: err.message || 'execute_failed' }) + '\n');
+    res.end();
+  }
+}
+
+/**
+ * POST /api/db/export
+ * Runs a query and streams the whole result as a download.
+ * body JSON: the /execute payload (without pageToken / stream), or
+ *   { queryId, user?, password?, connectionString? } to re-run the query of an executed
+ *   /api/query answer against the source it ran on (credentials and unsaved connection
+ *   strings are not stored, so pass them again), or
+ *   { savedQueryId, params?, version? } to run a saved query (see /api/saved-queries/:id/run)
+ * plus:
+ *   format?: 'csv' (default) | 'ndjson' | 'xlsx' | 'parquet'
+ *   filename?: download name without extension (default export-<timestamp>)
+ *   maxRows?: default and max 1,000,000 (well above the interactive page limit)
+ *   timeoutMs?, executionId?: as for /execute (timeout defaults to 30 min)
+ * Errors before the first row come back as JSON; a failure mid-download aborts the response.
+ * The X-Row-Count and X-Truncated trailers report how many rows were written.
+ */
+router.post('/export', auth, async (req, res) => {
+  const body = req.body || {};
+  const format = String(body.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) return res.status(400).json({ error: 'invalid_format' });
+
+  let payload;
+  let context = { userId: req.userId };
+  try {
+    if (body.savedQueryId) {
+      const run = await savedQueries.savedQueryRun(body.savedQueryId, req.userId, { params: body.params, version: body.version });
+      payload = run.payload;
+      context = run.context;
+    } else {
+      payload = body.queryId ? await savedQueryPayload(body, req.userId) : body;
+    }
+  } catch (err) {
+    if (/^(query_not_found|saved_query_not_found|version_not_found)$/.test(err.message)) return res.status(404).json({ error: err.message });
+    if (/^(saved_query_not_approved|version_not_approved)$/.test(err.message)) return res.status(403).json({ error: err.message });
+    return res.status(400).json({ error: err.message });
+  }
+  payload = withExecutionId({ ...payload, executionId: body.executionId, timeoutMs: body.timeoutMs }, res);
+  delete payload.pageToken;
+  payload.maxRows = body.maxRows;
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  cancelOnClose(req, res, payload);
+
+  let writer = null;
+  const start = async (columns) => {
+    if (writer) return;
+    res.status(200);
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', contentDisposition(exportFilename(body.filename, format)));
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Trailer', 'X-Row-Count, X-Truncated');
+    writer = createExportWriter(format, res);
+    await writer.setColumns(columns);
+  };
+
+  let pending = Promise.resolve();
+  try {
+    const result = await dbController.executeQuery(payload, {
+      ...context,
+      onColumns: (columns) => {
+        pending = start(columns);
+        pending.catch(() => {}); // surfaced by the next await
+      },
+      onRow: async (row) => {
+        await pending;
+        if (closed) throw new Error('client_closed');
+        await writer.writeRow(row);
+      }
+    });
+    await pending;
+    await start(result.columns);
+    res.addTrailers({ 'X-Row-Count': String(result.rowCount), 'X-Truncated': String(result.truncated) });
+    await writer.end();
+  } catch (err) {
+    if (closed) return;
+    console.error('export error', err);
+    if (!res.headersSent) return res.status(400).json({ error: err.message || 'export_failed' });
+    // the file is incomplete: drop the connection rather than end it cleanly
+    res.destroy(err);
+  }
+});
+
+// read-only payload re-running an executed query of the caller
+async function savedQueryPayload(body, userId) {
+  if (!mongoose.isValidObjectId(body.queryId)) throw new Error('query_not_found');
+  const q = await Query.findOne({ _id: body.queryId, user: userId }).select('execution').lean();
+  if (!q) throw new Error('query_not_found');
+  if (!q.execution || !q.execution.success || !q.execution.payload) throw new Error('query_not_rerunnable');
+  const stored = q.execution.payload;
+  const connectionString = stored.connectionString
+    || (stored.fileId || stored.workspaceId || stored.connectionId ? undefined : body.connectionString);
+  return { ...stored, connectionString, user: body.user, password: body.password, allowWrites: false };
+}
+
+/**
+ * GET /api/db/executions
+ * returns the caller's running executions: { executions: [{ id, source, startedAt, deadline }] }
+ */
+router.get('/executions', auth, (req, res) => {
+  res.json({ executions: dbController.listExecutions(req.userId) });
+});
+
+/**
+ * DELETE /api/db/executions/:id
+ * Cancels a running execution of the caller; its request then fails with query_cancelled.
+ * returns { id, cancelled: true }
+ */
+router.delete('/executions/:id', auth, (req, res) => {
+  try {
+    res.json(dbController.cancelExecution(req.params.id, req.userId));
+  } catch (err) {
+    if (err.message === 'execution_not_found') return res.status(404).json({ error: 'execution_not_found' });
+    console.error('cancel execution error', err);
+    res.status(500).json({ error: 'cancel_failed', message: err.message });
+  }
+});
+
+/**
+ * GET /api/db/engines
+ * returns the engines connections can use: { engines: [{ name, schemes, language }] }
+ * (duckdb has no schemes: it is picked for uploads with engine: 'duckdb')
+ */
+router.get('/engines', auth, (req, res) => {
+  res.json({ engines: dbController.listEngines() });
+});
+
+// schema lookups by GET only take ids: the URL ends up in the access log, so
+// connection strings and credentials have to come in a POST body
+const SCHEMA_QUERY_FIELDS = ['fileId', 'workspaceId', 'connectionId', 'database', 'sampleSize'];
+
+async function sendSchema(req, res, payload) {
+  try {
+    const schema = await dbController.getSchema(payload, { userId: req.userId });
+    res.json(schema);
+  } catch (err) {
+    console.error('schema error', err);
+    res.status(400).json({ error: err.message || 'schema_failed' });
+  }
+}
+
+/**
+ * POST /api/db/schema
+ * body:
+ *   fileId?           - uploaded file id
+ *   workspaceId?      - workspace (all member uploads' tables)
+ *   connectionString? - live connection (postgres, mysql, mongodb, neo4j, mssql, clickhouse, redis)
+ *   connectionId?     - saved connection
+ *   user?, password?, database?
+ *   sampleSize?       - MongoDB documents sampled per collection (1-1000)
+ * returns: { source, tables: [{ name, kind, columns, primaryKey, foreignKeys, rowEstimate }] }
+ */
+router.post('/schema', auth, (req, res) => sendSchema(req, res, req.body || {}));
+
+/**
+ * GET /api/db/schema
+ * query: fileId? | workspaceId? | connectionId?, database?, sampleSize?
+ * Same result as POST /api/db/schema; connectionString / user / password are refused here.
+ */
+router.get('/schema', auth, (req, res) => {
+  const query = req.query || {};
+  if (Object.keys(query).some(k => !SCHEMA_QUERY_FIELDS.includes(k))) {
+    return res.status(400).json({ error: 'unsupported_query_parameter', allowed: SCHEMA_QUERY_FIELDS });
+  }
+  return sendSchema(req, res, query);
+});
+
+/**
+ * GET /api/db/files
+ * returns the caller's uploads, newest first
+ */
+router.get('/files', auth, async (req, res) => {
+  try {
+    res.json({ files: await dbController.listFiles(req.userId) });
+  } catch (err) {
+    console.error('list files error', err);
+    res.status(500).json({ error: 'list_failed', message: err.message });
+  }
+});
+
+/**
+ * GET /api/db/files/:id
+ * returns one of the caller's uploads, including importStatus / importProgress
+ */
+router.get('/files/:id', auth, async (req, res) => {
+  try {
+    res.json({ file: await dbController.getFileInfo(req.params.id, req.userId) });
+  } catch (err) {
+    if (err.message === 'file_not_found') return res.status(404).json({ error: 'file_not_found' });
+    console.error('get file error', err);
+    res.status(500).json({ error: 'get_failed', message: err.message });
+  }
+});
+
+/**
+ * DELETE /api/db/files/:id
+ * removes one of the caller's uploads (metadata and file on disk)
+ */
+router.delete('/files/:id', auth, async (req, res) => {
+  try {
+    res.json(await dbController.deleteFile(req.params.id, req.userId));
+  } catch (err) {
+    if (err.message === 'file_not_found') return res.status(404).json({ error: 'file_not_found' });
+    console.error('delete file error', err);
+    res.status(500).json({ error: 'delete_failed', message: err.message });
+  }
+});
+
 module.exports = router;
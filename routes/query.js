@@ -5,6 +5,11 @@ const { queryLLM } = require('../utils/llm');
 const auth = require('../middleware/auth');
 const Query = require('../models/Query');
 const Chat = require('../models/Chat');
+const { parseMongoShell } = require('../utils/mongoShell');
+const { encryptJSON, decryptJSON } = require('../utils/secretBox');
+const { PARAM_TYPES } = require('../utils/queryParams');
+const { extractQueryFromResponse, extractParamSchema, extractIndexSuggestions } = require('../utils/responseParser');
+const dbController = require('../controllers/dbController');
 const rateLimit = require('express-rate-limit');
 const { ipKeyGenerator } = require('express-rate-limit');
 
@@ -189,11 +194,60 @@ function chooseModelForPrompt(prompt, queryTypeHint, originalWasQuery, options =
 }
 
 
+const SCHEMA_SOURCE_LABELS = {
+  'sqlite-file': { name: 'SQLite', queryType: 'sql' },
+  'sqlite-import': { name: 'SQLite', queryType: 'sql' },
+  'sqlite-workspace': { name: 'SQLite', queryType: 'sql' },
+  postgres: { name: 'PostgreSQL', queryType: 'sql' },
+  mysql: { name: 'MySQL', queryType: 'sql' },
+  mongodb: { name: 'MongoDB', queryType: 'mongodb' },
+  neo4j: { name: 'Neo4j', queryType: 'cypher' },
+  mssql: { name: 'SQL Server', queryType: 'sql' },
+  clickhouse: { name: 'ClickHouse', queryType: 'sql' },
+  redis: { name: 'Redis', queryType: 'redis' },
+  'duckdb-file': { name: 'DuckDB', queryType: 'sql' }
+};
+
+/**
+ * Render a dbController.getSchema() result as compact text for the prompt,
+ * e.g. "Table users (~120 rows): id INTEGER PK, email TEXT NOT NULL".
+ */
+function formatSchemaForPrompt(schema, maxChars = 3000) {
+  if (!schema || !Array.isArray(schema.tables)) return '';
+  const label = SCHEMA_SOURCE_LABELS[schema.source];
+  const lines = [`Database engine: ${label ? label.name : schema.source}`];
+
+  for (const t of schema.tables) {
+    const kind = t.kind === 'collection' ? 'Collection'
+      : t.kind === 'label' ? 'Node label'
+      : t.kind === 'relationship' ? 'Relationship type'
+      : t.kind === 'view' ? 'View'
+      : t.kind === 'key' ? 'Key pattern'
+      : 'Table';
+    const rows = t.rowEstimate != null ? ` (~${t.rowEstimate} rows)` : '';
+    const cols = (t.columns || []).map(c =>
+      `${c.name} ${c.type}${c.primaryKey ? ' PK' : ''}${c.nullable === false && !c.primaryKey ? ' NOT NULL' : ''}`
+    );
+    lines.push(`${kind} ${t.name}${rows}: ${cols.join(', ') || '(no columns found)'}`);
+    for (const fk of t.foreignKeys || []) {
+      lines.push(`  FK (${fk.columns.join(', ')}) -> ${fk.references.table}(${fk.references.columns.join(', ')})`);
+    }
+    for (const e of t.endpoints || []) {
+      lines.push(`  (:${e.from.join(':')})-[:${t.name}]->(:${e.to.join(':')})`);
+    }
+  }
+
+  const joined = lines.join("\n");
+  return joined.length > maxChars ? joined.slice(0, maxChars) + "\n(schema truncated)" : joined;
+}
+
 function buildGuidedPrompt(
   userPrompt,
   isUserQuery = false,
   queryType = 'sql_or_mongo',
-  chatHistoryText = ''
+  chatHistoryText = '',
+  schemaText = '',
+  parameterize = false
 ) {
   const instructionHeader = [
     "You are an expert assistant for generating and explaining database queries.",
@@ -211,15 +265,17 @@ function buildGuidedPrompt(
     "  - Output exactly one complete SQL statement that ends with a semicolon.",
     "",
     "• When generating MongoDB queries:",
-    "  - Prefer the form: db.<collection>.find({ ... })",
-    "  - You MAY also output only a JSON-style filter object or pipeline array (e.g. { value: 100 }).",
-    "  - Do NOT append .pretty(), .toArray(), or other chained methods after the find/ call.",
+    "  - Use one of: db.<collection>.find({ ... }), db.<collection>.aggregate([ ... ]),",
+    "    db.<collection>.countDocuments({ ... }) or db.<collection>.distinct('<field>', { ... })",
+    "  - find() may be followed by .sort({ ... }), .skip(n) and .limit(n); use no other chained methods.",
+    "  - Only literal values are allowed (plus ObjectId(\"...\") and ISODate(\"...\")); no variables, functions or JavaScript expressions.",
     "  - Do NOT assign the result to a variable (no const result = ...).",
     "",
     "• When generating queries in OTHER database languages (Cypher, GraphQL, CQL, Redis, etc.):",
     "  - Use idiomatic, executable syntax for that language.",
     "  - Do NOT wrap the query in variables or client-library boilerplate.",
     "  - Do NOT include comments inside the query.",
+    "  - For Redis, output exactly one read-only command as typed in redis-cli (e.g. HGETALL user:1).",
     "",
     "OUTPUT FORMAT (MUST ALWAYS BE FOLLOWED):",
     "1) The first line must start with: Here's the query",
@@ -242,6 +298,24 @@ function buildGuidedPrompt(
     ""
   ].join("\\n");
 
+  // parameterized answers keep user-supplied values out of the query text
+  const parameterSection = !parameterize ? '' : [
+    "PARAMETERIZED QUERY (REQUIRED FOR THIS REQUEST):",
+    "• Do NOT put literal values taken from the user's request (names, ids, dates, amounts, search text) into the query.",
+    "  Use a named placeholder for each of them instead; the values are bound separately when the query runs:",
+    "  - SQL: :name (e.g. WHERE status = :status AND created_at >= :since); for ClickHouse use {name:Type} (e.g. {status:String}).",
+    "  - Cypher: $name (e.g. MATCH (u:User {email: $email})).",
+    "  - MongoDB: { $param: \"name\" } in place of the value (e.g. db.orders.find({ status: { $param: \"status\" } })).",
+    "  - Redis commands can't take parameters: use literal values there and output an empty parameter list.",
+    "• Placeholder names use letters, digits and underscores only; reuse one name for one value.",
+    "• Right after the query block, output a second fenced block with the parameter schema as a JSON array:",
+    "   ```params",
+    `   [{ "name": "status", "type": "string", "description": "order status to match", "example": "shipped" }]`,
+    "   ```",
+    `   type is one of: ${PARAM_TYPES.join(', ')}. example is a realistic value taken from the user's request when it has one.`,
+    ""
+  ].join("\\n");
+
   const sanitized = escapeBackticks(userPrompt);
 
   let historySection = '';
@@ -257,6 +331,19 @@ function buildGuidedPrompt(
     ].join("\\n");
   }
 
+  let schemaSection = '';
+  if (schemaText && schemaText.trim()) {
+    schemaSection = [
+      "Here is the schema of the database the query will run against.",
+      "Use ONLY the tables/collections and columns/fields listed here, with their exact names. Never invent names that are not listed.",
+      "",
+      schemaText,
+      "",
+      "End of schema.",
+      ""
+    ].join("\\n");
+  }
+
   const typeHintLine =
     queryType === 'sql_or_mongo'
       ? "Current request type hint: sql_or_mongo. Choose between SQL and MongoDB using the rules above (default to SQL when unclear)."
@@ -269,9 +356,10 @@ function buildGuidedPrompt(
 
   if (isUserQuery) {
     return [
-      instructionHeader,
+      instructionHeader + parameterSection,
       typeHintLine,
       "",
+      schemaSection,
       historySection,
       "User-supplied query (explain this as-is):",
       "",
@@ -281,9 +369,10 @@ function buildGuidedPrompt(
     ].join("\\n");
   } else {
     return [
-      instructionHeader,
+      instructionHeader + parameterSection,
       typeHintLine,
       "",
+      schemaSection,
       historySection,
       generationInstruction,
       "",
@@ -358,6 +447,145 @@ function enforceOutputFormat(llmText, originalPrompt, originalWasQuery) {
   }
 }
 
+// executeQuery params from a parameter schema's examples: { name: { $type, value } }
+function exampleParams(paramSchema) {
+  if (!paramSchema || !paramSchema.length) return undefined;
+  const params = {};
+  for (const p of paramSchema) params[p.name] = { $type: p.type, value: p.example };
+  return params;
+}
+
+/**
+ * Turn an extracted query into a dbController.executeQuery payload for the source.
+ * Mongo shell text is parsed (never eval'd) by utils/mongoShell; a bare filter or
+ * pipeline runs against the only collection when the schema has just one.
+ */
+function buildExecutePayload(source, schema, queryText, credentials = {}, maxRows, allowWrites = false, params) {
+  const payload = {
+    fileId: source.fileId,
+    workspaceId: source.workspaceId,
+    connectionString: source.connectionString,
+    connectionId: source.connectionId,
+    database: source.database,
+    user: credentials.user,
+    password: credentials.password,
+    maxRows,
+    allowWrites,
+    params
+  };
+
+  if (schema && schema.source === 'mongodb') {
+    const collections = (schema.tables || []).map(t => t.name);
+    payload.mongo = parseMongoShell(queryText, { collection: collections.length === 1 ? collections[0] : undefined });
+  } else {
+    payload.query = queryText;
+  }
+  return payload;
+}
+
+// what is kept of a successful payload so the query can be re-run (POST /api/db/export { queryId });
+// credentials and raw connection strings are never stored and re-runs are read-only
+function rerunPayload(payload) {
+  const { user, password, connectionString, maxRows, allowWrites, pageToken, ...rest } = payload;
+  return rest;
+}
+
+// the source as stored on a chat: a raw connection string only in encrypted form
+function chatSource(source) {
+  const { connectionString, ...rest } = source;
+  if (connectionString && !source.connectionId) rest.connectionSecret = encryptJSON(connectionString);
+  return rest;
+}
+
+function sourceFromChat(stored) {
+  const { connectionSecret, ...rest } = stored.toObject ? stored.toObject() : stored;
+  if (connectionSecret && connectionSecret.data) rest.connectionString = decryptJSON(connectionSecret);
+  return rest;
+}
+
+/**
+ * Execute the query in answerString against source; when the engine rejects it,
+ * send the error back to the LLM and try the corrected query, for at most
+ * maxRepairs extra rounds.
+ * params: bind values for the query. A parameterized answer without params is not run
+ * (error params_required, with its paramSchema) unless useExampleParams is set; then the
+ * examples of the answer's parameter schema are bound and the result says exampleParams.
+ *
+ * returns { success, language, finalQuery, attempts: [{ query, error }], result, response,
+ *   payload?, exampleParams?, error?, paramSchema? }
+ * (payload: the executeQuery payload that succeeded)
+ */
+async function executeWithRepair({
+  answerString, guidedPrompt, source, schema, credentials, maxRows, maxRepairs, allowWrites, userId,
+  llmOptions, originalPrompt, originalWasQuery, params, useExampleParams
+}) {
+  const rounds = Math.min(Math.max(Number.isInteger(maxRepairs) ? maxRepairs : 2, 0), 5);
+  const attempts = [];
+  let response = answerString;
+
+  for (let round = 0; round <= rounds; round++) {
+    const extracted = extractQueryFromResponse(response);
+    if (!extracted) {
+      attempts.push({ query: null, error: 'no_query_in_response' });
+    } else {
+      // example values are made up by the LLM: a result bound to them only looks like an answer
+      const paramSchema = params === undefined ? extractParamSchema(response) : null;
+      if (paramSchema && paramSchema.length && useExampleParams !== true) {
+        return {
+          success: false,
+          language: extracted.language,
+          finalQuery: extracted.query,
+          attempts,
+          result: null,
+          response,
+          error: 'params_required',
+          paramSchema
+        };
+      }
+      try {
+        const bound = params !== undefined ? params : exampleParams(paramSchema);
+        const payload = buildExecutePayload(source, schema, extracted.query, credentials, maxRows || 100, allowWrites, bound);
+        const result = await dbController.executeQuery(payload, { userId });
+        attempts.push({ query: extracted.query, error: null });
+        const execution = { success: true, language: extracted.language, finalQuery: extracted.query, attempts, result, response, payload };
+        if (bound !== undefined && params === undefined) execution.exampleParams = true;
+        return execution;
+      } catch (execErr) {
+        attempts.push({ query: extracted.query, error: String(execErr.message || execErr).slice(0, 1000) });
+      }
+    }
+
+    if (round === rounds) break;
+
+    const last = attempts[attempts.length - 1];
+    const repairPrompt = guidedPrompt + [
+      "",
+      "",
+      "REPAIR ATTEMPT: the previous query failed when executed against the database.",
+      "Failed query:",
+      "```query",
+      escapeBackticks(last.query || '(no query could be extracted from your answer)'),
+      "```",
+      `Database error: ${escapeBackticks(last.error)}`,
+      "Fix the query so it runs on this database. Follow the same OUTPUT FORMAT as before."
+    ].join("\n");
+
+    const llmResult = await queryLLM({ prompt: repairPrompt, ...llmOptions });
+    const text = (llmResult && typeof llmResult.text === 'string') ? llmResult.text : String(llmResult?.text || '');
+    response = enforceOutputFormat(text, originalPrompt, originalWasQuery);
+  }
+
+  const last = attempts[attempts.length - 1];
+  return {
+    success: false,
+    language: null,
+    finalQuery: last ? last.query : null,
+    attempts,
+    result: null,
+    response
+  };
+}
+
 function buildChatHistoryText(previousQueries, maxPairs = 3) {
   if (!previousQueries || !previousQueries.length) return '';
 
@@ -387,7 +615,25 @@ function buildChatHistoryText(previousQueries, maxPairs = 3) {
 
 /**
  * POST /api/query
- * Body: { chatId, prompt, model?, max_tokens?, temperature? }
+ * Body: { chatId, prompt, model?, max_tokens?, temperature?,
+ *         fileId?, workspaceId?, connectionString?, connectionId?, user?, password?, database? }
+ *
+ * When fileId, workspaceId, connectionString or a saved connectionId is given, the schema of that source is
+ * introspected and included in the prompt so the query uses real names.
+ * The source is remembered on the chat and reused by later turns (an unsaved
+ * connectionString only encrypted).
+ *
+ * Execute mode ({ execute: true, maxRows?, maxRepairs?, allowWrites? }): the generated query
+ * is run against the source; on an engine error the error is fed back to the
+ * LLM for a corrected query, up to maxRepairs rounds (default 2, max 5).
+ * Writes are rejected unless allowWrites is true (see dbController.executeQuery).
+ *
+ * Parameterized mode ({ parameterize: true }): the query uses named placeholders (:name,
+ * $name, { $param: "name" }) instead of literal values, and the answer carries a parameter
+ * schema, returned as paramSchema. Execute mode binds req.body.params; without them the
+ * query is not run (execution.error: 'params_required', with execution.paramSchema) unless
+ * useExampleParams is true, which binds the schema's example values and marks the
+ * execution exampleParams: true.
  *
  * Minimal Response (200):
  * {
@@ -397,32 +643,64 @@ function buildChatHistoryText(previousQueries, maxPairs = 3) {
  *   status,
  *   createdAt,
  *   updatedAt,
- *   response  // STRING (the generated answer only)
+ *   response,  // STRING (the generated answer only)
+ *   paramSchema? // [{ name, type, description, example }] in parameterized mode
+ *   execution? // { success, language, finalQuery, attempts: [{ query, error }], result: { rows, columns, rowCount, truncated, nextPageToken? },
+ *              //   exampleParams?, error?: 'params_required', paramSchema? }
  * }
  */
 router.post('/', limiter, auth, async (req, res) => {
   let saved; // keep in outer scope so catch can access it
   try {
     const userId = req.userId;
-    const { chatId, prompt: rawPrompt, model, max_tokens, temperature } = req.body || {};
+    const { chatId, prompt: rawPrompt, model, max_tokens, temperature, fileId, workspaceId, connectionString, connectionId, execute, parameterize } = req.body || {};
     const cleaned = sanitizePrompt(rawPrompt);
     if (!cleaned) return res.status(400).json({ error: 'Prompt is required' });
 
-    // Determine whether the user's prompt already *is* a query (in any supported language)
-    const isSQLQuery = looksLikeSQL(cleaned);
-    const isMongoQuery = looksLikeMongo(cleaned);
-    const isCypherQuery = looksLikeCypher(cleaned);
-    const isGraphQLQuery = looksLikeGraphQL(cleaned);
-    const originalWasQuery = isSQLQuery || isMongoQuery || isCypherQuery || isGraphQLQuery;
-
     // Ensure chat exists (only that it belongs to the user)
     let chat = null;
     if (chatId) {
       chat = await Chat.findOne({ _id: chatId, user: userId });
       if (!chat) return res.status(404).json({ error: 'Chat not found' });
-    } else {
+    }
+
+    // A source named in the request is attached to the chat; later turns reuse it
+    let source = null;
+    const requestNamesSource = !!(fileId || workspaceId || connectionString || connectionId);
+    if (requestNamesSource) {
+      source = { fileId, workspaceId, connectionString, connectionId, database: req.body.database };
+    } else if (chat && chat.source && (chat.source.fileId || chat.source.workspaceId || (chat.source.connectionSecret && chat.source.connectionSecret.data) || chat.source.connectionId)) {
+      source = sourceFromChat(chat.source);
+    }
+    if (execute && !source) {
+      return res.status(400).json({ error: 'no_source_attached', message: 'execute requires a fileId, workspaceId, connectionString or connectionId on the request or the chat' });
+    }
+
+    // Ground generation in the real schema when a source is known
+    let schema = null;
+    if (source) {
+      try {
+        schema = await dbController.getSchema({
+          ...source,
+          user: req.body.user,
+          password: req.body.password
+        }, { userId });
+      } catch (schemaErr) {
+        return res.status(400).json({ error: 'schema_unavailable', message: schemaErr.message });
+      }
+    }
+
+    if (!chat) {
       chat = await Chat.create({ user: userId, title: cleaned.slice(0, 50) || 'New Chat' });
     }
+    if (requestNamesSource) chat.source = chatSource(source);
+
+    // Determine whether the user's prompt already *is* a query (in any supported language)
+    const isSQLQuery = looksLikeSQL(cleaned);
+    const isMongoQuery = looksLikeMongo(cleaned);
+    const isCypherQuery = looksLikeCypher(cleaned);
+    const isGraphQLQuery = looksLikeGraphQL(cleaned);
+    const originalWasQuery = isSQLQuery || isMongoQuery || isCypherQuery || isGraphQLQuery;
 
     // 👉 Fetch previous queries for this chat (all prior turns)
     const previousQueries = await Query.find({
@@ -438,7 +716,12 @@ router.post('/', limiter, auth, async (req, res) => {
     const langHint = detectQueryLanguageHint(cleaned);
     let queryTypeHint;
 
-    if (langHint) {
+    const sourceLabel = schema ? SCHEMA_SOURCE_LABELS[schema.source] : null;
+
+    if (sourceLabel) {
+      // The target source decides the language; anything else could not be executed there
+      queryTypeHint = sourceLabel.queryType;
+    } else if (langHint) {
       // Explicit language requested (cypher, graphql, cql, redis, etc.) or confidently inferred
       queryTypeHint = langHint;
     } else if (isMongoQuery) {
@@ -463,7 +746,9 @@ router.post('/', limiter, auth, async (req, res) => {
       cleaned,
       originalWasQuery,
       queryTypeHint,
-      chatHistoryText
+      chatHistoryText,
+      formatSchemaForPrompt(schema),
+      parameterize === true
     );
 
     saved = await Query.create({
@@ -485,13 +770,48 @@ router.post('/', limiter, auth, async (req, res) => {
     const { text = '', raw = null, usage = null } = llmResult || {};
 
     const answerStringRaw = (typeof text === 'string') ? text : String(text || '');
-    const answerString = enforceOutputFormat(answerStringRaw, cleaned, originalWasQuery);
+    let answerString = enforceOutputFormat(answerStringRaw, cleaned, originalWasQuery);
+
+    // Execute mode: run the generated query and let the LLM repair it on engine errors
+    let execution = null;
+    if (execute) {
+      execution = await executeWithRepair({
+        answerString,
+        guidedPrompt,
+        source,
+        schema,
+        credentials: { user: req.body.user, password: req.body.password },
+        maxRows: req.body.maxRows,
+        maxRepairs: req.body.maxRepairs,
+        allowWrites: req.body.allowWrites === true,
+        userId,
+        llmOptions: { model: resolvedModel, max_tokens: max_tokens || 512, temperature: 0.0 },
+        originalPrompt: cleaned,
+        originalWasQuery,
+        params: req.body.params,
+        useExampleParams: req.body.useExampleParams === true
+      });
+      answerString = execution.response;
+    }
+    const paramSchema = parameterize === true ? extractParamSchema(answerString) || [] : null;
 
     saved.response = answerString;
     saved.raw = raw;
     saved.usage = usage;
     saved.model = resolvedModel || saved.model;
     saved.status = 'done';
+    if (paramSchema) saved.paramSchema = paramSchema;
+    if (execution) {
+      saved.execution = {
+        success: execution.success,
+        finalQuery: execution.finalQuery,
+        attempts: execution.attempts,
+        rowCount: execution.result ? execution.result.rowCount : 0
+      };
+      if (execution.exampleParams) saved.execution.exampleParams = true;
+      if (execution.error) saved.execution.error = execution.error;
+      if (execution.payload) saved.execution.payload = rerunPayload(execution.payload);
+    }
     await saved.save();
 
     chat.updatedAt = new Date();
@@ -507,6 +827,21 @@ router.post('/', limiter, auth, async (req, res) => {
       updatedAt: updatedAt,
       response: answerString
     };
+    if (paramSchema) payload.paramSchema = paramSchema;
+    if (execution) {
+      payload.execution = {
+        success: execution.success,
+        language: execution.language,
+        finalQuery: execution.finalQuery,
+        attempts: execution.attempts,
+        result: execution.result
+      };
+      if (execution.exampleParams) payload.execution.exampleParams = true;
+      if (execution.error) {
+        payload.execution.error = execution.error;
+        payload.execution.paramSchema = execution.paramSchema;
+      }
+    }
 
     return res.json(payload);
   } catch (err) {
@@ -531,6 +866,92 @@ router.post('/', limiter, auth, async (req, res) => {
   }
 });
 
+// the LLM prompt for a plain-language analysis of an executeQuery explain result
+function buildPlanPrompt(payload, result) {
+  const { explain } = result;
+  const queryText = payload.query ? String(payload.query) : JSON.stringify(payload.mongo || {}, null, 2);
+  const indexSyntax = {
+    mongodb: 'db.<collection>.createIndex({ field: 1 })',
+    neo4j: 'CREATE INDEX <name> FOR (n:Label) ON (n.property)'
+  }[explain.format] || 'CREATE INDEX <name> ON <table> (<columns>)';
+  const stats = Object.entries(explain.stats || {}).map(([k, v]) => `${k}=${v}`).join(', ');
+
+  return [
+    "You are a patient database performance tutor. A junior developer asks why their query is slow.",
+    "Explain the query plan below in plain language, for someone who has never read one before.",
+    "",
+    `Database engine: ${explain.format}`,
+    explain.analyzed
+      ? "The plan was measured by running the query: compare estimated rows (est) with actual rows (actual)."
+      : "The plan is the optimizer's estimate; the query was not run.",
+    "",
+    "Query:",
+    "```query",
+    escapeBackticks(queryText.slice(0, 4000)),
+    "```",
+    "",
+    "Plan (one step per line; indented steps feed the step above them, so read from the innermost out):",
+    "```plan",
+    escapeBackticks(explain.text.slice(0, 6000)),
+    "```",
+    `Read in full (no index used): ${explain.fullScans.length ? explain.fullScans.join(', ') : 'nothing'}`,
+    `Indexes used: ${explain.indexesUsed.length ? explain.indexesUsed.join(', ') : 'none'}`,
+    ...(stats ? [`Totals: ${stats}`] : []),
+    "",
+    "Answer with these sections:",
+    "1. What happens: the steps the database takes, in order, in a few short sentences.",
+    "2. Why it may be slow: the expensive steps (full scans of big tables, large sorts, row estimates far from actual rows, nested loops over many rows) and why.",
+    `3. Index suggestions: each as one statement in a fenced code block (${indexSyntax}) with one sentence on why it helps. If no index would help, say so.`,
+    "Use the real table, collection and column names from the query and plan. Do not invent figures that are not in the plan."
+  ].join("\n");
+}
+
+/**
+ * POST /api/query/plan
+ * Body: an /api/db/execute payload (fileId / workspaceId / connectionString / connectionId,
+ *       query or mongo, params?, user?, password?, database?) plus
+ *       { explain?: 'plan' (default) | 'analyze', describe?, model?, max_tokens? }
+ *
+ * Returns the query's normalized plan (dbController.executeQuery with explain). With
+ * describe: true the plan is also passed to the LLM for a plain-language explanation of
+ * what the database does and why it may be slow, with index suggestions.
+ *
+ * Response (200):
+ * {
+ *   source, executionId,
+ *   explain: { mode, analyzed, format, plan, stats, fullScans, indexesUsed, text, raw },
+ *   analysis?: { model, text, indexSuggestions: [statement] } | null,
+ *   analysisError?   // the LLM call failed; the plan is returned all the same
+ * }
+ */
+router.post('/plan', limiter, auth, async (req, res) => {
+  const body = req.body || {};
+  let result;
+  try {
+    result = await dbController.executeQuery({ ...body, explain: body.explain || 'plan' }, { userId: req.userId });
+  } catch (err) {
+    return res.status(400).json({ error: err.message || 'explain_failed' });
+  }
+  if (body.describe !== true) return res.json(result);
+
+  try {
+    const llmResult = await queryLLM({
+      prompt: buildPlanPrompt(body, result),
+      model: body.model,
+      max_tokens: body.max_tokens || 700,
+      temperature: 0.2
+    });
+    const text = (llmResult && typeof llmResult.text === 'string') ? llmResult.text : String(llmResult?.text || '');
+    return res.json({
+      ...result,
+      analysis: { model: body.model || null, text: text.trim(), indexSuggestions: extractIndexSuggestions(text) }
+    });
+  } catch (err) {
+    console.error('Plan analysis error', err);
+    return res.json({ ...result, analysis: null, analysisError: err.message || 'LLM request failed' });
+  }
+});
+
 router.post('/demo', limiter, async (req, res) => {
   try {
     const { prompt: rawPrompt, model, max_tokens, temperature } = req.body || {};
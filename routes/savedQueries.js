@@ -0,0 +1,167 @@
+// routes/savedQueries.js
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const savedQueries = require('../controllers/savedQueryController');
+
+// errors caused by the request rather than the server
+const CLIENT_ERRORS = /^(title_required|query_required|invalid_(language|tags|params|source|role|sharing|param_type:.*)|duplicate_param:.*|connection_not_saved|no_query_in_response|saved_query_has_no_source|user_not_found:.*|team_not_found)$/;
+const NOT_FOUND = /^(saved_query_not_found|version_not_found|query_not_found|file_not_found|workspace_not_found|connection_not_found)$/;
+const FORBIDDEN = /^(saved_query_forbidden|version_not_approved|saved_query_not_approved)$/;
+
+function sendError(res, err, label) {
+  if (NOT_FOUND.test(err.message)) return res.status(404).json({ error: err.message });
+  if (FORBIDDEN.test(err.message)) return res.status(403).json({ error: err.message });
+  if (CLIENT_ERRORS.test(err.message)) return res.status(400).json({ error: err.message });
+  console.error(label, err);
+  return res.status(500).json({ error: 'Server error' });
+}
+
+/**
+ * GET /api/saved-queries?scope=all|mine|shared&tag=&q=
+ * Saved queries of the caller and those shared with them (directly or through a team),
+ * without version history; each carries access: 'owner' | 'editor' | 'viewer'.
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { scope, tag, q } = req.query;
+    return res.json({ savedQueries: await savedQueries.listSavedQueries(req.userId, { scope, tag, q }) });
+  } catch (err) {
+    return sendError(res, err, 'List saved queries error');
+  }
+});
+
+/**
+ * POST /api/saved-queries
+ * Body: {
+ *   title, description?, tags?: [string],
+ *   language: 'sql'|'mongodb'|'cypher'|'redis',
+ *   query,                 // with placeholders for params (see /api/db/execute)
+ *   params?: [{ name, type?: string|int|float|bool|date|json|objectId, description?, default? }],
+ *   source?: { fileId, engine? } | { workspaceId } | { connectionId }, plus database?
+ *   note?                  // recorded on version 1
+ * }
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    return res.status(201).json(await savedQueries.createSavedQuery(req.userId, req.body || {}));
+  } catch (err) {
+    return sendError(res, err, 'Create saved query error');
+  }
+});
+
+/**
+ * POST /api/saved-queries/from-query/:queryId
+ * Body: { title?, description?, tags?, source?, note? }
+ * "Save this": saves the query block of one of the caller's chat answers, bound to the
+ * source it ran on. An answer run on an unsaved connection string is saved without a
+ * source unless source names a saved connection.
+ */
+router.post('/from-query/:queryId', auth, async (req, res) => {
+  try {
+    return res.status(201).json(await savedQueries.saveFromQuery(req.params.queryId, req.userId, req.body || {}));
+  } catch (err) {
+    return sendError(res, err, 'Save from query error');
+  }
+});
+
+// GET /api/saved-queries/:id  (with versions)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    return res.json(await savedQueries.getSavedQuery(req.params.id, req.userId));
+  } catch (err) {
+    return sendError(res, err, 'Get saved query error');
+  }
+});
+
+/**
+ * PUT /api/saved-queries/:id  (owner or editor)
+ * Body: any of { title, description, tags, language, query, params, source, note }
+ * Changing language / query / params / source records a new version; only the owner
+ * can change the source. A version an editor records is run by the owner only until the
+ * owner approves it (see /versions/:version/approve).
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    return res.json(await savedQueries.updateSavedQuery(req.params.id, req.userId, req.body || {}));
+  } catch (err) {
+    return sendError(res, err, 'Update saved query error');
+  }
+});
+
+// DELETE /api/saved-queries/:id  (owner)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    return res.json(await savedQueries.deleteSavedQuery(req.params.id, req.userId));
+  } catch (err) {
+    return sendError(res, err, 'Delete saved query error');
+  }
+});
+
+// GET /api/saved-queries/:id/versions/:version
+router.get('/:id/versions/:version', auth, async (req, res) => {
+  try {
+    return res.json(await savedQueries.getSavedQueryVersion(req.params.id, req.userId, req.params.version));
+  } catch (err) {
+    return sendError(res, err, 'Get saved query version error');
+  }
+});
+
+// POST /api/saved-queries/:id/revert  Body: { version, note? }  (recorded as a new version)
+router.post('/:id/revert', auth, async (req, res) => {
+  try {
+    const { version, note } = req.body || {};
+    if (version === undefined) return res.status(400).json({ error: 'version is required' });
+    return res.json(await savedQueries.revertSavedQuery(req.params.id, req.userId, version, note));
+  } catch (err) {
+    return sendError(res, err, 'Revert saved query error');
+  }
+});
+
+/**
+ * POST /api/saved-queries/:id/versions/:version/approve  (owner)
+ * Lets sharees run a version an editor wrote; they run the newest approved version.
+ */
+router.post('/:id/versions/:version/approve', auth, async (req, res) => {
+  try {
+    return res.json(await savedQueries.approveSavedQueryVersion(req.params.id, req.userId, req.params.version));
+  } catch (err) {
+    return sendError(res, err, 'Approve saved query version error');
+  }
+});
+
+/**
+ * PUT /api/saved-queries/:id/sharing  (owner)
+ * Body: { users?: [{ email | userId, role?: 'viewer'|'editor' }], teams?: [{ teamId, role? }] }
+ * Each list given replaces the current one. Viewers can read and run the query, editors
+ * can also change it.
+ */
+router.put('/:id/sharing', auth, async (req, res) => {
+  try {
+    return res.json(await savedQueries.setSavedQuerySharing(req.params.id, req.userId, req.body || {}));
+  } catch (err) {
+    return sendError(res, err, 'Share saved query error');
+  }
+});
+
+/**
+ * POST /api/saved-queries/:id/run
+ * Body: { params?, version?, maxRows?, pageToken?, timeoutMs?, executionId?, cache?, cacheTtlMs?, allowWrites? }
+ * Runs the saved query (or one of its versions) on its bound source through executeQuery.
+ * Named params are completed with the saved defaults. Shared queries run on the owner's
+ * source and read-only; allowWrites is only honoured for the owner. Sharees run the newest
+ * version the owner wrote or approved (403 saved_query_not_approved / version_not_approved).
+ * returns the /api/db/execute result plus { savedQueryId, version }
+ */
+router.post('/:id/run', auth, async (req, res) => {
+  try {
+    return res.json(await savedQueries.runSavedQuery(req.params.id, req.userId, req.body || {}));
+  } catch (err) {
+    if (NOT_FOUND.test(err.message) || FORBIDDEN.test(err.message)) return sendError(res, err, 'Run saved query error');
+    // engine errors are the query's, as for /api/db/execute
+    console.error('Run saved query error', err);
+    return res.status(400).json({ error: err.message || 'execute_failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+// routes/schedules.js
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const schedules = require('../controllers/scheduleController');
+
+// errors caused by the request rather than the server
+const CLIENT_ERRORS = /^(savedQueryId_required|webhook_host_not_allowed|invalid_(cron|timezone|alert|webhookUrl|threshold:.*|keyColumns|maxRows|before))$/;
+const NOT_FOUND = /^(schedule_not_found|run_not_found|saved_query_not_found)$/;
+
+function sendError(res, err, label) {
+  if (NOT_FOUND.test(err.message)) return res.status(404).json({ error: err.message });
+  if (CLIENT_ERRORS.test(err.message)) return res.status(400).json({ error: err.message });
+  console.error(label, err);
+  return res.status(500).json({ error: 'Server error' });
+}
+
+// GET /api/schedules?savedQueryId=
+router.get('/', auth, async (req, res) => {
+  try {
+    return res.json({ schedules: await schedules.listSchedules(req.userId, { savedQueryId: req.query.savedQueryId }) });
+  } catch (err) {
+    return sendError(res, err, 'List schedules error');
+  }
+});
+
+/**
+ * POST /api/schedules
+ * Body: {
+ *   savedQueryId,          // one of the caller's saved queries, or one shared with them
+ *   cron,                  // 5 fields: minute hour day-of-month month day-of-week, e.g. "0 7 * * 1-5"
+ *   timezone?,             // IANA name, default UTC
+ *   name?, enabled?,
+ *   params?,               // bind values for every run (the saved defaults fill the rest)
+ *   maxRows?,              // rows kept per snapshot (default 1000, max 10000)
+ *   keyColumns?: [string], // columns identifying a row for added/removed rows (default: whole rows)
+ *   alert?: {
+ *     webhookUrl?,         // receives a JSON POST { event: 'schedule.alert', reasons, schedule,
+ *                          //   savedQuery, run, diff? } when a threshold is crossed; must resolve
+ *                          //   to public addresses (webhook_host_not_allowed otherwise)
+ *     thresholds?: { rowCountChange?, rowCountChangePct?, addedRows?, removedRows?,
+ *                    minRowCount?, maxRowCount? },  // e.g. { maxRowCount: 0 } for health checks
+ *     onError?             // alert when the run fails (default true)
+ *   }
+ * }
+ * Runs are read-only and keep a snapshot of the result (see GET /:id/runs/:runId).
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    return res.status(201).json(await schedules.createSchedule(req.userId, req.body || {}));
+  } catch (err) {
+    return sendError(res, err, 'Create schedule error');
+  }
+});
+
+// GET /api/schedules/:id
+router.get('/:id', auth, async (req, res) => {
+  try {
+    return res.json(await schedules.getSchedule(req.params.id, req.userId));
+  } catch (err) {
+    return sendError(res, err, 'Get schedule error');
+  }
+});
+
+// PUT /api/schedules/:id  Body: any of the POST fields but savedQueryId
+router.put('/:id', auth, async (req, res) => {
+  try {
+    return res.json(await schedules.updateSchedule(req.params.id, req.userId, req.body || {}));
+  } catch (err) {
+    return sendError(res, err, 'Update schedule error');
+  }
+});
+
+// DELETE /api/schedules/:id  (with its runs)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    return res.json(await schedules.deleteSchedule(req.params.id, req.userId));
+  } catch (err) {
+    return sendError(res, err, 'Delete schedule error');
+  }
+});
+
+/**
+ * POST /api/schedules/:id/run
+ * Runs the schedule now (snapshot, diff and alerts as for a scheduled run).
+ * returns the run without its rows
+ */
+router.post('/:id/run', auth, async (req, res) => {
+  try {
+    return res.json(await schedules.runScheduleNow(req.params.id, req.userId));
+  } catch (err) {
+    return sendError(res, err, 'Run schedule error');
+  }
+});
+
+/**
+ * GET /api/schedules/:id/runs?limit=&before=
+ * returns { runs: [{ _id, status, error?, startedAt, finishedAt, rowCount, truncated,
+ *   diff: { rowCountBefore, rowCountChange, added, removed, partial }, alerts }] }, newest first
+ */
+router.get('/:id/runs', auth, async (req, res) => {
+  try {
+    const { limit, before } = req.query;
+    return res.json({ runs: await schedules.listScheduleRuns(req.params.id, req.userId, { limit, before }) });
+  } catch (err) {
+    return sendError(res, err, 'List schedule runs error');
+  }
+});
+
+// GET /api/schedules/:id/runs/:runId  (snapshot rows are value arrays in columns order)
+router.get('/:id/runs/:runId', auth, async (req, res) => {
+  try {
+    return res.json(await schedules.getScheduleRun(req.params.id, req.params.runId, req.userId));
+  } catch (err) {
+    return sendError(res, err, 'Get schedule run error');
+  }
+});
+
+module.exports = router;
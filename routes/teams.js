@@ -0,0 +1,112 @@
+// routes/teams.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const Team = require('../models/Team');
+const User = require('../models/User');
+
+// load a team the caller belongs to (admin: only if they can manage it), or null
+async function findTeam(req, { admin = false } = {}) {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  const team = await Team.findOne({ _id: req.params.id, 'members.user': req.userId });
+  if (!team) return null;
+  if (admin && !isAdmin(team, req.userId)) return null;
+  return team;
+}
+
+function isAdmin(team, userId) {
+  if (String(team.owner) === String(userId)) return true;
+  return team.members.some(m => String(m.user) === String(userId) && m.role === 'admin');
+}
+
+// GET /api/teams  (teams the caller is a member of)
+router.get('/', auth, async (req, res) => {
+  try {
+    const teams = await Team.find({ 'members.user': req.userId })
+      .populate('members.user', 'name email')
+      .sort({ name: 1 })
+      .lean();
+    return res.json(teams);
+  } catch (err) {
+    console.error('List teams error', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/teams
+ * Body: { name }
+ * The caller owns the new team and is its first admin.
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name } = req.body || {};
+    if (!name || !String(name).trim()) return res.status(400).json({ error: 'name is required' });
+    const team = await Team.create({
+      owner: req.userId,
+      name: String(name).trim(),
+      members: [{ user: req.userId, role: 'admin' }]
+    });
+    return res.status(201).json(team);
+  } catch (err) {
+    console.error('Create team error', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/teams/:id/members  (admins)
+ * Body: { email, role?: 'member'|'admin' }
+ * Adds a user, or changes the role of a member.
+ */
+router.post('/:id/members', auth, async (req, res) => {
+  try {
+    const team = await findTeam(req, { admin: true });
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+    const { email, role = 'member' } = req.body || {};
+    if (!['member', 'admin'].includes(role)) return res.status(400).json({ error: 'invalid_role' });
+    const user = email ? await User.findOne({ email: String(email).toLowerCase().trim() }).select('_id').lean() : null;
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const member = team.members.find(m => String(m.user) === String(user._id));
+    if (member) member.role = String(user._id) === String(team.owner) ? 'admin' : role;
+    else team.members.push({ user: user._id, role });
+    await team.save();
+    return res.json(team);
+  } catch (err) {
+    console.error('Add team member error', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/teams/:id/members/:userId  (admins; any member can remove themselves)
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const self = String(req.params.userId) === String(req.userId);
+    const team = await findTeam(req, { admin: !self });
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+    if (String(req.params.userId) === String(team.owner)) return res.status(400).json({ error: 'owner_cannot_leave' });
+    team.members = team.members.filter(m => String(m.user) !== String(req.params.userId));
+    await team.save();
+    return res.json(team);
+  } catch (err) {
+    console.error('Remove team member error', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/teams/:id  (owner; queries shared with it are no longer visible to its members)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Team not found' });
+    const team = await Team.findOneAndDelete({ _id: req.params.id, owner: req.userId });
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Delete team error', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
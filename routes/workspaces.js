@@ -0,0 +1,96 @@
+// routes/workspaces.js
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const dbController = require('../controllers/dbController');
+
+// errors caused by the request rather than the server
+const CLIENT_ERRORS = /^(name_required|invalid_tableName|table_name_taken|file_(missing|failed))$/;
+
+function sendError(res, err, label) {
+  if (err.message === 'workspace_not_found') return res.status(404).json({ error: 'workspace_not_found' });
+  if (err.message === 'file_not_found') return res.status(404).json({ error: 'file_not_found' });
+  if (CLIENT_ERRORS.test(err.message)) return res.status(400).json({ error: err.message });
+  console.error(label, err);
+  return res.status(500).json({ error: 'Server error' });
+}
+
+// GET /api/workspaces
+router.get('/', auth, async (req, res) => {
+  try {
+    return res.json({ workspaces: await dbController.listWorkspaces(req.userId) });
+  } catch (err) {
+    return sendError(res, err, 'List workspaces error');
+  }
+});
+
+// GET /api/workspaces/:id
+router.get('/:id', auth, async (req, res) => {
+  try {
+    return res.json(await dbController.getWorkspace(req.params.id, req.userId));
+  } catch (err) {
+    return sendError(res, err, 'Get workspace error');
+  }
+});
+
+/**
+ * POST /api/workspaces
+ * Body: { name, files?: [{ fileId, tableName? }] }
+ * Each upload is loaded under tableName (default: its file name without extension);
+ * multi-table uploads (workbooks, zips, nested JSON) get tableName as a prefix.
+ * Query the workspace with POST /api/db/execute { workspaceId, query }.
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, files } = req.body || {};
+    if (files !== undefined && !Array.isArray(files)) return res.status(400).json({ error: 'files must be an array' });
+    const ws = await dbController.createWorkspace(req.userId, { name, files });
+    return res.status(201).json(ws);
+  } catch (err) {
+    return sendError(res, err, 'Create workspace error');
+  }
+});
+
+// PUT /api/workspaces/:id  Body: { name }
+router.put('/:id', auth, async (req, res) => {
+  try {
+    return res.json(await dbController.renameWorkspace(req.params.id, req.userId, (req.body || {}).name));
+  } catch (err) {
+    return sendError(res, err, 'Update workspace error');
+  }
+});
+
+// DELETE /api/workspaces/:id  (the uploads themselves are kept)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    return res.json(await dbController.deleteWorkspace(req.params.id, req.userId));
+  } catch (err) {
+    return sendError(res, err, 'Delete workspace error');
+  }
+});
+
+/**
+ * POST /api/workspaces/:id/files
+ * Body: { fileId, tableName? }
+ * Adds an upload to the workspace, or renames its table when it is already a member.
+ */
+router.post('/:id/files', auth, async (req, res) => {
+  try {
+    const { fileId, tableName } = req.body || {};
+    if (!fileId) return res.status(400).json({ error: 'fileId is required' });
+    return res.json(await dbController.addWorkspaceFile(req.params.id, req.userId, { fileId, tableName }));
+  } catch (err) {
+    return sendError(res, err, 'Add workspace file error');
+  }
+});
+
+// DELETE /api/workspaces/:id/files/:fileId
+router.delete('/:id/files/:fileId', auth, async (req, res) => {
+  try {
+    return res.json(await dbController.removeWorkspaceFile(req.params.id, req.userId, req.params.fileId));
+  } catch (err) {
+    return sendError(res, err, 'Remove workspace file error');
+  }
+});
+
+module.exports = router;
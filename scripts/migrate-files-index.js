@@ -0,0 +1,34 @@
+// scripts/migrate-files-index.js
+// One-time migration of the legacy db_files.json upload index into Mongo (UploadedFile).
+// Safe to re-run: entries already migrated are skipped.
+//
+// usage: node scripts/migrate-files-index.js [--owner=<userId>] [--file=<path to db_files.json>]
+//   --owner assigns legacy entries (which have no owner) to that user so they stay queryable.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const dbController = require('../controllers/dbController');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/querycraft';
+
+function argValue(name) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+async function main() {
+  const ownerId = argValue('owner');
+  if (ownerId && !mongoose.isValidObjectId(ownerId)) throw new Error('invalid --owner user id');
+
+  await mongoose.connect(MONGO_URI);
+  try {
+    const stats = await dbController.migrateLegacyFilesIndex({ ownerId, filePath: argValue('file') });
+    console.log(`Migrated files index: ${stats.imported} imported, ${stats.skipped} already present, ${stats.missing} with missing files`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
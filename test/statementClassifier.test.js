@@ -0,0 +1,32 @@
+// test/statementClassifier.test.js
+// Read-only gate cases that have let writes through before. Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifySql } = require('../utils/statementClassifier');
+const { getEngineForConnection } = require('../utils/engineRegistry');
+require('../utils/engines/mssql');
+
+/* -------------------- mssql -------------------- */
+
+test('mssql: a statement after a read without ; is a second statement', () => {
+  // COMMIT ends the transaction a read runs in, so the DELETE would autocommit
+  const classification = getEngineForConnection('mssql://user:pw@localhost/db').classify('SELECT 1 COMMIT DELETE FROM t');
+  assert.strictEqual(classification.type, 'multi');
+  assert.strictEqual(classification.readOnly, false);
+});
+
+test('mssql: keywords in literals and bracketed identifiers do not count', () => {
+  const classification = classifySql("SELECT [update], [a]]set] FROM t WHERE note = 'delete'", 'mssql');
+  assert.strictEqual(classification.type, 'select');
+  assert.strictEqual(classification.readOnly, true);
+});
+
+/* -------------------- mysql -------------------- */
+
+test('mysql: the body of an executable /*! comment is classified', () => {
+  const classification = classifySql('SELECT 1 /*!, (SELECT 1 INTO OUTFILE "/tmp/x") */', 'mysql');
+  assert.strictEqual(classification.readOnly, false);
+  assert.strictEqual(classifySql('SELECT 1 /*!50000 ; DROP TABLE t */', 'mysql').type, 'multi');
+  assert.strictEqual(classifySql('SELECT /*!40001 SQL_NO_CACHE */ * FROM t', 'mysql').readOnly, true);
+});
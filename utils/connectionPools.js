@@ -0,0 +1,194 @@
+// utils/connectionPools.js
+// Shared clients for live database connections, keyed by connection identity
+// (engine + connection string + credentials + database), so queries against the
+// same target reuse warm connections instead of reconnecting every time.
+//
+// - each target gets at most POOL_MAX_SIZE connections
+// - targets unused for POOL_IDLE_MS are closed by a background sweep
+// - a target unused for POOL_CHECK_AFTER_MS is pinged before it is handed out
+//   again, and rebuilt when the ping fails
+// - closeAllPools() shuts everything down (see the SIGINT handler in index.js)
+
+const crypto = require('crypto');
+const { Pool: PgPool } = require('pg');
+const mysql = require('mysql2/promise');
+const { MongoClient } = require('mongodb');
+const neo4j = require('neo4j-driver');
+
+const POOL_MAX_SIZE = Number(process.env.POOL_MAX_SIZE) || 5; // connections per target
+const POOL_IDLE_MS = Number(process.env.POOL_IDLE_MS) || 5 * 60 * 1000;
+const POOL_CHECK_AFTER_MS = 30 * 1000;
+const MAX_POOLS = Number(process.env.MAX_POOLS) || 50; // targets kept open at once
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/* -------------------- engines -------------------- */
+
+// create(identity) -> pool, ping(pool), close(pool); more via registerPoolEngine
+const ENGINES = {
+  postgres: {
+    async create({ connectionString }) {
+      const pool = new PgPool({
+        connectionString,
+        statement_timeout: 30 * 60 * 1000, // backstop; executeQuery enforces per-request timeouts
+        max: POOL_MAX_SIZE,
+        idleTimeoutMillis: POOL_IDLE_MS
+      });
+      // idle clients that lose their connection emit here; the pool drops them itself
+      pool.on('error', (err) => console.warn('postgres pool client error:', err.message));
+      return pool;
+    },
+    ping: (pool) => pool.query('SELECT 1'),
+    close: (pool) => pool.end()
+  },
+  mysql: {
+    async create({ connectionString }) {
+      return mysql.createPool({
+        uri: connectionString,
+        connectionLimit: POOL_MAX_SIZE,
+        maxIdle: POOL_MAX_SIZE,
+        idleTimeout: POOL_IDLE_MS
+      });
+    },
+    ping: (pool) => pool.query('SELECT 1'),
+    close: (pool) => pool.end()
+  },
+  mongodb: {
+    async create({ connectionString }) {
+      const client = new MongoClient(connectionString, {
+        serverSelectionTimeoutMS: 10000,
+        maxPoolSize: POOL_MAX_SIZE,
+        maxIdleTimeMS: POOL_IDLE_MS
+      });
+      await client.connect();
+      return client;
+    },
+    ping: (client) => client.db('admin').command({ ping: 1 }),
+    close: (client) => client.close()
+  },
+  neo4j: {
+    async create({ uri, user, password }) {
+      return neo4j.driver(uri, neo4j.auth.basic(user, password), {
+        disableLosslessIntegers: false,
+        maxConnectionPoolSize: POOL_MAX_SIZE
+      });
+    },
+    ping: (driver) => driver.verifyConnectivity(),
+    close: (driver) => driver.close()
+  }
+};
+
+/**
+ * Add pooling for another engine (used by the adapters in utils/engines/).
+ * def: { create(identity) -> Promise<pool>, ping(pool), close(pool) }
+ */
+function registerPoolEngine(engine, def) {
+  if (ENGINES[engine]) throw new Error(`pool_engine_already_registered:${engine}`);
+  ENGINES[engine] = def;
+}
+
+/* -------------------- pool registry -------------------- */
+
+const pools = new Map(); // key -> { key, engine, ready: Promise<pool>, leases, lastUsed }
+let sweeper = null;
+
+// identity values are hashed so credentials are not kept around as map keys
+function poolKey(engine, identity) {
+  const parts = [engine, ...Object.keys(identity).sort().map(k => [k, identity[k] === undefined ? null : identity[k]])];
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+function closeEntry(entry) {
+  if (pools.get(entry.key) === entry) pools.delete(entry.key);
+  return entry.ready
+    .then(pool => ENGINES[entry.engine].close(pool))
+    .catch(err => console.warn(`closing ${entry.engine} pool failed:`, err.message));
+}
+
+function startSweeper() {
+  if (sweeper) return;
+  sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const entry of pools.values()) {
+      if (entry.leases === 0 && now - entry.lastUsed > POOL_IDLE_MS) closeEntry(entry);
+    }
+    if (pools.size === 0) {
+      clearInterval(sweeper);
+      sweeper = null;
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweeper.unref(); // never keeps the process alive
+}
+
+// make room for one more target by closing the least recently used idle one
+function evictForNewPool() {
+  if (pools.size < MAX_POOLS) return;
+  const idle = Array.from(pools.values()).filter(e => e.leases === 0).sort((a, b) => a.lastUsed - b.lastUsed);
+  if (idle.length) closeEntry(idle[0]);
+}
+
+function createEntry(engine, identity, key) {
+  evictForNewPool();
+  const entry = { key, engine, leases: 0, lastUsed: Date.now() };
+  entry.ready = ENGINES[engine].create(identity);
+  // a target that could not be reached is not cached
+  entry.ready.catch(() => { if (pools.get(key) === entry) pools.delete(key); });
+  pools.set(key, entry);
+  startSweeper();
+  return entry;
+}
+
+// the cached entry for a target, pinged first when it sat unused for a while
+async function acquire(engine, identity) {
+  const key = poolKey(engine, identity);
+  let entry = pools.get(key);
+  if (entry && entry.leases === 0 && Date.now() - entry.lastUsed > POOL_CHECK_AFTER_MS) {
+    try {
+      await ENGINES[engine].ping(await entry.ready);
+    } catch {
+      closeEntry(entry);
+      entry = null;
+    }
+  }
+  if (!entry || pools.get(key) !== entry) entry = pools.get(key) || createEntry(engine, identity, key);
+  entry.leases++;
+  try {
+    return { entry, pool: await entry.ready };
+  } catch (err) {
+    entry.leases--;
+    throw err;
+  }
+}
+
+/**
+ * Run fn(pool, lease) with the shared pool for a target.
+ * engine: 'postgres' | 'mysql' | 'mongodb' | 'neo4j', or one added with registerPoolEngine
+ * identity: what makes two requests share a pool, e.g. { connectionString } or
+ *   { uri, user, password } for Neo4j
+ * pool is a pg Pool, mysql2 promise Pool, connected MongoClient or Neo4j driver.
+ * lease.discard() closes the pool once fn is done (for targets found to be broken).
+ */
+async function withPool(engine, identity, fn) {
+  if (!ENGINES[engine]) throw new Error(`unsupported_pool_engine:${engine}`);
+  const { entry, pool } = await acquire(engine, identity);
+  let discard = false;
+  try {
+    return await fn(pool, { discard: () => { discard = true; } });
+  } finally {
+    entry.leases--;
+    entry.lastUsed = Date.now();
+    if (discard) closeEntry(entry);
+  }
+}
+
+/**
+ * Close every pool; used on shutdown.
+ */
+async function closeAllPools() {
+  if (sweeper) {
+    clearInterval(sweeper);
+    sweeper = null;
+  }
+  await Promise.all(Array.from(pools.values()).map(closeEntry));
+}
+
+module.exports = { withPool, closeAllPools, registerPoolEngine, POOL_MAX_SIZE, POOL_IDLE_MS };
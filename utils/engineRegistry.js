@@ -0,0 +1,71 @@
+// utils/engineRegistry.js
+// Query engines by name and by connection-string scheme. executeQuery, getSchema and
+// testConnection look the engine for a connection string up here instead of matching
+// schemes themselves, so adding an engine is one registerEngine() call.
+// The built-in engines (postgres, mysql, mongodb, neo4j) are registered by
+// controllers/dbController.js, the others live in utils/engines/.
+
+const engines = new Map(); // name -> engine
+const bySchemes = new Map(); // scheme -> engine
+
+/**
+ * engine: {
+ *   name,                  // also the saved connection type and result source
+ *   schemes: [scheme...],  // connection string schemes handled, e.g. ['postgres', 'postgresql']
+ *   language,              // query language: 'sql' | 'mongodb' | 'cypher' | 'redis'
+ *   parse(payload, options), // the engine's query from an execute payload; throws when missing
+ *                          // (options.params: bind values, see utils/queryParams)
+ *   classify(query, payload), // statement classification (utils/statementClassifier shape)
+ *   run(connectionString, query, payload, maxRows, options),  // binds options.params natively
+ *                          // -> { source, rows, columns, rowCount, truncated, affectedRows? }
+ *   explain?(connectionString, query, payload, options),  // the native plan for options.explain
+ *                          // ('plan' | 'analyze') -> { source, format, raw, analyzed }
+ *                          // (format: a utils/queryPlans normalizer)
+ *   schema?(connectionString, payload),  // getSchema() result
+ *   test?(connectionString, payload),    // resolves when the connection works
+ *   files?                 // true: run() gets an upload's parts [{ type, path, table }]
+ *                          // in place of the connection string
+ * }
+ * Engines without schemes (embedded ones like duckdb) are only reachable by name.
+ */
+function registerEngine(engine) {
+  if (!engine || !engine.name || typeof engine.run !== 'function') throw new Error('invalid_engine');
+  if (engines.has(engine.name)) throw new Error(`engine_already_registered:${engine.name}`);
+  const schemes = (engine.schemes || []).map(s => s.toLowerCase());
+  for (const scheme of schemes) {
+    if (bySchemes.has(scheme)) throw new Error(`engine_scheme_taken:${scheme}`);
+  }
+  engines.set(engine.name, engine);
+  for (const scheme of schemes) bySchemes.set(scheme, engine);
+  return engine;
+}
+
+function getEngine(name) {
+  return engines.get(name) || null;
+}
+
+/**
+ * Engine handling a connection string's scheme (mssql://..., redis://...), or null.
+ */
+function getEngineForConnection(connectionString) {
+  const m = String(connectionString || '').trim().match(/^([A-Za-z][A-Za-z0-9+.-]*):\/\//);
+  return m ? bySchemes.get(m[1].toLowerCase()) || null : null;
+}
+
+// registered engines, for clients choosing a connection type
+function listEngines() {
+  return Array.from(engines.values()).map(e => ({ name: e.name, schemes: e.schemes || [], language: e.language }));
+}
+
+/**
+ * parse() for engines taking payload.query as text; throws errorCode when it is empty.
+ */
+function textQuery(errorCode) {
+  return (payload) => {
+    const query = payload.query && String(payload.query).trim() ? payload.query : null;
+    if (!query) throw new Error(errorCode);
+    return query;
+  };
+}
+
+module.exports = { registerEngine, getEngine, getEngineForConnection, listEngines, textQuery };
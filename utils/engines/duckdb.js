@@ -0,0 +1,131 @@
+// utils/engines/duckdb.js
+// Embedded DuckDB for uploaded files: CSV/TSV, JSON and Parquet uploads (and zip bundles
+// of them) are queried in place through views over read_csv / read_json / read_parquet,
+// without importing them into SQLite first. Each query gets its own in-memory database
+// that can only read the upload's own files. Params bind to ? / $1 (positional) or
+// $name / :name (named) placeholders.
+
+const { DuckDBInstance } = require('@duckdb/node-api');
+const { registerEngine, textQuery } = require('../engineRegistry');
+const { createRowSink } = require('../rowSink');
+const { classifySql } = require('../statementClassifier');
+const { replaceNamedPlaceholders } = require('../queryParams');
+
+const DUCKDB_FILE_TYPES = ['csv', 'tsv', 'json', 'parquet'];
+
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, '\'\'')}'`;
+}
+
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// table function reading one upload part
+function readFunction(part) {
+  const file = quoteLiteral(part.path);
+  if (part.type === 'csv') return `read_csv(${file}, header = true, delim = ',')`;
+  if (part.type === 'tsv') return `read_csv(${file}, header = true, delim = '\\t')`;
+  if (part.type === 'json') return `read_json_auto(${file})`;
+  return `read_parquet(${file})`;
+}
+
+// BIGINT / HUGEINT values come back as bigint; JSON can't carry those
+function plainDuckValue(v) {
+  if (typeof v === 'bigint') return Number.isSafeInteger(Number(v)) ? Number(v) : v.toString();
+  if (Array.isArray(v)) return v.map(plainDuckValue);
+  if (v && typeof v === 'object' && !(v instanceof Date) && !Buffer.isBuffer(v)) {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = plainDuckValue(x);
+    return out;
+  }
+  return v;
+}
+
+// bind values: JSON-able scalars as they are, dates as ISO timestamps, the rest as JSON text
+function duckParamValue(v) {
+  if (v instanceof Date) return v.toISOString();
+  if (v && typeof v === 'object') return v._bsontype === 'ObjectId' ? v.toHexString() : JSON.stringify(v);
+  return v;
+}
+
+function duckParams(params) {
+  if (!params) return undefined;
+  if (params.kind === 'positional') return params.values.map(duckParamValue);
+  const values = {};
+  for (const [name, v] of Object.entries(params.values)) values[name] = duckParamValue(v);
+  return values;
+}
+
+/**
+ * Open an in-memory database with one view per upload part and file access limited
+ * to those files (so queries can't read or write anything else on disk).
+ * parts: [{ type, path, table }]
+ */
+async function openUploadDatabase(parts) {
+  const unsupported = parts.find(p => !DUCKDB_FILE_TYPES.includes(p.type));
+  if (unsupported) throw new Error(`duckdb_unsupported_file_type:${unsupported.type}`);
+
+  const instance = await DuckDBInstance.create(':memory:');
+  let connection;
+  try {
+    connection = await instance.connect();
+    await connection.run(`SET allowed_paths = [${parts.map(p => quoteLiteral(p.path)).join(', ')}]`);
+    await connection.run('SET enable_external_access = false');
+    await connection.run('SET autoinstall_known_extensions = false');
+    await connection.run('SET lock_configuration = true');
+    for (const part of parts) {
+      await connection.run(`CREATE VIEW ${quoteIdent(part.table)} AS SELECT * FROM ${readFunction(part)}`);
+    }
+    return { instance, connection };
+  } catch (err) {
+    if (connection) connection.closeSync();
+    instance.closeSync();
+    throw err;
+  }
+}
+
+/**
+ * Run a read statement over the parts of an upload.
+ * The upload files are used as they are, so DuckDB mode is read-only even with allowWrites.
+ * returns { source: 'duckdb-file', rows, columns, rowCount, truncated }
+ */
+async function runQueryOnUploadParts(parts, query, payload, maxRows, options = {}) {
+  if (!options.readOnlyStatement) throw new Error('duckdb_read_only');
+  if (options.params && options.params.kind === 'named') query = replaceNamedPlaceholders(query, name => `$${name}`);
+  const { instance, connection } = await openUploadDatabase(parts);
+  const stopCancel = options.execution ? options.execution.onCancel(() => connection.interrupt()) : () => {};
+  try {
+    const result = await connection.stream(query, duckParams(options.params));
+    const columns = result.deduplicatedColumnNames();
+    const sink = createRowSink(maxRows, options);
+    sink.setColumns(columns);
+    let more = true;
+    for await (const rows of result.yieldRowObjectJs()) {
+      for (const row of rows) {
+        const plain = {};
+        for (const c of columns) plain[c] = plainDuckValue(row[c]);
+        more = await sink.push(plain);
+        if (!more) break;
+      }
+      if (!more) break;
+    }
+    return sink.result('duckdb-file');
+  } finally {
+    stopCancel();
+    connection.closeSync();
+    instance.closeSync();
+  }
+}
+
+registerEngine({
+  name: 'duckdb',
+  schemes: [], // uploads only: executeQuery { fileId, engine: 'duckdb' }
+  language: 'sql',
+  files: true,
+  parse: textQuery('empty_query_for_file_import'),
+  classify: (query) => classifySql(query),
+  run: runQueryOnUploadParts
+});
+
+module.exports = { DUCKDB_FILE_TYPES, runQueryOnUploadParts };
@@ -0,0 +1,8 @@
+// utils/engines/index.js
+// Engines beyond the built-in ones in controllers/dbController.js; requiring this file
+// registers them with utils/engineRegistry.
+
+require('./mssql');
+require('./clickhouse');
+require('./redis');
+require('./duckdb');
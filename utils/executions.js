@@ -0,0 +1,101 @@
+// utils/executions.js
+// Registry of running query executions, so a client can cancel one by id and every
+// execution is stopped once its timeout passes. Engines register how to stop their
+// query (pg_cancel_backend, KILL QUERY, killOp, ...) with execution.onCancel().
+// Ids are scoped to their user: two users may run executions with the same id, and
+// nothing tells a user which ids others have in use. The registry is per process.
+
+const { randomUUID } = require('crypto');
+
+const EXECUTION_ID_RE = /^[A-Za-z0-9_-]{1,100}$/;
+
+const running = new Map(); // userId:id -> execution
+
+function runningKey(userId, id) {
+  return `${userId ? String(userId) : ''}:${id}`;
+}
+
+function cancelError(reason) {
+  return new Error(reason === 'timeout' ? 'query_timeout' : 'query_cancelled');
+}
+
+/**
+ * Register an execution and arm its timeout.
+ * { id?, userId, timeoutMs, source? } — id may be chosen by the client so it can
+ * cancel before the response arrives; one is generated otherwise.
+ * returns execution: {
+ *   id, userId, source, startedAt, deadline,
+ *   tag,                 // unique across users: labels the query on the server (comment, metadata)
+ *   signal,              // AbortSignal aborted on cancel / timeout
+ *   reason,              // null, 'cancelled' or 'timeout'
+ *   onCancel(fn),        // run fn when stopped; returns an unregister function
+ *   cancel(reason?), throwIfCancelled(), remainingMs(), finish()
+ * }
+ */
+function startExecution({ id, userId, timeoutMs, source }) {
+  if (id !== undefined && id !== null && !EXECUTION_ID_RE.test(String(id))) throw new Error('invalid_executionId');
+  id = id ? String(id) : randomUUID();
+  const key = runningKey(userId, id);
+  if (running.has(key)) throw new Error('execution_id_in_use');
+
+  const controller = new AbortController();
+  const cancellers = new Set();
+  const startedAt = new Date();
+
+  const execution = {
+    id,
+    userId: userId ? String(userId) : null,
+    tag: randomUUID(),
+    source: source || null,
+    startedAt,
+    deadline: startedAt.getTime() + timeoutMs,
+    signal: controller.signal,
+    reason: null,
+    onCancel(fn) {
+      cancellers.add(fn);
+      return () => cancellers.delete(fn);
+    },
+    cancel(reason = 'cancelled') {
+      if (execution.reason) return;
+      execution.reason = reason;
+      controller.abort(cancelError(reason));
+      for (const fn of cancellers) {
+        Promise.resolve().then(fn).catch(err => console.warn(`cancelling execution ${id} failed:`, err.message));
+      }
+    },
+    throwIfCancelled() {
+      if (execution.reason) throw cancelError(execution.reason);
+    },
+    remainingMs() {
+      return Math.max(1, execution.deadline - Date.now());
+    },
+    finish() {
+      clearTimeout(timer);
+      cancellers.clear();
+      if (running.get(key) === execution) running.delete(key);
+    }
+  };
+
+  const timer = setTimeout(() => execution.cancel('timeout'), timeoutMs);
+  running.set(key, execution);
+  return execution;
+}
+
+/**
+ * Cancel a running execution of the user. Throws execution_not_found.
+ */
+function cancelExecution(id, userId) {
+  const execution = running.get(runningKey(userId, String(id)));
+  if (!execution) throw new Error('execution_not_found');
+  execution.cancel('cancelled');
+  return { id: execution.id, cancelled: true };
+}
+
+// the user's running executions, oldest first
+function listExecutions(userId) {
+  return Array.from(running.values())
+    .filter(e => e.userId === String(userId))
+    .map(e => ({ id: e.id, source: e.source, startedAt: e.startedAt, deadline: new Date(e.deadline) }));
+}
+
+module.exports = { startExecution, cancelExecution, listExecutions, cancelError };
@@ -0,0 +1,148 @@
+// utils/jsonRecords.js
+// Turn uploaded JSON (array, NDJSON or { data: [...] } wrapper) into rows for SQLite tables.
+// In 'nested' mode nested objects become dotted columns and arrays of objects become
+// child tables linked to their parent row by generated ids.
+
+// top-level properties that commonly wrap the record array in API exports
+const WRAPPER_KEYS = ['data', 'items', 'results', 'records', 'rows'];
+
+const ID_COLUMN = '__id';
+const PARENT_ID_COLUMN = '__parent_id';
+const INDEX_COLUMN = '__index';
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// the record array inside a wrapper object, or null
+function unwrapRecords(obj) {
+  for (const key of WRAPPER_KEYS) {
+    if (Array.isArray(obj[key])) return obj[key];
+  }
+  const arrays = Object.values(obj).filter(Array.isArray);
+  return arrays.length === 1 ? arrays[0] : null;
+}
+
+/**
+ * Parse JSON file contents into a list of records.
+ * Accepts a JSON array, a single object, an object wrapping the array
+ * (e.g. { "data": [...] }) or newline-delimited JSON.
+ */
+function parseJsonRecords(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(trimmed);
+  } catch (err) {
+    const lines = trimmed.split(/\r?\n/).filter(l => l.trim());
+    if (lines.length < 2) throw err;
+    return lines.map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        throw new Error(`invalid_ndjson_line:${i + 1}`);
+      }
+    });
+  }
+
+  if (Array.isArray(parsed)) return parsed;
+  if (isPlainObject(parsed)) return unwrapRecords(parsed) || [parsed];
+  return [parsed];
+}
+
+/**
+ * Build table rows from records.
+ * mode 'flat': one table, top-level keys only (nested values are stored as JSON text).
+ * mode 'nested' (default): nested object keys are flattened into dotted columns
+ * ("address.city") and arrays of objects are exploded into child tables named
+ * <parent>_<path> with __id, __parent_id (the parent row's __id) and __index columns
+ * (suffixed _2, _3, ... when two paths map to the same name). Source keys that clash
+ * with those columns are renamed <key>_source.
+ * Arrays of scalars stay a JSON text column; empty arrays are skipped.
+ * returns [{ name, columns: [string], rows: [object] }], root table first
+ */
+function recordsToTables(records, rootTable, mode = 'nested') {
+  const objects = records.filter(isPlainObject);
+
+  if (mode === 'flat') {
+    const columns = Array.from(new Set(objects.flatMap(o => Object.keys(o))));
+    return [{ name: rootTable, columns, rows: objects }];
+  }
+
+  const tables = new Map(); // name -> { name, columns: Set, rows: [] }
+  const tableFor = (name) => {
+    if (!tables.has(name)) tables.set(name, { name, columns: new Set(), rows: [] });
+    return tables.get(name);
+  };
+
+  const flattenInto = (row, obj, prefix, children) => {
+    for (const [key, value] of Object.entries(obj)) {
+      const column = prefix ? `${prefix}.${key}` : key;
+      if (isPlainObject(value)) {
+        flattenInto(row, value, column, children);
+      } else if (Array.isArray(value) && value.length === 0) {
+        // nothing to store; also keeps [] from turning a child-table path into a column
+      } else if (Array.isArray(value) && value.every(isPlainObject)) {
+        children.push({ path: column, items: value });
+      } else {
+        row[column] = value;
+      }
+    }
+  };
+
+  // child tables are named <parent>_<path> with dots as underscores; a second path mapping
+  // to a name already in use (a.b_c vs a_b.c, A.b vs a.b) gets a numeric suffix
+  const childNames = new Map(); // parent + '\0' + path -> table name
+  const childTableName = (parent, path) => {
+    const key = `${parent}\0${path}`;
+    if (!childNames.has(key)) {
+      const base = `${parent}_${path.replace(/\./g, '_')}`;
+      // SQLite table names are case-insensitive
+      const used = new Set(Array.from(tables.keys(), n => n.toLowerCase()));
+      let name = base;
+      for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}_${n}`;
+      childNames.set(key, name);
+      tableFor(name);
+    }
+    return childNames.get(key);
+  };
+
+  const addRow = (tableName, obj, parentId, index) => {
+    const table = tableFor(tableName);
+    const id = table.rows.length + 1;
+    const row = { [ID_COLUMN]: id };
+    if (parentId !== undefined) {
+      row[PARENT_ID_COLUMN] = parentId;
+      row[INDEX_COLUMN] = index;
+    }
+    const children = [];
+    const values = {};
+    flattenInto(values, obj, '', children);
+    // a source key named like a generated column is kept as <key>_source, so it can't
+    // overwrite the ids that link parent and child rows
+    for (const [column, value] of Object.entries(values)) {
+      let name = column;
+      if (name in row) {
+        name = `${column}_source`;
+        while (name in values || name in row) name = `_${name}`;
+      }
+      row[name] = value;
+    }
+    table.rows.push(row);
+    for (const key of Object.keys(row)) table.columns.add(key);
+
+    for (const child of children) {
+      const childName = childTableName(tableName, child.path);
+      child.items.forEach((item, i) => addRow(childName, item, id, i));
+    }
+  };
+
+  tableFor(rootTable);
+  for (const obj of objects) addRow(rootTable, obj);
+
+  return Array.from(tables.values()).map(t => ({ name: t.name, columns: Array.from(t.columns), rows: t.rows }));
+}
+
+module.exports = { parseJsonRecords, recordsToTables, ID_COLUMN, PARENT_ID_COLUMN, INDEX_COLUMN };
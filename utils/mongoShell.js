@@ -0,0 +1,391 @@
+// utils/mongoShell.js
+// Parse mongo shell text such as db.orders.aggregate([...]) or
+// db.users.find({ age: { $gt: 30 } }).sort({ age: -1 }).limit(10) into the structured
+// `mongo` payload executeQuery takes. The text is tokenized and read as data only
+// (never eval'd): object/array literals with unquoted keys, single or double quoted
+// strings, regex literals and the shell helpers ObjectId, ISODate, Date, NumberInt,
+// NumberLong and NumberDecimal.
+// Structured payloads sent as JSON carry typed values as Extended JSON instead
+// ({ "$oid": ... }, { "$date": ... }); decodeExtendedJson turns those into BSON values.
+
+const { ObjectId, Long, Int32, Decimal128, BSON } = require('mongodb');
+
+// chained cursor methods that don't change the result
+const IGNORED_METHODS = new Set(['pretty', 'toArray', 'batchSize', 'readPref']);
+// aggregate() options passed on to the driver
+const AGGREGATE_OPTIONS = ['allowDiskUse', 'collation', 'hint', 'let'];
+
+function syntaxError(state, what) {
+  return new Error(`mongo_shell_syntax_error:${what} at ${state.pos}`);
+}
+
+/* -------------------- tokens -------------------- */
+
+function skipSpace(state) {
+  const { src } = state;
+  for (;;) {
+    while (state.pos < src.length && /\s/.test(src[state.pos])) state.pos++;
+    if (src.startsWith('//', state.pos)) {
+      const end = src.indexOf('\n', state.pos);
+      state.pos = end === -1 ? src.length : end + 1;
+    } else if (src.startsWith('/*', state.pos)) {
+      const end = src.indexOf('*/', state.pos + 2);
+      if (end === -1) throw syntaxError(state, 'unterminated_comment');
+      state.pos = end + 2;
+    } else {
+      return;
+    }
+  }
+}
+
+function peek(state) {
+  skipSpace(state);
+  return state.src[state.pos];
+}
+
+function expect(state, ch) {
+  if (peek(state) !== ch) throw syntaxError(state, `expected_${ch}`);
+  state.pos++;
+}
+
+function readIdentifier(state) {
+  skipSpace(state);
+  const m = /^[A-Za-z_$][\w$]*/.exec(state.src.slice(state.pos));
+  if (!m) throw syntaxError(state, 'expected_identifier');
+  state.pos += m[0].length;
+  return m[0];
+}
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+function readString(state) {
+  const quote = state.src[state.pos++];
+  let out = '';
+  while (state.pos < state.src.length) {
+    const ch = state.src[state.pos++];
+    if (ch === quote) return out;
+    if (ch === '\n') break;
+    if (ch !== '\\') {
+      out += ch;
+      continue;
+    }
+    const esc = state.src[state.pos++];
+    if (esc === 'u') {
+      const hex = state.src.slice(state.pos, state.pos + 4);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) throw syntaxError(state, 'bad_unicode_escape');
+      out += String.fromCharCode(parseInt(hex, 16));
+      state.pos += 4;
+    } else if (esc === 'x') {
+      const hex = state.src.slice(state.pos, state.pos + 2);
+      if (!/^[0-9a-fA-F]{2}$/.test(hex)) throw syntaxError(state, 'bad_hex_escape');
+      out += String.fromCharCode(parseInt(hex, 16));
+      state.pos += 2;
+    } else if (esc === '\n') {
+      // line continuation
+    } else {
+      out += ESCAPES[esc] !== undefined ? ESCAPES[esc] : esc;
+    }
+  }
+  throw syntaxError(state, 'unterminated_string');
+}
+
+function readNumber(state) {
+  const m = /^[+-]?(0[xX][0-9a-fA-F]+|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?|Infinity)/.exec(state.src.slice(state.pos));
+  if (!m) throw syntaxError(state, 'bad_number');
+  state.pos += m[0].length;
+  return Number(m[0]);
+}
+
+function readRegex(state) {
+  const { src } = state;
+  let pos = state.pos + 1;
+  let inClass = false;
+  while (pos < src.length) {
+    const ch = src[pos];
+    if (ch === '\\') pos += 2;
+    else if (ch === '\n') break;
+    else {
+      if (ch === '[') inClass = true;
+      else if (ch === ']') inClass = false;
+      else if (ch === '/' && !inClass) {
+        const pattern = src.slice(state.pos + 1, pos);
+        const flags = /^[a-z]*/.exec(src.slice(pos + 1))[0];
+        state.pos = pos + 1 + flags.length;
+        try {
+          return new RegExp(pattern, flags);
+        } catch {
+          throw syntaxError(state, 'bad_regex');
+        }
+      }
+      pos++;
+    }
+  }
+  throw syntaxError(state, 'unterminated_regex');
+}
+
+/* -------------------- values -------------------- */
+
+function readArgs(state) {
+  expect(state, '(');
+  const args = [];
+  while (peek(state) !== ')') {
+    args.push(readValue(state));
+    if (peek(state) !== ',') break;
+    state.pos++;
+  }
+  expect(state, ')');
+  return args;
+}
+
+function dateFrom(state, args) {
+  const d = args.length ? new Date(args[0]) : new Date();
+  if (isNaN(d)) throw syntaxError(state, 'bad_date');
+  return d;
+}
+
+// shell helper calls, e.g. ObjectId("..."), ISODate("..."), new Date(...)
+const HELPERS = {
+  ObjectId: (state, [hex]) => {
+    try {
+      return hex === undefined ? new ObjectId() : new ObjectId(String(hex));
+    } catch {
+      throw syntaxError(state, 'bad_objectid');
+    }
+  },
+  ISODate: dateFrom,
+  Date: dateFrom,
+  NumberInt: (state, [n]) => new Int32(Number(n)),
+  NumberLong: (state, [n]) => Long.fromString(String(n)),
+  NumberDecimal: (state, [n]) => Decimal128.fromString(String(n))
+};
+HELPERS.ObjectID = HELPERS.ObjectId;
+
+function readValue(state) {
+  const ch = peek(state);
+  if (ch === '{') return readObject(state);
+  if (ch === '[') return readArray(state);
+  if (ch === '"' || ch === "'") return readString(state);
+  if (ch === '/') return readRegex(state);
+  if (ch !== undefined && /[-+.\d]/.test(ch)) return readNumber(state);
+
+  let name = readIdentifier(state);
+  if (name === 'new') name = readIdentifier(state);
+  switch (name) {
+    case 'true': return true;
+    case 'false': return false;
+    case 'null':
+    case 'undefined': return null;
+    case 'Infinity': return Infinity;
+    case 'NaN': return NaN;
+  }
+  if (!HELPERS[name]) throw syntaxError(state, `unsupported_identifier_${name}`);
+  return HELPERS[name](state, readArgs(state));
+}
+
+function readObject(state) {
+  expect(state, '{');
+  const out = {};
+  while (peek(state) !== '}') {
+    const ch = peek(state);
+    let key;
+    if (ch === '"' || ch === "'") key = readString(state);
+    else if (ch !== undefined && /\d/.test(ch)) key = String(readNumber(state));
+    else key = readIdentifier(state);
+    expect(state, ':');
+    // defineProperty so keys like __proto__ stay plain data
+    Object.defineProperty(out, key, { value: readValue(state), enumerable: true, writable: true, configurable: true });
+    if (peek(state) !== ',') break;
+    state.pos++;
+  }
+  expect(state, '}');
+  return out;
+}
+
+function readArray(state) {
+  expect(state, '[');
+  const out = [];
+  while (peek(state) !== ']') {
+    out.push(readValue(state));
+    if (peek(state) !== ',') break;
+    state.pos++;
+  }
+  expect(state, ']');
+  return out;
+}
+
+/* -------------------- statements -------------------- */
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v) && Object.getPrototypeOf(v) === Object.prototype;
+}
+
+function objectArg(value, method) {
+  if (value === undefined || value === null) return undefined;
+  if (!isPlainObject(value)) throw new Error(`mongo_shell_invalid_argument:${method}`);
+  return value;
+}
+
+function countArg(value, method) {
+  if (!Number.isInteger(value) || value < 0) throw new Error(`mongo_shell_invalid_argument:${method}`);
+  return value;
+}
+
+// db.<collection>.<operation>(args) -> mongo payload
+function operationPayload(name, args) {
+  switch (name) {
+    case 'find':
+    case 'findOne':
+      return { operation: name, filter: objectArg(args[0], name) || {}, projection: objectArg(args[1], name) };
+    case 'aggregate': {
+      const pipeline = Array.isArray(args[0]) ? args[0] : args; // aggregate(stage, stage, ...) is legal too
+      if (!pipeline.every(isPlainObject)) throw new Error('mongo_shell_invalid_argument:aggregate');
+      const payload = { operation: 'aggregate', pipeline };
+      const opts = Array.isArray(args[0]) ? objectArg(args[1], name) : undefined;
+      if (opts) {
+        const picked = {};
+        for (const k of AGGREGATE_OPTIONS) if (opts[k] !== undefined) picked[k] = opts[k];
+        if (Object.keys(picked).length) payload.options = picked;
+      }
+      return payload;
+    }
+    case 'count':
+    case 'countDocuments':
+      return { operation: 'countDocuments', filter: objectArg(args[0], name) || {} };
+    case 'estimatedDocumentCount':
+      return { operation: 'estimatedDocumentCount' };
+    case 'distinct':
+      if (typeof args[0] !== 'string' || !args[0]) throw new Error('mongo_shell_invalid_argument:distinct');
+      return { operation: 'distinct', field: args[0], filter: objectArg(args[1], name) || {} };
+    default:
+      // writes and anything else are left for the classifier to reject
+      return { operation: name, args };
+  }
+}
+
+// .sort() / .skip() / .limit() / .project() / .count() after find()
+function applyCursorMethod(payload, name, args) {
+  if (IGNORED_METHODS.has(name)) return;
+  if (payload.operation !== 'find') {
+    throw new Error(`mongo_shell_unsupported_method:${name}`);
+  }
+  switch (name) {
+    case 'sort': payload.sort = objectArg(args[0], name); break;
+    case 'skip': payload.skip = countArg(args[0], name); break;
+    case 'limit': payload.limit = countArg(args[0], name); break;
+    case 'project':
+    case 'projection': payload.projection = objectArg(args[0], name); break;
+    case 'count':
+      payload.operation = 'countDocuments';
+      delete payload.projection;
+      break;
+    default:
+      throw new Error(`mongo_shell_unsupported_method:${name}`);
+  }
+}
+
+/**
+ * Parse mongo shell text into a structured mongo payload:
+ * { collection, database?, operation, filter?, projection?, sort?, skip?, limit?,
+ *   pipeline?, options?, field? }
+ * Accepts db.<collection>..., db.getCollection('<name>')..., db.getSiblingDB('<db>')...
+ * and, when options.collection is given, a bare filter object (find) or pipeline array
+ * (aggregate). Throws mongo_shell_* errors.
+ */
+function parseMongoShell(text, options = {}) {
+  const state = { src: String(text || '').trim().replace(/;\s*$/, ''), pos: 0 };
+  if (!state.src) throw new Error('mongo_shell_empty');
+
+  let payload;
+  const first = peek(state);
+  if (first === '{' || first === '[') {
+    if (!options.collection) throw new Error('mongo_collection_required');
+    const value = readValue(state);
+    payload = first === '{'
+      ? { collection: options.collection, ...operationPayload('find', [value]) }
+      : { collection: options.collection, ...operationPayload('aggregate', [value]) };
+  } else {
+    if (readIdentifier(state) !== 'db') throw new Error('mongo_shell_expected_db');
+    const names = [];
+    let database;
+    let collection;
+    let call = null;
+    while (!call && peek(state) !== undefined) {
+      let name;
+      if (peek(state) === '[') {
+        state.pos++;
+        if (!["'", '"'].includes(peek(state))) throw syntaxError(state, 'expected_string');
+        name = readString(state);
+        expect(state, ']');
+      } else {
+        expect(state, '.');
+        name = readIdentifier(state);
+      }
+      if (peek(state) !== '(') {
+        names.push(name);
+        continue;
+      }
+      const args = readArgs(state);
+      if (name === 'getSiblingDB' && names.length === 0 && !database && !collection) {
+        if (typeof args[0] !== 'string') throw new Error('mongo_shell_invalid_argument:getSiblingDB');
+        database = args[0];
+      } else if (name === 'getCollection' && names.length === 0 && !collection) {
+        if (typeof args[0] !== 'string') throw new Error('mongo_shell_invalid_argument:getCollection');
+        collection = args[0];
+      } else {
+        call = { name, args };
+      }
+    }
+    if (!call) throw new Error('mongo_shell_missing_operation');
+    if (!collection) collection = names.join('.');
+    else if (names.length) collection = `${collection}.${names.join('.')}`;
+    if (!collection) throw new Error('mongo_collection_required');
+
+    payload = { collection, ...operationPayload(call.name, call.args) };
+    if (database) payload.database = database;
+  }
+
+  // chained cursor methods
+  while (peek(state) === '.') {
+    state.pos++;
+    const name = readIdentifier(state);
+    applyCursorMethod(payload, name, readArgs(state));
+  }
+  if (peek(state) !== undefined) throw syntaxError(state, 'unexpected_input');
+
+  for (const k of Object.keys(payload)) if (payload[k] === undefined) delete payload[k];
+  return payload;
+}
+
+/* -------------------- Extended JSON -------------------- */
+
+// type wrappers of Extended JSON v2 (canonical and relaxed); query operators like $regex are not among them
+const EJSON_TYPE_KEYS = new Set([
+  '$oid', '$date', '$numberInt', '$numberLong', '$numberDouble', '$numberDecimal', '$binary', '$uuid',
+  '$timestamp', '$regularExpression', '$minKey', '$maxKey', '$symbol', '$dbPointer'
+]);
+
+/**
+ * Replace Extended JSON type wrappers anywhere in value with BSON values
+ * ({ "$oid": "..." } -> ObjectId, { "$date": "..." } -> Date, { "$numberDecimal": "1.5" } ->
+ * Decimal128, ...). Values that already are BSON / Date / RegExp are kept, so it is safe
+ * on payloads that came from parseMongoShell. Throws invalid_ejson:<key> for a malformed wrapper.
+ */
+function decodeExtendedJson(value) {
+  if (Array.isArray(value)) return value.map(decodeExtendedJson);
+  if (!isPlainObject(value)) return value;
+  const keys = Object.keys(value);
+  if (keys.length && EJSON_TYPE_KEYS.has(keys[0])) {
+    try {
+      return BSON.EJSON.deserialize(value, { relaxed: false });
+    } catch {
+      throw new Error(`invalid_ejson:${keys[0]}`);
+    }
+  }
+  const out = {};
+  for (const k of keys) {
+    Object.defineProperty(out, k, { value: decodeExtendedJson(value[k]), enumerable: true, writable: true, configurable: true });
+  }
+  return out;
+}
+
+module.exports = { parseMongoShell, decodeExtendedJson };
@@ -0,0 +1,192 @@
+// utils/queryParams.js
+// Bind parameters for executeQuery (payload.params): an array of positional values or an
+// object of named ones. Values are plain JSON or typed as { $type, value } with $type one
+// of PARAM_TYPES. Engines hand them to their driver's own binding mechanism; the helpers
+// here convert named :placeholders for drivers that only bind by position and substitute
+// { $param } markers in Mongo queries.
+
+const { BSON } = require('mongodb');
+
+const PARAM_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_PARAMS = 1000;
+const PARAM_TYPES = ['string', 'int', 'float', 'bool', 'date', 'json', 'objectId'];
+
+// a { $type, value } param decoded to the JS value drivers bind
+function typedValue(param, label) {
+  const { $type: type, value } = param;
+  if (!PARAM_TYPES.includes(type)) throw new Error(`invalid_param_type:${label}`);
+  if (value === null || value === undefined) return null;
+  const fail = () => { throw new Error(`invalid_param_value:${label}`); };
+  switch (type) {
+    case 'string':
+      return String(value);
+    case 'int': {
+      const n = Number(value);
+      return Number.isSafeInteger(n) ? n : fail();
+    }
+    case 'float': {
+      const n = Number(value);
+      return Number.isFinite(n) ? n : fail();
+    }
+    case 'bool':
+      if (value === true || value === 'true' || value === 1) return true;
+      if (value === false || value === 'false' || value === 0) return false;
+      return fail();
+    case 'date': {
+      const d = new Date(value);
+      return isNaN(d) ? fail() : d;
+    }
+    case 'objectId':
+      return BSON.ObjectId.isValid(String(value)) ? new BSON.ObjectId(String(value)) : fail();
+    default: // json
+      return value;
+  }
+}
+
+function paramValue(v, label) {
+  if (v && typeof v === 'object' && !Array.isArray(v) && '$type' in v) return typedValue(v, label);
+  return v === undefined ? null : v;
+}
+
+/**
+ * Validate payload.params and decode typed values.
+ * returns null (no params), { kind: 'positional', values: [...] } or
+ * { kind: 'named', values: { name: value } }
+ */
+function normalizeParams(params) {
+  if (params === undefined || params === null) return null;
+  if (Array.isArray(params)) {
+    if (params.length > MAX_PARAMS) throw new Error('too_many_params');
+    return { kind: 'positional', values: params.map((v, i) => paramValue(v, String(i + 1))) };
+  }
+  if (typeof params !== 'object') throw new Error('invalid_params');
+  const names = Object.keys(params);
+  if (names.length > MAX_PARAMS) throw new Error('too_many_params');
+  const values = {};
+  for (const name of names) {
+    if (!PARAM_NAME_RE.test(name)) throw new Error(`invalid_param_name:${name}`);
+    values[name] = paramValue(params[name], name);
+  }
+  return { kind: 'named', values };
+}
+
+/**
+ * Rewrite the :name placeholders of a SQL string, leaving string literals, quoted
+ * identifiers, comments and Postgres :: casts alone. replace(name) returns the text to
+ * put in place of the placeholder.
+ */
+function replaceNamedPlaceholders(sql, replace, dialect) {
+  const s = String(sql);
+  let out = '';
+  let i = 0;
+  while (i < s.length) {
+    const ch = s[i];
+    const next = s[i + 1];
+    let end = -1;
+    if ((ch === '-' && next === '-') || (dialect === 'mysql' && ch === '#')) {
+      end = s.indexOf('\n', i);
+      if (end === -1) end = s.length;
+    } else if (ch === '/' && next === '*') {
+      end = s.indexOf('*/', i + 2);
+      end = end === -1 ? s.length : end + 2;
+    } else if (ch === '\'' || ch === '"' || ch === '`') {
+      let j = i + 1;
+      while (j < s.length) {
+        if (s[j] === '\\' && dialect === 'mysql') { j += 2; continue; }
+        if (s[j] === ch) {
+          if (s[j + 1] === ch) { j += 2; continue; }
+          break;
+        }
+        j++;
+      }
+      end = Math.min(j + 1, s.length);
+    } else if (ch === '$') {
+      const tag = s.slice(i).match(/^\$[A-Za-z_]*\$/);
+      if (tag) {
+        end = s.indexOf(tag[0], i + tag[0].length);
+        end = end === -1 ? s.length : end + tag[0].length;
+      }
+    } else if (ch === ':' && next === ':') {
+      end = i + 2;
+    } else if (ch === ':' && !/[A-Za-z0-9_]/.test(s[i - 1] || '')) {
+      const m = s.slice(i + 1).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      if (m) {
+        out += replace(m[0]);
+        i += 1 + m[0].length;
+        continue;
+      }
+    }
+    if (end !== -1) {
+      out += s.slice(i, end);
+      i = end;
+      continue;
+    }
+    out += ch;
+    i++;
+  }
+  return out;
+}
+
+/**
+ * Bind params for drivers that only take positional values.
+ * style '$n' (pg: :name -> $1, the same name reusing its number) or '?' (mysql2, one value
+ * per occurrence). Positional params are passed through for the query's own $1 / ? marks.
+ * returns { sql, values }
+ */
+function toPositional(sql, params, style, dialect) {
+  if (!params) return { sql, values: [] };
+  if (params.kind === 'positional') return { sql, values: params.values };
+  const values = [];
+  const numbers = new Map();
+  const text = replaceNamedPlaceholders(sql, (name) => {
+    if (!(name in params.values)) throw new Error(`missing_param:${name}`);
+    if (style === '?') {
+      values.push(params.values[name]);
+      return '?';
+    }
+    if (!numbers.has(name)) {
+      values.push(params.values[name]);
+      numbers.set(name, values.length);
+    }
+    return `$${numbers.get(name)}`;
+  }, dialect);
+  return { sql: text, values };
+}
+
+/**
+ * Named params as an object, for drivers that bind by name (Neo4j, ClickHouse).
+ * engine names the driver in the error for positional params.
+ */
+function namedValues(params, engine) {
+  if (!params) return {};
+  if (params.kind !== 'named') throw new Error(`positional_params_not_supported:${engine}`);
+  return params.values;
+}
+
+/**
+ * Replace { $param: 'name' } (named) or { $param: 1 } (positional, 1-based) markers
+ * anywhere in a Mongo query with the bound values.
+ */
+function substituteMongoParams(value, params) {
+  if (Array.isArray(value)) return value.map(v => substituteMongoParams(v, params));
+  if (!value || typeof value !== 'object' || value._bsontype || value instanceof Date || value instanceof RegExp) return value;
+  const keys = Object.keys(value);
+  if (keys.length === 1 && keys[0] === '$param') {
+    const ref = value.$param;
+    if (!params) throw new Error(`missing_param:${ref}`);
+    if (params.kind === 'positional') {
+      const index = Number(ref);
+      if (!Number.isInteger(index) || index < 1 || index > params.values.length) throw new Error(`missing_param:${ref}`);
+      return params.values[index - 1];
+    }
+    if (!Object.prototype.hasOwnProperty.call(params.values, ref)) throw new Error(`missing_param:${ref}`);
+    return params.values[ref];
+  }
+  const out = {};
+  for (const k of keys) {
+    Object.defineProperty(out, k, { value: substituteMongoParams(value[k], params), enumerable: true, writable: true, configurable: true });
+  }
+  return out;
+}
+
+module.exports = { PARAM_TYPES, normalizeParams, replaceNamedPlaceholders, toPositional, namedValues, substituteMongoParams };
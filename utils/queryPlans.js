@@ -0,0 +1,392 @@
+// utils/queryPlans.js
+// Turn the native output of each engine's plan command (EXPLAIN (FORMAT JSON), EXPLAIN
+// FORMAT=JSON, EXPLAIN QUERY PLAN, explain(), EXPLAIN / PROFILE) into one plan tree shape,
+// so clients and the plan analysis prompt don't need to know every engine's format.
+//
+// plan node: {
+//   operation,       // the engine's name for the step: 'Seq Scan', 'SEARCH', 'IXSCAN', 'NodeByLabelScan'...
+//   object,          // table / collection / label read, or null
+//   index,           // index used, or null
+//   access,          // 'full_scan' | 'index' | null: how object is read
+//   estimatedRows, actualRows, cost, timeMs,   // null when the engine doesn't report them
+//   condition,       // filter / join / index condition text, or null
+//   details,         // other engine-specific figures ({ docsExamined, dbHits, ... })
+//   children: [node]
+// }
+// Children feed their parent: the root is the last step, leaves read the data.
+
+const PLAN_FORMATS = ['postgres', 'mysql', 'sqlite', 'mongodb', 'neo4j'];
+
+function planNode(fields) {
+  return {
+    operation: fields.operation || 'unknown',
+    object: fields.object || null,
+    index: fields.index || null,
+    access: fields.access || null,
+    estimatedRows: numberOrNull(fields.estimatedRows),
+    actualRows: numberOrNull(fields.actualRows),
+    cost: numberOrNull(fields.cost),
+    timeMs: numberOrNull(fields.timeMs),
+    condition: fields.condition || null,
+    details: fields.details || {},
+    children: fields.children || []
+  };
+}
+
+function numberOrNull(v) {
+  if (v === undefined || v === null || v === '') return null;
+  // Neo4j integers
+  if (typeof v === 'object' && typeof v.toNumber === 'function') return v.toNumber();
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// drop undefined values so details only lists what the engine reported
+function compact(obj) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    if (v === undefined || v === null) continue;
+    // MySQL reports figures as strings
+    const n = typeof v === 'string' || typeof v === 'object' ? numberOrNull(v) : null;
+    out[k] = n === null ? v : n;
+  }
+  return out;
+}
+
+/* -------------------- Postgres -------------------- */
+
+const PG_INDEX_SCANS = ['Index Scan', 'Index Only Scan', 'Bitmap Index Scan'];
+
+// raw: the EXPLAIN (FORMAT JSON) value, [{ Plan, Planning Time?, Execution Time? }]
+function postgresPlan(raw) {
+  const top = Array.isArray(raw) ? raw[0] : raw;
+  const walk = (p) => {
+    const analyzed = p['Actual Rows'] !== undefined;
+    const loops = p['Actual Loops'] || 1;
+    return planNode({
+      operation: [p['Join Type'], p['Node Type']].filter(Boolean).join(' '),
+      object: p['Relation Name'],
+      index: p['Index Name'],
+      access: p['Node Type'] === 'Seq Scan' ? 'full_scan' : PG_INDEX_SCANS.includes(p['Node Type']) ? 'index' : null,
+      estimatedRows: p['Plan Rows'],
+      // Postgres reports rows and time per loop
+      actualRows: analyzed ? p['Actual Rows'] * loops : null,
+      cost: p['Total Cost'],
+      timeMs: analyzed ? p['Actual Total Time'] * loops : null,
+      condition: p['Index Cond'] || p['Hash Cond'] || p['Merge Cond'] || p['Join Filter'] || p['Filter'] || p['Recheck Cond'],
+      details: compact({
+        alias: p['Alias'] !== p['Relation Name'] ? p['Alias'] : undefined,
+        sortKey: p['Sort Key'] ? p['Sort Key'].join(', ') : undefined,
+        sortMethod: p['Sort Method'],
+        groupKey: p['Group Key'] ? p['Group Key'].join(', ') : undefined,
+        rowsRemovedByFilter: p['Rows Removed by Filter'],
+        loops: analyzed ? loops : undefined,
+        sharedHitBlocks: p['Shared Hit Blocks'],
+        sharedReadBlocks: p['Shared Read Blocks']
+      }),
+      children: (p.Plans || []).map(walk)
+    });
+  };
+  const root = walk(top.Plan);
+  return {
+    root,
+    stats: compact({ planningTimeMs: top['Planning Time'], executionTimeMs: top['Execution Time'] })
+  };
+}
+
+/* -------------------- MySQL -------------------- */
+
+// steps wrapping the tables of a query block, in the order MySQL nests them
+const MYSQL_OPERATIONS = {
+  ordering_operation: 'Sort',
+  grouping_operation: 'Group',
+  duplicates_removal: 'Distinct',
+  windowing: 'Window',
+  buffer_result: 'Buffer'
+};
+
+function mysqlTable(t) {
+  // access_type 'index' reads the whole index: still every row
+  const full = t.access_type === 'ALL' || t.access_type === 'index';
+  const children = [];
+  if (t.materialized_from_subquery && t.materialized_from_subquery.query_block) {
+    children.push(mysqlBlock(t.materialized_from_subquery.query_block));
+  }
+  for (const sub of t.attached_subqueries || []) {
+    if (sub.query_block) children.push(mysqlBlock(sub.query_block));
+  }
+  return planNode({
+    operation: `Table access (${t.access_type || 'unknown'})`,
+    object: t.table_name,
+    index: t.key,
+    access: full ? 'full_scan' : t.key ? 'index' : null,
+    estimatedRows: t.rows_examined_per_scan,
+    cost: t.cost_info && t.cost_info.prefix_cost,
+    condition: t.attached_condition,
+    details: compact({
+      accessType: t.access_type,
+      possibleKeys: t.possible_keys ? t.possible_keys.join(', ') : undefined,
+      rowsProducedPerJoin: t.rows_produced_per_join,
+      filteredPct: t.filtered,
+      usingIndexOnly: t.using_index || undefined,
+      message: t.message
+    }),
+    children
+  });
+}
+
+// the steps of one query_block-like object: wrappers first, then its table(s)
+function mysqlSteps(obj) {
+  for (const [key, operation] of Object.entries(MYSQL_OPERATIONS)) {
+    if (obj[key]) {
+      const inner = obj[key];
+      return planNode({
+        operation,
+        condition: inner.using_filesort ? 'using filesort' : inner.using_temporary_table ? 'using temporary table' : null,
+        details: compact({ usingFilesort: inner.using_filesort, usingTemporaryTable: inner.using_temporary_table }),
+        children: [mysqlSteps(inner)]
+      });
+    }
+  }
+  if (obj.nested_loop) {
+    return planNode({
+      operation: 'Nested loop',
+      children: obj.nested_loop.map(entry => (entry.table ? mysqlTable(entry.table) : mysqlSteps(entry)))
+    });
+  }
+  if (obj.table) return mysqlTable(obj.table);
+  if (obj.union_result) {
+    return planNode({
+      operation: 'Union',
+      children: (obj.union_result.query_specifications || []).map(spec => mysqlBlock(spec.query_block || spec))
+    });
+  }
+  return planNode({ operation: obj.message ? 'No table' : 'Query block', condition: obj.message });
+}
+
+function mysqlBlock(block) {
+  const node = mysqlSteps(block);
+  if (node.cost === null && block.cost_info) node.cost = numberOrNull(block.cost_info.query_cost);
+  return node;
+}
+
+// raw: the parsed EXPLAIN FORMAT=JSON document ({ query_block })
+function mysqlPlan(raw) {
+  const block = raw.query_block || raw;
+  return {
+    root: mysqlBlock(block),
+    stats: compact({ queryCost: block.cost_info && block.cost_info.query_cost })
+  };
+}
+
+/* -------------------- SQLite -------------------- */
+
+const SQLITE_ACCESS_RE = /^(SCAN|SEARCH)\s+(?:TABLE\s+)?(?!CONSTANT ROW)(\S+)(?:\s+AS\s+\S+)?(?:\s+USING\s+(?:(?:AUTOMATIC\s+)?(?:PARTIAL\s+)?(?:COVERING\s+)?INDEX\s+(\S+)|(INTEGER PRIMARY KEY)))?(?:\s+\((.*)\))?/i;
+
+// raw: EXPLAIN QUERY PLAN rows [{ id, parent, notused, detail }]
+function sqlitePlan(raw) {
+  const nodes = new Map();
+  const roots = [];
+  for (const row of raw) {
+    const m = String(row.detail).match(SQLITE_ACCESS_RE);
+    const node = m
+      ? planNode({
+        operation: m[1].toUpperCase(),
+        object: m[2],
+        index: m[3] || m[4],
+        access: m[3] || m[4] ? 'index' : 'full_scan',
+        condition: m[5],
+        details: { detail: row.detail }
+      })
+      : planNode({ operation: row.detail });
+    nodes.set(row.id, node);
+    const parent = nodes.get(row.parent);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  // SQLite lists top-level steps side by side; they run in order under the query
+  const root = roots.length === 1 ? roots[0] : planNode({ operation: 'QUERY', children: roots });
+  return { root, stats: {} };
+}
+
+/* -------------------- MongoDB -------------------- */
+
+function mongoStage(stage, namespace) {
+  const collection = namespace ? namespace.slice(namespace.indexOf('.') + 1) : null;
+  const inputs = stage.inputStage ? [stage.inputStage] : stage.inputStages || [];
+  const name = stage.stage || 'unknown';
+  const reads = name === 'COLLSCAN' || name === 'IXSCAN' || name === 'COUNT_SCAN' || name === 'DISTINCT_SCAN';
+  return planNode({
+    operation: name,
+    object: reads ? collection : null,
+    index: stage.indexName,
+    access: name === 'COLLSCAN' ? 'full_scan' : stage.indexName ? 'index' : null,
+    actualRows: stage.nReturned,
+    timeMs: stage.executionTimeMillisEstimate,
+    condition: stage.filter ? JSON.stringify(stage.filter)
+      : stage.indexBounds ? JSON.stringify(stage.indexBounds)
+        : stage.sortPattern ? `sort ${JSON.stringify(stage.sortPattern)}` : null,
+    details: compact({
+      keysExamined: stage.keysExamined,
+      docsExamined: stage.docsExamined,
+      keyPattern: stage.keyPattern ? JSON.stringify(stage.keyPattern) : undefined,
+      memUsageBytes: stage.memUsage || stage.totalDataSizeSorted,
+      limitAmount: stage.limitAmount
+    }),
+    children: inputs.map(s => mongoStage(s, namespace))
+  });
+}
+
+// the query part of an explain document: executionStats stages when present, else the winning plan
+function mongoQueryPlan(explain) {
+  const planner = explain.queryPlanner || {};
+  const namespace = planner.namespace || null;
+  const stats = explain.executionStats;
+  if (stats && stats.executionStages) {
+    return { root: mongoStage(stats.executionStages, namespace), stats };
+  }
+  const winning = planner.winningPlan || {};
+  // slot-based engine plans nest the classic tree under queryPlan
+  return { root: mongoStage(winning.queryPlan || winning, namespace), stats: null };
+}
+
+// raw: the explain() document of a find / count / distinct or an aggregate
+function mongodbPlan(raw) {
+  let root;
+  let execStats = null;
+  if (Array.isArray(raw.stages)) {
+    // aggregate: the pipeline stages run in order, the first ($cursor) reads the collection
+    for (const stage of raw.stages) {
+      const name = Object.keys(stage).find(k => k.startsWith('$')) || 'stage';
+      let node;
+      if (name === '$cursor') {
+        const q = mongoQueryPlan(stage.$cursor);
+        node = q.root;
+        execStats = q.stats;
+      } else {
+        node = planNode({
+          operation: name,
+          actualRows: stage.nReturned,
+          timeMs: stage.executionTimeMillisEstimate,
+          condition: JSON.stringify(stage[name])
+        });
+      }
+      if (root) node.children.push(root);
+      root = node;
+    }
+  } else {
+    const q = mongoQueryPlan(raw);
+    root = q.root;
+    execStats = q.stats;
+  }
+  return {
+    root: root || planNode({}),
+    stats: execStats ? compact({
+      nReturned: execStats.nReturned,
+      executionTimeMs: execStats.executionTimeMillis,
+      totalKeysExamined: execStats.totalKeysExamined,
+      totalDocsExamined: execStats.totalDocsExamined
+    }) : {}
+  };
+}
+
+/* -------------------- Neo4j -------------------- */
+
+const NEO4J_FULL_SCANS = ['AllNodesScan', 'NodeByLabelScan', 'DirectedAllRelationshipsScan', 'UndirectedAllRelationshipsScan',
+  'DirectedRelationshipTypeScan', 'UndirectedRelationshipTypeScan'];
+
+// raw: the driver's summary.plan / summary.profile, or the HTTP API's plan root
+function neo4jPlan(raw) {
+  const walk = (p) => {
+    const args = p.arguments || p.args || {};
+    const operation = String(p.operatorType || 'unknown').replace(/@.*$/, '');
+    const detailText = args.Details !== undefined ? String(args.Details) : null;
+    const indexMatch = /Index/.test(operation) && detailText ? detailText.match(/:([A-Za-z0-9_`]+)\(([^)]*)\)/) : null;
+    const labelMatch = detailText ? detailText.match(/(?:^|\s)[A-Za-z0-9_`]*:([A-Za-z0-9_`]+)/) : null;
+    const scan = /Scan|Seek/.test(operation);
+    return planNode({
+      operation,
+      object: scan && labelMatch ? labelMatch[1] : null,
+      index: indexMatch ? `${indexMatch[1]}(${indexMatch[2]})` : null,
+      access: NEO4J_FULL_SCANS.includes(operation) ? 'full_scan' : /Index/.test(operation) ? 'index' : null,
+      estimatedRows: args.EstimatedRows,
+      actualRows: p.rows !== undefined ? p.rows : args.Rows,
+      timeMs: p.time !== undefined ? numberOrNull(p.time) / 1e6 : args.Time !== undefined ? numberOrNull(args.Time) / 1e6 : null, // nanoseconds
+      condition: detailText,
+      details: compact({
+        dbHits: p.dbHits !== undefined ? p.dbHits : args.DbHits,
+        pageCacheHits: p.pageCacheHits !== undefined ? p.pageCacheHits : args.PageCacheHits,
+        identifiers: p.identifiers ? p.identifiers.join(', ') : undefined
+      }),
+      children: (p.children || []).map(walk)
+    });
+  };
+  return { root: walk(raw.root || raw), stats: {} };
+}
+
+/* -------------------- shared -------------------- */
+
+const NORMALIZERS = {
+  postgres: postgresPlan,
+  mysql: mysqlPlan,
+  sqlite: sqlitePlan,
+  mongodb: mongodbPlan,
+  neo4j: neo4jPlan
+};
+
+/**
+ * Normalize a native plan.
+ * format: one of PLAN_FORMATS; raw: the plan command's output (see each normalizer)
+ * returns {
+ *   root,                       // plan node tree (see top of file)
+ *   stats,                      // whole-query figures ({ planningTimeMs, executionTimeMs }, ...)
+ *   fullScans: [object],        // tables / collections / labels read in full
+ *   indexesUsed: [index]
+ * }
+ */
+function normalizePlan(format, raw) {
+  const normalize = NORMALIZERS[format];
+  if (!normalize) throw new Error(`unsupported_plan_format:${format}`);
+  const { root, stats } = normalize(raw);
+  const fullScans = new Set();
+  const indexesUsed = new Set();
+  const visit = (node) => {
+    if (node.access === 'full_scan' && node.object) fullScans.add(node.object);
+    if (node.index) indexesUsed.add(node.index);
+    node.children.forEach(visit);
+  };
+  visit(root);
+  return { root, stats, fullScans: Array.from(fullScans), indexesUsed: Array.from(indexesUsed) };
+}
+
+/**
+ * Indented one-line-per-step rendering of a plan tree, e.g.
+ *   Sort (cost=12.5 est=100)
+ *     Seq Scan on orders [full scan] (est=1000 actual=998 time=3.2ms) filter: (total > 10)
+ */
+function formatPlanText(root) {
+  const lines = [];
+  const walk = (node, depth) => {
+    const figures = [
+      node.cost !== null ? `cost=${node.cost}` : null,
+      node.estimatedRows !== null ? `est=${node.estimatedRows}` : null,
+      node.actualRows !== null ? `actual=${node.actualRows}` : null,
+      node.timeMs !== null ? `time=${Math.round(node.timeMs * 1000) / 1000}ms` : null,
+      ...Object.entries(node.details)
+        .filter(([k, v]) => typeof v === 'number' && k !== 'loops')
+        .map(([k, v]) => `${k}=${v}`)
+    ].filter(Boolean);
+    let line = '  '.repeat(depth) + node.operation;
+    if (node.object) line += ` on ${node.object}`;
+    if (node.index) line += ` using ${node.index}`;
+    if (node.access === 'full_scan') line += ' [full scan]';
+    if (figures.length) line += ` (${figures.join(' ')})`;
+    if (node.condition) line += ` condition: ${String(node.condition).slice(0, 300)}`;
+    lines.push(line);
+    node.children.forEach(child => walk(child, depth + 1));
+  };
+  walk(root, 0);
+  return lines.join('\n');
+}
+
+module.exports = { normalizePlan, formatPlanText, PLAN_FORMATS };
@@ -1,4 +1,6 @@
 // utils/responseParser.js
+const { PARAM_TYPES } = require('./queryParams');
+
 function tryParsePossibleJsonString(s) {
   if (!s || typeof s !== 'string') return s;
   s = s.trim();
@@ -78,4 +80,53 @@ function parseLLMResponseText(possibleJsonString, rawObj) {
   return { cleanedText, sql };
 }
 
-module.exports = { parseLLMResponseText };
+/* -------------------- formatted answers -------------------- */
+
+// Pull the first fenced block out of a formatted answer: { language, query }
+function extractQueryFromResponse(text) {
+  const fence = String(text || '').match(/```([A-Za-z0-9_+-]*)[ \t]*\n([\s\S]*?)\n?```/);
+  if (!fence) return null;
+  const query = fence[2].trim();
+  if (!query || /Could not reliably extract a single query|formatting fallback/.test(query)) return null;
+  return { language: (fence[1] || 'query').toLowerCase(), query };
+}
+
+/**
+ * Parameter schema from a ```params block of a parameterized answer:
+ * [{ name, type, description, example }], or null when there is none (or it isn't valid JSON).
+ */
+function extractParamSchema(text) {
+  const fence = String(text || '').match(/```params[ \t]*\n([\s\S]*?)\n?```/i);
+  if (!fence) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(fence[1]);
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(parsed)) return null;
+  return parsed
+    .filter(p => p && typeof p.name === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(p.name))
+    .map(p => ({
+      name: p.name,
+      type: PARAM_TYPES.includes(p.type) ? p.type : 'string',
+      description: typeof p.description === 'string' ? p.description : '',
+      example: p.example === undefined ? null : p.example
+    }));
+}
+
+// index statements in the fenced blocks of a plan analysis: CREATE [UNIQUE] INDEX ... (SQL, and
+// Neo4j's CREATE INDEX ... FOR) or db.<collection>.createIndex(...) (MongoDB)
+function extractIndexSuggestions(text) {
+  const suggestions = [];
+  const fences = String(text || '').matchAll(/```[A-Za-z0-9_+-]*[ \t]*\n([\s\S]*?)\n?```/g);
+  for (const [, block] of fences) {
+    for (const part of block.split(/;[ \t]*(?:\n|$)|\n(?=\s*(?:db\.|CREATE\b))/i)) {
+      const statement = part.replace(/^\s*(?:--|\/\/).*$/gm, '').trim();
+      if (/^CREATE\s+(?:UNIQUE\s+)?(?:\w+\s+)?INDEX\b|^db\.[\s\S]*\.createIndex\s*\(/i.test(statement)) suggestions.push(statement);
+    }
+  }
+  return suggestions;
+}
+
+module.exports = { parseLLMResponseText, extractQueryFromResponse, extractParamSchema, extractIndexSuggestions };
@@ -0,0 +1,160 @@
+// utils/resultCache.js
+// In-memory cache of read query results, so re-running an identical query against an
+// unchanged source is served without touching the engine (or re-importing an upload).
+//
+// - entries are keyed by a hash of the source identity, the normalized query text and
+//   everything else that shapes the result (params, page size, offset, ...)
+// - an entry lives for the TTL it was stored with; a reader can ask for a shorter one
+// - entries carry tags (e.g. file:<id>) so a change to a source drops all of its results
+// - total size is bounded by RESULT_CACHE_MAX_BYTES / RESULT_CACHE_MAX_ENTRIES, least
+//   recently used first
+// The cache is per process.
+
+const crypto = require('crypto');
+
+const RESULT_CACHE_TTL_MS = Number(process.env.RESULT_CACHE_TTL_MS) || 5 * 60 * 1000;
+const MAX_RESULT_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const RESULT_CACHE_MAX_BYTES = Number(process.env.RESULT_CACHE_MAX_BYTES) || 64 * 1024 * 1024;
+const RESULT_CACHE_MAX_ENTRIES = Number(process.env.RESULT_CACHE_MAX_ENTRIES) || 500;
+const CACHE_MODES = ['use', 'bypass', 'refresh'];
+
+const entries = new Map(); // key -> { result, tags, size, storedAt, expiresAt }; oldest use first
+let totalBytes = 0;
+
+/* -------------------- keys -------------------- */
+
+/**
+ * Query text with insignificant differences removed: surrounding whitespace, trailing
+ * semicolons and runs of whitespace outside quoted strings / identifiers collapse to
+ * one space. Comments and letter case are kept, as they can be significant.
+ */
+function normalizeQueryText(text) {
+  const src = String(text).trim().replace(/[;\s]+$/, '');
+  let out = '';
+  let quote = null;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quote) {
+      out += ch;
+      // a backslash escape keeps us inside the literal; where it is not an escape that only
+      // means less whitespace is collapsed, never that two different queries share a key
+      if (ch === '\\' && i + 1 < src.length) out += src[++i];
+      else if (ch === quote) quote = null;
+    } else if (ch === "'" || ch === '"' || ch === '`') {
+      out += ch;
+      quote = ch;
+    } else if (/\s/.test(ch)) {
+      if (!/\s/.test(src[i + 1] || '')) out += ' ';
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+}
+
+// parts are hashed so connection strings and credentials are not kept around as map keys
+function cacheKey(parts) {
+  const identity = parts.map(v => (v === undefined ? null : v));
+  return crypto.createHash('sha256').update(JSON.stringify(identity)).digest('hex');
+}
+
+/**
+ * Validate the cache options of an executeQuery payload.
+ * payload.cache: 'use' (default) | 'bypass' | 'refresh'
+ * payload.cacheTtlMs: max age of a result to reuse, and lifetime of a stored one
+ * returns { mode, ttlMs }
+ */
+function cacheOptions(payload) {
+  const mode = payload.cache === undefined || payload.cache === null ? 'use' : payload.cache;
+  if (!CACHE_MODES.includes(mode)) throw new Error('invalid_cache');
+  let ttlMs = RESULT_CACHE_TTL_MS;
+  if (payload.cacheTtlMs !== undefined && payload.cacheTtlMs !== null) {
+    ttlMs = Number(payload.cacheTtlMs);
+    if (!Number.isFinite(ttlMs) || ttlMs <= 0) throw new Error('invalid_cacheTtlMs');
+    ttlMs = Math.min(ttlMs, MAX_RESULT_CACHE_TTL_MS);
+  }
+  return { mode, ttlMs };
+}
+
+/* -------------------- entries -------------------- */
+
+function removeEntry(key) {
+  const entry = entries.get(key);
+  if (!entry) return;
+  entries.delete(key);
+  totalBytes -= entry.size;
+}
+
+/**
+ * The cached result for key if it is at most maxAgeMs old.
+ * returns { result, storedAt, expiresAt, ageMs } or null
+ */
+function getCachedResult(key, maxAgeMs = RESULT_CACHE_TTL_MS) {
+  const entry = entries.get(key);
+  if (!entry) return null;
+  const now = Date.now();
+  if (now >= entry.expiresAt) {
+    removeEntry(key);
+    return null;
+  }
+  const ageMs = now - entry.storedAt;
+  if (ageMs > maxAgeMs) return null;
+  // mark as most recently used
+  entries.delete(key);
+  entries.set(key, entry);
+  return { result: entry.result, storedAt: new Date(entry.storedAt), expiresAt: new Date(entry.expiresAt), ageMs };
+}
+
+/**
+ * Store a result under key for ttlMs. tags: strings to invalidate it by.
+ * Results larger than a quarter of the cache are not kept.
+ * returns whether the result was stored
+ */
+function setCachedResult(key, result, { ttlMs = RESULT_CACHE_TTL_MS, tags = [] } = {}) {
+  removeEntry(key);
+  let size;
+  try {
+    size = Buffer.byteLength(JSON.stringify(result));
+  } catch {
+    return false; // not serializable (BigInt, cycles): not worth special-casing
+  }
+  if (size > RESULT_CACHE_MAX_BYTES / 4) return false;
+
+  for (const oldest of entries.keys()) {
+    if (totalBytes + size <= RESULT_CACHE_MAX_BYTES && entries.size < RESULT_CACHE_MAX_ENTRIES) break;
+    removeEntry(oldest);
+  }
+  const storedAt = Date.now();
+  entries.set(key, { result, tags: new Set(tags), size, storedAt, expiresAt: storedAt + ttlMs });
+  totalBytes += size;
+  return true;
+}
+
+// drop every result carrying tag; returns how many were dropped
+function invalidateCachedResults(tag) {
+  let dropped = 0;
+  for (const [key, entry] of entries) {
+    if (entry.tags.has(tag)) {
+      removeEntry(key);
+      dropped++;
+    }
+  }
+  return dropped;
+}
+
+function clearResultCache() {
+  entries.clear();
+  totalBytes = 0;
+}
+
+module.exports = {
+  normalizeQueryText,
+  cacheKey,
+  cacheOptions,
+  getCachedResult,
+  setCachedResult,
+  invalidateCachedResults,
+  clearResultCache,
+  CACHE_MODES,
+  RESULT_CACHE_TTL_MS
+};
@@ -0,0 +1,216 @@
+// utils/resultExport.js
+// Writers that turn streamed query rows into downloadable CSV, NDJSON, XLSX or Parquet.
+// Each writer is fed columns once, then rows one at a time, and writes to a
+// writable stream (the HTTP response) as it goes.
+
+const ExcelJS = require('exceljs');
+const parquet = require('@dsnp/parquetjs');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', ext: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', ext: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ext: 'xlsx' },
+  parquet: { contentType: 'application/vnd.apache.parquet', ext: 'parquet' }
+};
+
+// rows sampled to pick Parquet column types before the schema is written
+const PARQUET_TYPE_SAMPLE = 1000;
+
+/**
+ * Content-Disposition value for a download; non-ASCII names get an RFC 5987 filename*.
+ */
+function contentDisposition(filename) {
+  const ascii = String(filename).replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * Download file name: the requested name (path parts and odd characters stripped)
+ * or export-<timestamp>, with the format's extension.
+ */
+function exportFilename(requested, format) {
+  const { ext } = EXPORT_FORMATS[format];
+  let base = String(requested || '').split(/[\\/]/).pop().replace(/[\x00-\x1f<>:"|?*]+/g, '_').trim();
+  base = base.replace(new RegExp(`\\.${ext}$`, 'i'), '');
+  if (!base) base = `export-${new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '')}`;
+  return `${base.slice(0, 120)}.${ext}`;
+}
+
+// text form of a cell for CSV / XLSX / Parquet string columns
+function plainValue(v) {
+  if (v === null || v === undefined) return null;
+  if (v instanceof Date) return isNaN(v) ? null : v.toISOString();
+  if (typeof v === 'bigint') return v.toString();
+  if (Buffer.isBuffer(v)) return v.toString('base64');
+  if (typeof v === 'object') return JSON.stringify(v);
+  return v;
+}
+
+// resolves once the stream can take more data (or is gone)
+function write(out, chunk) {
+  if (out.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      out.off('drain', done);
+      out.off('close', done);
+      resolve();
+    };
+    out.on('drain', done);
+    out.on('close', done);
+  });
+}
+
+/* -------------------- CSV / NDJSON -------------------- */
+
+function csvField(v) {
+  const s = plainValue(v);
+  if (s === null) return '';
+  const text = String(s);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function createCsvWriter(out) {
+  let columns = [];
+  return {
+    async setColumns(cols) {
+      columns = cols;
+      await write(out, columns.map(csvField).join(',') + '\r\n');
+    },
+    async writeRow(row) {
+      await write(out, columns.map(c => csvField(row[c])).join(',') + '\r\n');
+    },
+    async end() {
+      out.end();
+    }
+  };
+}
+
+function createNdjsonWriter(out) {
+  return {
+    async setColumns() {},
+    async writeRow(row) {
+      await write(out, JSON.stringify(row, (k, v) => (typeof v === 'bigint' ? v.toString() : v)) + '\n');
+    },
+    async end() {
+      out.end();
+    }
+  };
+}
+
+/* -------------------- XLSX -------------------- */
+
+function xlsxValue(v) {
+  if (v instanceof Date || typeof v === 'number' || typeof v === 'boolean') return v;
+  return plainValue(v);
+}
+
+function createXlsxWriter(out) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Results');
+  let columns = [];
+  return {
+    async setColumns(cols) {
+      columns = cols;
+      sheet.addRow(columns).commit();
+    },
+    async writeRow(row) {
+      sheet.addRow(columns.map(c => xlsxValue(row[c]))).commit();
+    },
+    async end() {
+      sheet.commit();
+      await workbook.commit(); // ends the stream
+    }
+  };
+}
+
+/* -------------------- Parquet -------------------- */
+
+// Parquet type for a column from sampled values: DOUBLE, BOOLEAN, TIMESTAMP_MILLIS or UTF8
+function parquetType(values) {
+  const present = values.filter(v => v !== null && v !== undefined);
+  if (present.length === 0) return 'UTF8';
+  if (present.every(v => typeof v === 'number' && Number.isFinite(v))) return 'DOUBLE';
+  if (present.every(v => typeof v === 'boolean')) return 'BOOLEAN';
+  if (present.every(v => v instanceof Date && !isNaN(v))) return 'TIMESTAMP_MILLIS';
+  return 'UTF8';
+}
+
+// value converted to the column's type; values that don't fit are written as null
+function parquetValue(v, type) {
+  if (v === null || v === undefined) return null;
+  switch (type) {
+    case 'DOUBLE': {
+      const n = typeof v === 'bigint' ? Number(v) : v;
+      return typeof n === 'number' && Number.isFinite(n) ? n : null;
+    }
+    case 'BOOLEAN':
+      return typeof v === 'boolean' ? v : null;
+    case 'TIMESTAMP_MILLIS':
+      return v instanceof Date && !isNaN(v) ? v : null;
+    default:
+      return String(plainValue(v));
+  }
+}
+
+/**
+ * Parquet needs its schema up front, so the first rows are held back until the
+ * column types are known (PARQUET_TYPE_SAMPLE rows or the end of the result).
+ */
+function createParquetWriter(out) {
+  let columns = [];
+  let types = null;
+  let writer = null;
+  let pending = [];
+
+  const open = async () => {
+    types = {};
+    const fields = {};
+    columns.forEach((c) => {
+      types[c] = parquetType(pending.map(r => r[c]));
+      fields[c] = { type: types[c], optional: true };
+    });
+    writer = await parquet.ParquetWriter.openStream(new parquet.ParquetSchema(fields), out);
+    for (const row of pending) await append(row);
+    pending = null;
+  };
+
+  const append = (row) => {
+    const record = {};
+    for (const c of columns) {
+      const v = parquetValue(row[c], types[c]);
+      if (v !== null) record[c] = v;
+    }
+    return writer.appendRow(record);
+  };
+
+  return {
+    async setColumns(cols) {
+      columns = cols;
+    },
+    async writeRow(row) {
+      if (writer) return append(row);
+      pending.push(row);
+      if (pending.length >= PARQUET_TYPE_SAMPLE) await open();
+    },
+    async end() {
+      if (!writer) await open();
+      await writer.close(); // writes the footer and ends the stream
+    }
+  };
+}
+
+/**
+ * Writer for one of EXPORT_FORMATS, writing to out.
+ * returns { setColumns(columns), writeRow(row), end() } (all async)
+ */
+function createExportWriter(format, out) {
+  switch (format) {
+    case 'csv': return createCsvWriter(out);
+    case 'ndjson': return createNdjsonWriter(out);
+    case 'xlsx': return createXlsxWriter(out);
+    case 'parquet': return createParquetWriter(out);
+    default: throw new Error('invalid_format');
+  }
+}
+
+module.exports = { EXPORT_FORMATS, contentDisposition, exportFilename, createExportWriter };
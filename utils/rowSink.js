@@ -0,0 +1,61 @@
+// utils/rowSink.js
+// Row collection shared by the query engines: paging, streaming and column tracking.
+
+const CURSOR_BATCH_SIZE = 500; // rows fetched per round trip from server-side cursors
+
+/**
+ * Collects rows read from an engine cursor: skips options.offset rows, keeps up to
+ * maxRows (or hands them to options.onRow when streaming) and records whether more
+ * rows were available. push() resolves false once the page is full, so the caller
+ * stops reading instead of pulling the whole result into memory.
+ * With options.unionColumns (schemaless sources) the result's columns collect the keys
+ * of every kept row; onColumns still fires once, with the first row's keys.
+ */
+function createRowSink(maxRows, options = {}) {
+  const offset = options.offset || 0;
+  const rows = [];
+  let skipped = 0;
+  let taken = 0;
+  let truncated = false;
+  let columns = null;
+  let seen = null;
+
+  const setColumns = (cols) => {
+    if (columns) return;
+    seen = new Set(cols);
+    columns = Array.from(seen);
+    if (options.onColumns) options.onColumns(columns.slice());
+  };
+
+  return {
+    setColumns,
+    async push(row) {
+      if (skipped < offset) {
+        skipped++;
+        return true;
+      }
+      if (taken >= maxRows) {
+        truncated = true;
+        return false;
+      }
+      if (!columns) setColumns(Object.keys(row));
+      else if (options.unionColumns) {
+        for (const key of Object.keys(row)) {
+          if (!seen.has(key)) {
+            seen.add(key);
+            columns.push(key);
+          }
+        }
+      }
+      taken++;
+      if (options.onRow) await options.onRow(row);
+      else rows.push(row);
+      return true;
+    },
+    result(source, extra = {}) {
+      return { source, rows, columns: columns || [], rowCount: taken, truncated, ...extra };
+    }
+  };
+}
+
+module.exports = { createRowSink, CURSOR_BATCH_SIZE };
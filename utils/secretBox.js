@@ -0,0 +1,45 @@
+// utils/secretBox.js
+// AES-256-GCM helpers for secrets stored at rest (e.g. saved connection credentials).
+// The key comes from CONNECTIONS_SECRET alone: falling back to another secret (or a
+// default) would leave stored credentials readable, or unreadable once that secret rotates.
+const crypto = require('crypto');
+
+let KEY = null;
+
+// throws connections_secret_missing when CONNECTIONS_SECRET is not set
+function assertSecretConfigured() {
+  if (!process.env.CONNECTIONS_SECRET) throw new Error('connections_secret_missing');
+}
+
+function key() {
+  if (!KEY) {
+    assertSecretConfigured();
+    KEY = crypto.createHash('sha256').update(process.env.CONNECTIONS_SECRET).digest(); // 32 bytes
+  }
+  return KEY;
+}
+
+/**
+ * Encrypt any JSON-serializable value.
+ * returns { iv, tag, data } as base64 strings
+ */
+function encryptJSON(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decryptJSON(box) {
+  if (!box || !box.iv || !box.tag || !box.data) throw new Error('secret_missing');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key(), Buffer.from(box.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(box.tag, 'base64'));
+  const plain = Buffer.concat([decipher.update(Buffer.from(box.data, 'base64')), decipher.final()]);
+  return JSON.parse(plain.toString('utf8'));
+}
+
+module.exports = { encryptJSON, decryptJSON, assertSecretConfigured };
@@ -0,0 +1,78 @@
+// utils/sqliteWorker.js
+// Child process running one SQLite statement for dbController.runSqliteStatement.
+// better-sqlite3 is synchronous and has no binding for sqlite3_interrupt, so a long step
+// (a big sort or join before the first row) would block the event loop. A worker thread
+// doesn't help there: terminate() only takes effect once the native step returns. In a
+// child process the parent stays free and can stop the statement at any point by killing it.
+//
+// The parent (forked with serialization: 'advanced') sends
+//   { type: 'start', path, dbOptions, query, bind, batchSize }, then { type: 'next' } per batch
+// and gets back:
+//   { type: 'columns', columns }        - a reader statement is ready; rows follow on request
+//   { type: 'rows', rows, done }        - at most batchSize rows
+//   { type: 'done', affectedRows }      - a statement that returns no rows has run
+//   { type: 'error', message, code }
+
+const Database = require('better-sqlite3');
+
+let db = null;
+let rows = null;
+let batchSize = 500;
+
+// structured cloning turns Buffers into Uint8Arrays; SQLite only binds Buffers as blobs
+function bindValue(v) {
+  return v instanceof Uint8Array && !Buffer.isBuffer(v) ? Buffer.from(v.buffer, v.byteOffset, v.byteLength) : v;
+}
+
+function bindArgs(bind) {
+  return bind.map(arg => {
+    if (!arg || typeof arg !== 'object' || arg instanceof Uint8Array) return bindValue(arg);
+    const values = {};
+    for (const [name, v] of Object.entries(arg)) values[name] = bindValue(v);
+    return values;
+  });
+}
+
+function start(msg) {
+  batchSize = msg.batchSize || batchSize;
+  db = new Database(msg.path, msg.dbOptions);
+  const stmt = db.prepare(msg.query);
+  const args = bindArgs(msg.bind || []);
+  if (!stmt.reader) {
+    const info = stmt.run(...args);
+    process.send({ type: 'done', affectedRows: info.changes });
+    return;
+  }
+  rows = stmt.iterate(...args);
+  process.send({ type: 'columns', columns: stmt.columns().map(c => c.name) });
+}
+
+function next() {
+  const batch = [];
+  let done = false;
+  while (batch.length < batchSize) {
+    const step = rows.next();
+    if (step.done) {
+      done = true;
+      break;
+    }
+    batch.push(step.value);
+  }
+  process.send({ type: 'rows', rows: batch, done });
+}
+
+process.on('message', (msg) => {
+  try {
+    if (msg.type === 'start') start(msg);
+    else if (msg.type === 'next' && rows) next();
+  } catch (err) {
+    process.send({ type: 'error', message: err.message, code: err.code });
+  }
+});
+
+// the parent is done with the statement (or gone)
+process.on('disconnect', () => {
+  if (rows) rows.return();
+  if (db) db.close();
+  process.exit(0);
+});
@@ -0,0 +1,226 @@
+// utils/statementClassifier.js
+// Classify SQL / Cypher / Mongo / Redis queries as reads or writes before they reach a database.
+// This is a gate in front of the engine-level read-only sessions, not a full parser:
+// when unsure it errs towards "write".
+
+const SQL_READ_KEYWORDS = new Set(['SELECT', 'WITH', 'VALUES', 'TABLE', 'SHOW', 'DESCRIBE', 'DESC', 'EXPLAIN', 'PRAGMA']);
+const SQL_DML_KEYWORDS = new Set(['INSERT', 'UPDATE', 'DELETE', 'MERGE', 'REPLACE', 'UPSERT']);
+const SQL_DDL_KEYWORDS = new Set(['CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'RENAME', 'COMMENT', 'GRANT', 'REVOKE']);
+// SQLite pragmas whose function-call form only reads
+const SQLITE_READ_PRAGMAS = new Set([
+  'table_info', 'table_xinfo', 'table_list', 'index_list', 'index_info', 'index_xinfo',
+  'foreign_key_list', 'database_list', 'collation_list', 'function_list', 'pragma_list'
+]);
+// T-SQL runs every statement of a batch, with or without ; between them, so in a read any of
+// these after the leading keyword starts a second statement (COMMIT would also end the
+// transaction that rolls a read back)
+const MSSQL_STATEMENT_KEYWORDS = /\b(COMMIT|ROLLBACK|SAVE|BEGIN|EXEC|EXECUTE|INSERT|UPDATE|DELETE|MERGE|DROP|ALTER|CREATE|TRUNCATE|GRANT|REVOKE|DENY|SET|USE|DBCC|KILL|SHUTDOWN|RECONFIGURE|CHECKPOINT)\b/i;
+
+/**
+ * Blank out string literals, quoted identifiers and comments so keyword checks
+ * only see statement structure. Literals are kept as '' so token boundaries survive.
+ * dialect 'mysql' (also used for MariaDB) additionally treats # as a line comment and keeps
+ * the body of executable /*! comments, 'cypher' treats //.
+ * 'mssql' blanks [bracketed] identifiers.
+ */
+function stripSqlLiterals(sql, dialect) {
+  const s = String(sql || '');
+  let out = '';
+  let i = 0;
+  while (i < s.length) {
+    const ch = s[i];
+    const next = s[i + 1];
+
+    if ((ch === '-' && next === '-') || (dialect === 'mysql' && ch === '#') || (dialect === 'cypher' && ch === '/' && next === '/')) {
+      const end = s.indexOf('\n', i);
+      i = end === -1 ? s.length : end;
+      out += ' ';
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      const end = s.indexOf('*/', i + 2);
+      const executable = dialect === 'mysql' && s.slice(i + 2).match(/^M?!\d*/);
+      // MySQL runs the body of a /*! comment (MariaDB also of /*M!), so it is classified too
+      if (executable) out += ` ${stripSqlLiterals(s.slice(i + 2 + executable[0].length, end === -1 ? s.length : end), dialect)} `;
+      else out += ' ';
+      i = end === -1 ? s.length : end + 2;
+      continue;
+    }
+    if (dialect === 'mssql' && ch === '[') {
+      let end = s.indexOf(']', i + 1);
+      while (end !== -1 && s[end + 1] === ']') end = s.indexOf(']', end + 2); // ]] escape
+      i = end === -1 ? s.length : end + 1;
+      out += ' x ';
+      continue;
+    }
+    if (ch === '\'' || ch === '"' || ch === '`') {
+      let j = i + 1;
+      while (j < s.length) {
+        if (s[j] === '\\' && dialect === 'mysql') { j += 2; continue; }
+        if (s[j] === ch) {
+          if (s[j + 1] === ch) { j += 2; continue; } // doubled quote escape
+          break;
+        }
+        j++;
+      }
+      i = j + 1;
+      out += ch === '\'' ? "''" : ' x ';
+      continue;
+    }
+    // Postgres dollar quoting: $$...$$ or $tag$...$tag$
+    if (ch === '$') {
+      const tag = s.slice(i).match(/^\$[A-Za-z_]*\$/);
+      if (tag) {
+        const end = s.indexOf(tag[0], i + tag[0].length);
+        i = end === -1 ? s.length : end + tag[0].length;
+        out += "''";
+        continue;
+      }
+    }
+    out += ch;
+    i++;
+  }
+  return out;
+}
+
+function classifySqlStatement(stmt) {
+  const text = stmt.trim().replace(/^\(+\s*/, '');
+  const keyword = (text.match(/^[A-Za-z]+/) || [''])[0].toUpperCase();
+
+  if (SQL_DML_KEYWORDS.has(keyword)) return { type: 'dml', keyword };
+  if (SQL_DDL_KEYWORDS.has(keyword)) return { type: 'ddl', keyword };
+  if (!SQL_READ_KEYWORDS.has(keyword)) return { type: 'other', keyword };
+
+  if (keyword === 'WITH' && /\b(INSERT|UPDATE|DELETE|MERGE)\b/i.test(text)) {
+    // data-modifying CTE (Postgres)
+    return { type: 'dml', keyword };
+  }
+  if ((keyword === 'SELECT' || keyword === 'WITH') && /\bINTO\b/i.test(text)) {
+    // SELECT ... INTO creates a table (Postgres) or writes a file (MySQL OUTFILE/DUMPFILE)
+    return { type: 'other', keyword };
+  }
+  if (keyword === 'PRAGMA' && /=|\(/.test(text)) {
+    // PRAGMA name = value / PRAGMA name(value) changes settings, except the introspection pragmas
+    const name = (text.match(/^PRAGMA\s+(?:\w+\.)?(\w+)\s*\(/i) || [])[1];
+    if (!name || !SQLITE_READ_PRAGMAS.has(name.toLowerCase())) return { type: 'other', keyword };
+  }
+  if (keyword === 'EXPLAIN' && /\bANALY[SZ]E\b/i.test(text)) {
+    // EXPLAIN ANALYZE actually runs the statement
+    const inner = text.replace(/^EXPLAIN\s*(\([^)]*\))?\s*(ANALY[SZ]E\s*)?(VERBOSE\s*)?/i, '');
+    const innerType = classifySqlStatement(inner);
+    if (innerType.type !== 'select') return { type: innerType.type, keyword };
+  }
+  return { type: 'select', keyword };
+}
+
+/**
+ * Classify a SQL string (dialect as for stripSqlLiterals).
+ * returns { type: 'select'|'dml'|'ddl'|'other'|'multi'|'empty', statements: [{ type, keyword }], readOnly }
+ */
+function classifySql(sql, dialect) {
+  const stripped = stripSqlLiterals(sql, dialect);
+  const statements = stripped
+    .split(';')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(classifySqlStatement);
+
+  if (statements.length === 0) return { type: 'empty', statements, readOnly: false };
+  if (statements.length > 1) return { type: 'multi', statements, readOnly: false };
+  if (dialect === 'mssql' && statements[0].type === 'select') {
+    const second = stripped.trim().replace(/^\(*\s*[A-Za-z]+/, '').match(MSSQL_STATEMENT_KEYWORDS);
+    if (second) return { type: 'multi', statements: [statements[0], { type: 'other', keyword: second[1].toUpperCase() }], readOnly: false };
+  }
+  return { type: statements[0].type, statements, readOnly: statements[0].type === 'select' };
+}
+
+const CYPHER_WRITE_CLAUSES = /\b(CREATE|MERGE|DELETE|DETACH|SET|REMOVE|DROP|FOREACH|LOAD\s+CSV|IN\s+TRANSACTIONS)\b/i;
+const CYPHER_WRITE_PROCEDURES = /\bCALL\s+(apoc\.(create|merge|refactor|periodic|do|cypher\.do|load|import|export|trigger|schema|nodes\.delete|atomic)|db\.(create|index\.fulltext\.create|clearQueryCaches)|dbms\.|gds\.[\w.]*\.(write|mutate))/i;
+
+/**
+ * Classify a Cypher string.
+ * returns { type: 'read'|'write'|'empty', keyword, readOnly }
+ */
+function classifyCypher(cypher) {
+  const stripped = stripSqlLiterals(cypher, 'cypher');
+  if (!stripped.trim()) return { type: 'empty', keyword: null, readOnly: false };
+
+  const clause = stripped.match(CYPHER_WRITE_CLAUSES);
+  if (clause) return { type: 'write', keyword: clause[1].toUpperCase().replace(/\s+/g, ' '), readOnly: false };
+  const proc = stripped.match(CYPHER_WRITE_PROCEDURES);
+  if (proc) return { type: 'write', keyword: 'CALL', readOnly: false };
+  return { type: 'read', keyword: null, readOnly: true };
+}
+
+const MONGO_READ_OPERATIONS = new Set(['find', 'findOne', 'aggregate', 'countDocuments', 'estimatedDocumentCount', 'count', 'distinct']);
+
+// operators that run JavaScript on the server
+const MONGO_JS_OPERATORS = new Set(['$where', '$function', '$accumulator']);
+
+// server-side JavaScript operators used anywhere in a filter / pipeline / projection / options
+function findMongoJsOperators(value, found = new Set()) {
+  if (Array.isArray(value)) {
+    for (const v of value) findMongoJsOperators(v, found);
+  } else if (value && typeof value === 'object' && !value._bsontype) {
+    for (const [k, v] of Object.entries(value)) {
+      if (MONGO_JS_OPERATORS.has(k)) found.add(k);
+      findMongoJsOperators(v, found);
+    }
+  }
+  return found;
+}
+
+/**
+ * Classify a structured mongo payload ({ collection, operation?, pipeline?, ... }).
+ * Unknown operations and pipelines containing $out / $merge count as writes.
+ * jsOperators lists $where / $function / $accumulator uses, which callers reject
+ * unless server-side JavaScript was allowed explicitly.
+ * returns { type: 'read'|'write', operation, readOnly, jsOperators: [op...] }
+ */
+function classifyMongo(mongo = {}) {
+  const operation = mongo.operation || (Array.isArray(mongo.pipeline) ? 'aggregate' : 'find');
+  // options are scanned too: aggregate() evaluates `let` variables as expressions
+  const jsOperators = Array.from(findMongoJsOperators([mongo.filter, mongo.projection, mongo.pipeline, mongo.options]));
+  if (!MONGO_READ_OPERATIONS.has(operation)) return { type: 'write', operation, readOnly: false, jsOperators };
+
+  if (operation === 'aggregate') {
+    const stages = Array.isArray(mongo.pipeline) ? mongo.pipeline : [];
+    const writes = stages.some(st => st && typeof st === 'object' && ('$out' in st || '$merge' in st));
+    if (writes) return { type: 'write', operation, readOnly: false, jsOperators };
+  }
+  return { type: 'read', operation, readOnly: true, jsOperators };
+}
+
+// Redis commands that only read data (keyspace, strings, hashes, lists, sets, sorted sets,
+// streams, HyperLogLog, geo, JSON); anything else is a write or admin command
+const REDIS_READ_COMMANDS = new Set([
+  'GET', 'MGET', 'GETRANGE', 'STRLEN', 'EXISTS', 'TYPE', 'TTL', 'PTTL', 'EXPIRETIME', 'PEXPIRETIME',
+  'KEYS', 'SCAN', 'RANDOMKEY', 'DBSIZE', 'OBJECT', 'MEMORY', 'DUMP', 'LCS',
+  'HGET', 'HMGET', 'HGETALL', 'HKEYS', 'HVALS', 'HLEN', 'HEXISTS', 'HSTRLEN', 'HSCAN', 'HRANDFIELD',
+  'LRANGE', 'LINDEX', 'LLEN', 'LPOS',
+  'SMEMBERS', 'SISMEMBER', 'SMISMEMBER', 'SCARD', 'SSCAN', 'SRANDMEMBER', 'SINTER', 'SINTERCARD', 'SUNION', 'SDIFF',
+  'ZRANGE', 'ZREVRANGE', 'ZRANGEBYSCORE', 'ZREVRANGEBYSCORE', 'ZRANGEBYLEX', 'ZREVRANGEBYLEX', 'ZSCORE', 'ZMSCORE',
+  'ZRANK', 'ZREVRANK', 'ZCARD', 'ZCOUNT', 'ZLEXCOUNT', 'ZSCAN', 'ZRANDMEMBER', 'ZINTER', 'ZUNION', 'ZDIFF', 'ZINTERCARD',
+  'XRANGE', 'XREVRANGE', 'XLEN', 'XINFO',
+  'PFCOUNT', 'GETBIT', 'BITCOUNT', 'BITPOS',
+  'GEOPOS', 'GEODIST', 'GEOHASH', 'GEOSEARCH',
+  'JSON.GET', 'JSON.MGET', 'JSON.TYPE', 'JSON.STRLEN', 'JSON.ARRLEN', 'JSON.OBJKEYS', 'JSON.OBJLEN'
+]);
+// subcommands of OBJECT / MEMORY / XINFO that only read
+const REDIS_READ_SUBCOMMANDS = new Set(['ENCODING', 'FREQ', 'IDLETIME', 'REFCOUNT', 'USAGE', 'STREAM', 'GROUPS', 'CONSUMERS']);
+
+/**
+ * Classify one Redis command given as its argument list (['HGETALL', 'user:1']).
+ * returns { type: 'read'|'write'|'empty', command, readOnly }
+ */
+function classifyRedis(args = []) {
+  if (!args.length) return { type: 'empty', command: null, readOnly: false };
+  const command = String(args[0]).toUpperCase();
+  let read = REDIS_READ_COMMANDS.has(command);
+  if (read && ['OBJECT', 'MEMORY', 'XINFO'].includes(command)) {
+    read = REDIS_READ_SUBCOMMANDS.has(String(args[1] || '').toUpperCase());
+  }
+  return { type: read ? 'read' : 'write', command, readOnly: read };
+}
+
+module.exports = { classifySql, classifyCypher, classifyMongo, classifyRedis, stripSqlLiterals };
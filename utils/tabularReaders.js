@@ -0,0 +1,180 @@
+// utils/tabularReaders.js
+// Readers for Excel workbooks, Parquet files and zipped bundles. Each produces
+// tables shaped { name, columns: [string], rows: [object] } for the SQLite import.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const AdmZip = require('adm-zip');
+const parquet = require('@dsnp/parquetjs');
+
+const MAX_ZIP_ENTRIES = 200;
+// real bytes inflated across all entries (headers can lie about sizes)
+const MAX_ZIP_UNCOMPRESSED_BYTES = Number(process.env.ZIP_MAX_UNCOMPRESSED_BYTES) || 256 * 1024 * 1024;
+
+/**
+ * SQL-friendly table name for a sheet or bundled file ("Sales 2024" -> "sales_2024"),
+ * made unique against `taken` (which it updates).
+ */
+function tableNameFrom(name, taken = new Set()) {
+  let base = String(name || '').toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'table';
+  if (/^\d/.test(base)) base = `t_${base}`;
+  let candidate = base;
+  for (let n = 2; taken.has(candidate); n++) candidate = `${base}_${n}`;
+  taken.add(candidate);
+  return candidate;
+}
+
+// unique, non-empty column names from a header row
+function headerNames(values) {
+  const taken = new Set();
+  return values.map((v, i) => {
+    const base = v === null || v === undefined || String(v).trim() === '' ? `column_${i + 1}` : String(v).trim();
+    let name = base;
+    for (let n = 2; taken.has(name); n++) name = `${base}_${n}`;
+    taken.add(name);
+    return name;
+  });
+}
+
+/* -------------------- Excel -------------------- */
+
+// plain value of an ExcelJS cell (formulas, rich text, hyperlinks, dates)
+function cellValue(v) {
+  if (v === null || v === undefined) return null;
+  if (v instanceof Date) {
+    // date-only cells come back as midnight UTC
+    const iso = v.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  if (typeof v !== 'object') return v;
+  if ('error' in v) return null;
+  if ('result' in v) return cellValue(v.result);
+  if (Array.isArray(v.richText)) return v.richText.map(t => t.text).join('');
+  if ('text' in v) return cellValue(v.text);
+  return null;
+}
+
+/**
+ * Read every non-empty sheet of an .xlsx workbook as a table. The first non-empty
+ * row is the header. Table names come from sheet names, prefixed when given.
+ * options: { prefix?, taken?: Set of used table names, limit?: rows per sheet }
+ */
+async function readXlsxTables(filePath, options = {}) {
+  const { prefix, taken = new Set(), limit } = options;
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+
+  const tables = [];
+  workbook.eachSheet((sheet) => {
+    let columns = null;
+    const rows = [];
+    sheet.eachRow((row) => {
+      if (limit && rows.length >= limit) return;
+      const values = Array.from(row.values.slice(1), cellValue); // row.values is 1-based
+      if (!columns) {
+        columns = headerNames(values);
+        return;
+      }
+      for (let i = columns.length; i < values.length; i++) columns.push(`column_${i + 1}`);
+      const obj = {};
+      columns.forEach((c, i) => { obj[c] = values[i] === undefined ? null : values[i]; });
+      rows.push(obj);
+    });
+    if (!columns) return;
+    tables.push({ name: tableNameFrom(prefix ? `${prefix}_${sheet.name}` : sheet.name, taken), columns, rows });
+  });
+  return tables;
+}
+
+/* -------------------- Parquet -------------------- */
+
+// JSON/SQLite-safe copy of a Parquet value (INT64 arrives as BigInt, binary as Buffer)
+function parquetValue(v) {
+  if (v === null || v === undefined) return null;
+  if (typeof v === 'bigint') return Number.isSafeInteger(Number(v)) ? Number(v) : v.toString();
+  if (v instanceof Date) return v.toISOString();
+  if (Buffer.isBuffer(v)) return v.toString('base64');
+  if (Array.isArray(v)) return v.map(parquetValue);
+  if (typeof v === 'object') {
+    const out = {};
+    for (const [k, val] of Object.entries(v)) out[k] = parquetValue(val);
+    return out;
+  }
+  return v;
+}
+
+/**
+ * Read a Parquet file as one table. options.limit caps the rows read.
+ */
+async function readParquetTable(filePath, name, options = {}) {
+  const reader = await parquet.ParquetReader.openFile(filePath);
+  try {
+    const columns = Object.keys(reader.getSchema().fields);
+    const cursor = reader.getCursor();
+    const rows = [];
+    let record;
+    while ((!options.limit || rows.length < options.limit) && (record = await cursor.next())) {
+      const row = {};
+      for (const c of columns) row[c] = parquetValue(record[c]);
+      rows.push(row);
+    }
+    return { name, columns, rows };
+  } finally {
+    await reader.close();
+  }
+}
+
+/* -------------------- zip bundles -------------------- */
+
+// inflate one entry to out, adding its bytes to counter.bytes; past the cap the
+// stream fails with zip_too_large before anything more is written
+async function extractZipEntry(entry, out, counter) {
+  if (entry.header.encrypted) throw new Error('zip_encrypted');
+  const method = entry.header.method;
+  if (method !== 0 && method !== 8) throw new Error('zip_unsupported_compression');
+
+  const count = new Transform({
+    transform(chunk, encoding, callback) {
+      counter.bytes += chunk.length;
+      if (counter.bytes > MAX_ZIP_UNCOMPRESSED_BYTES) return callback(new Error('zip_too_large'));
+      callback(null, chunk);
+    }
+  });
+  const stages = [Readable.from([entry.getCompressedData()])];
+  if (method === 8) stages.push(zlib.createInflateRaw());
+  await pipeline(...stages, count, fs.createWriteStream(out));
+}
+
+/**
+ * Extract the entries of a zip whose extension is in `exts` into dir, under generated
+ * names (entry paths are never used on disk). Directories, dotfiles and __MACOSX
+ * metadata are skipped. Entries are inflated as streams and the decompressed bytes
+ * counted as they are written, so a zip bomb fails with zip_too_large.
+ * returns [{ name (entry basename without extension), ext, path }]
+ */
+async function extractZip(zipPath, dir, exts) {
+  const zip = new AdmZip(zipPath);
+  const entries = zip.getEntries()
+    .filter(e => !e.isDirectory && !/(^|\/)(__MACOSX\/|\.)/.test(e.entryName))
+    .filter(e => exts.includes(path.extname(e.entryName).toLowerCase()))
+    .sort((a, b) => a.entryName.localeCompare(b.entryName));
+
+  if (entries.length === 0) throw new Error('zip_no_supported_files');
+  if (entries.length > MAX_ZIP_ENTRIES) throw new Error('zip_too_many_files');
+
+  const counter = { bytes: 0 };
+  const parts = [];
+  for (const [i, e] of entries.entries()) {
+    const ext = path.extname(e.entryName).toLowerCase();
+    const out = path.join(dir, `${i}${ext}`);
+    await extractZipEntry(e, out, counter);
+    parts.push({ name: path.basename(e.entryName, ext), ext, path: out });
+  }
+  return parts;
+}
+
+module.exports = { tableNameFrom, readXlsxTables, readParquetTable, extractZip };
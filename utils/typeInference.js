@@ -0,0 +1,134 @@
+// utils/typeInference.js
+// Infer SQLite column types for imported CSV/JSON data from a sample of values,
+// and coerce values to the chosen type on insert.
+
+const COLUMN_TYPES = ['INTEGER', 'REAL', 'BOOLEAN', 'DATE', 'DATETIME', 'TEXT'];
+
+const INTEGER_RE = /^[-+]?(0|[1-9]\d*)$/;
+const LEADING_ZERO_RE = /^[-+]?0\d+$/; // zip codes, padded ids: kept as TEXT
+const REAL_RE = /^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/;
+const BOOLEAN_RE = /^(true|false|yes|no)$/i;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+function isValidDate(s) {
+  return !Number.isNaN(new Date(s.replace(' ', 'T')).getTime());
+}
+
+// narrowest type a single non-empty value fits
+function valueType(v) {
+  if (typeof v === 'boolean') return 'BOOLEAN';
+  if (typeof v === 'number') return Number.isSafeInteger(v) ? 'INTEGER' : 'REAL';
+  if (typeof v !== 'string') return 'TEXT';
+
+  const s = v.trim();
+  if (LEADING_ZERO_RE.test(s)) return 'TEXT';
+  if (INTEGER_RE.test(s)) return Number.isSafeInteger(Number(s)) ? 'INTEGER' : 'TEXT';
+  if (REAL_RE.test(s) && Number.isFinite(Number(s))) return 'REAL';
+  if (BOOLEAN_RE.test(s)) return 'BOOLEAN';
+  if (DATE_RE.test(s) && isValidDate(s)) return 'DATE';
+  if (DATETIME_RE.test(s) && isValidDate(s)) return 'DATETIME';
+  return 'TEXT';
+}
+
+/**
+ * Pick one type for a column from sample values. Empty strings and nulls are ignored;
+ * INTEGER widens to REAL and DATE to DATETIME, any other mix falls back to TEXT.
+ */
+function inferColumnType(values) {
+  let type = null;
+  for (const v of values) {
+    if (v === null || v === undefined || (typeof v === 'string' && v.trim() === '')) continue;
+    const t = valueType(v);
+    if (type === null || type === t) {
+      type = t;
+    } else if ((type === 'INTEGER' && t === 'REAL') || (type === 'REAL' && t === 'INTEGER')) {
+      type = 'REAL';
+    } else if ((type === 'DATE' && t === 'DATETIME') || (type === 'DATETIME' && t === 'DATE')) {
+      type = 'DATETIME';
+    } else {
+      return 'TEXT';
+    }
+  }
+  return type || 'TEXT';
+}
+
+/**
+ * Infer types for every column of sample rows (array of objects).
+ * overrides: { [column]: type } applied on top of the inferred types.
+ * returns [{ name, type, inferredType }]
+ */
+function inferColumnTypes(rows, columns, overrides = {}) {
+  return columns.map(name => {
+    const inferredType = inferColumnType(rows.map(r => (r ? r[name] : null)));
+    const override = overrides[name] ? String(overrides[name]).toUpperCase() : null;
+    return { name, type: override || inferredType, inferredType };
+  });
+}
+
+/**
+ * Convert a raw value for storage in a column of the given type. Values that don't
+ * fit (rows beyond the sample) are kept as text rather than dropped.
+ */
+function coerceValue(v, type) {
+  if (v === null || v === undefined) return null;
+  if (typeof v === 'string' && v.trim() === '' && type !== 'TEXT') return null;
+  if (typeof v === 'object') return JSON.stringify(v);
+
+  switch (type) {
+    case 'INTEGER': {
+      if (typeof v === 'number' && Number.isSafeInteger(v)) return v;
+      const s = String(v).trim();
+      return INTEGER_RE.test(s) && Number.isSafeInteger(Number(s)) ? Number(s) : String(v);
+    }
+    case 'REAL': {
+      if (typeof v === 'number') return v;
+      const n = Number(String(v).trim());
+      return REAL_RE.test(String(v).trim()) && Number.isFinite(n) ? n : String(v);
+    }
+    case 'BOOLEAN': {
+      if (typeof v === 'boolean') return v ? 1 : 0;
+      const s = String(v).trim().toLowerCase();
+      if (s === 'true' || s === 'yes' || s === '1') return 1;
+      if (s === 'false' || s === 'no' || s === '0') return 0;
+      return String(v);
+    }
+    case 'DATE':
+    case 'DATETIME': {
+      const s = String(v).trim();
+      if (!(DATE_RE.test(s) || DATETIME_RE.test(s)) || !isValidDate(s)) return String(v);
+      if (type === 'DATE' && DATE_RE.test(s)) return s;
+      // explicit offsets are normalized to UTC so values sort correctly as text
+      if (/(Z|[+-]\d{2}:?\d{2})$/.test(s)) return new Date(s.replace(' ', 'T')).toISOString();
+      return s.replace(' ', 'T');
+    }
+    default:
+      return String(v);
+  }
+}
+
+/**
+ * Validate a user-supplied override map ({ column: type }).
+ * Accepts an object or its JSON string; throws invalid_columnTypes otherwise.
+ */
+function parseColumnTypeOverrides(input) {
+  if (input === undefined || input === null || input === '') return {};
+  let obj = input;
+  if (typeof input === 'string') {
+    try {
+      obj = JSON.parse(input);
+    } catch {
+      throw new Error('invalid_columnTypes');
+    }
+  }
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) throw new Error('invalid_columnTypes');
+  const out = {};
+  for (const [col, type] of Object.entries(obj)) {
+    const t = String(type).toUpperCase();
+    if (!COLUMN_TYPES.includes(t)) throw new Error(`invalid_columnTypes:${col}`);
+    out[col] = t;
+  }
+  return out;
+}
+
+module.exports = { COLUMN_TYPES, inferColumnType, inferColumnTypes, coerceValue, parseColumnTypeOverrides };
@@ -0,0 +1,89 @@
+// utils/webhookTargets.js
+// Keep user-supplied webhook URLs from reaching the server's own network: a URL must
+// resolve to public addresses only (no loopback, private, link-local, CGNAT, multicast or
+// reserved ranges). The check runs when a URL is saved and again on every request, where
+// the connection is made to the address that was checked, so a DNS answer that changes in
+// between (rebinding) can't redirect it.
+// WEBHOOK_ALLOWED_HOSTS (comma separated host names) exempts internal receivers on purpose.
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) BLOCKED.addSubnet(address, prefix, 'ipv4');
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 rules by BlockList
+BLOCKED.addAddress('::', 'ipv6');
+BLOCKED.addAddress('::1', 'ipv6');
+for (const [address, prefix] of [
+  ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+]) BLOCKED.addSubnet(address, prefix, 'ipv6');
+
+function allowedHosts() {
+  return new Set(String(process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean));
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function notAllowed() {
+  return new Error('webhook_host_not_allowed');
+}
+
+// dns.lookup that only answers with public addresses (for the agents below)
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  const exempt = allowedHosts().has(String(hostname).toLowerCase());
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || (!exempt && addresses.some(a => !isPublicAddress(a.address)))) return callback(notAllowed());
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const AGENTS = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * Throws webhook_host_not_allowed unless url's host resolves to public addresses only
+ * (or is in WEBHOOK_ALLOWED_HOSTS), invalid_webhookUrl when it doesn't resolve.
+ */
+async function assertPublicWebhookUrl(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (allowedHosts().has(host)) return;
+  if (net.isIP(host)) {
+    if (!isPublicAddress(host)) throw notAllowed();
+    return;
+  }
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch {
+    throw new Error('invalid_webhookUrl');
+  }
+  if (!addresses.length || addresses.some(a => !isPublicAddress(a.address))) throw notAllowed();
+}
+
+/**
+ * axios options for a request to a checked webhook URL: connections go through the
+ * public-only lookup, and environment proxies are not used (they'd resolve the host).
+ */
+function webhookRequestOptions() {
+  return { ...AGENTS, proxy: false };
+}
+
+module.exports = { assertPublicWebhookUrl, webhookRequestOptions, isPublicAddress };